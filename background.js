@@ -4,24 +4,61 @@
  * ============================================================
  *  Complete productivity engine with:
  *    - Active tab tracking with session management
- *    - 60 s alarm-driven XP ticks with combo multipliers
+ *    - Timestamp-accurate time ledger, settled into XP every 60 s
+ *      with combo multipliers
  *    - Time-of-day bonuses and streak bonuses
+ *    - Local-time day keys with a configurable day-start hour
  *    - Focus Score computation
- *    - Hourly heatmap and domain analytics
+ *    - Daily and weekly XP goals with bonus XP
+ *    - Daily and weekly quests with rerolls
+ *    - Prestige resets with permanent perks
+ *    - Focus Mode: distracting sites redirected to an interstitial
+ *      via declarativeNetRequest, bypassable for XP
+ *    - Pomodoro timer: breaks don't penalise distraction and
+ *      freeze the combo
+ *    - Per-domain and per-category daily time budgets with
+ *      escalating penalties and optional blocking
+ *    - Optional "Why are you here?" prompt on distracting pages;
+ *      work-related visits score as neutral for a while
+ *    - Hourly heatmap and domain analytics, archived per day
+ *      with every session in IndexedDB (HistoryStore)
+ *    - Page-content classification from content-script metadata
+ *    - Engagement weighting from content-script activity signals
+ *    - Media-aware tracking: playing video/audio as engagement or
+ *      ambient time
  *    - Achievement evaluation with bonus XP
+ *    - Append-only XP ledger of every XP change, with replay
+ *      and audit
+ *    - Versioned storage schema: ordered migrations with a
+ *      backup snapshot and rollback on failure
  *    - Distraction warnings (escalating)
  *    - In-page toast notifications via content script
  *    - Badge with real-time level/xp flash
- *    - Full message API for popup, options, and content scripts
+ *    - Full message API for popup, options, dashboard and
+ *      content scripts
  * ============================================================
  */
 
 import StorageManager      from './utils/storageManager.js';
 import XpEngine            from './utils/xpEngine.js';
+import RuleEngine          from './utils/ruleEngine.js';
 import StreakEngine         from './utils/streakEngine.js';
 import AchievementEngine   from './utils/achievementEngine.js';
 import AnalyticsEngine     from './utils/analyticsEngine.js';
+import ContentClassifier   from './utils/contentClassifier.js';
 import NotificationEngine  from './utils/notificationEngine.js';
+import TimeLedger          from './utils/timeLedger.js';
+import EngagementEngine    from './utils/engagementEngine.js';
+import DateService         from './utils/dateService.js';
+import GoalEngine          from './utils/goalEngine.js';
+import QuestEngine         from './utils/questEngine.js';
+import PrestigeEngine      from './utils/prestigeEngine.js';
+import FocusEngine         from './utils/focusEngine.js';
+import PomodoroEngine      from './utils/pomodoroEngine.js';
+import BudgetEngine        from './utils/budgetEngine.js';
+import HistoryStore        from './utils/historyStore.js';
+import IntentEngine        from './utils/intentEngine.js';
+import XpLedger            from './utils/xpLedger.js';
 
 /* ──────────────────────────────────────────────────────────
  *  Constants
@@ -29,24 +66,74 @@ import NotificationEngine  from './utils/notificationEngine.js';
 
 const TICK_INTERVAL_NAME     = 'xpulse-tick';
 const TICK_PERIOD_MINUTES    = 1;
+const FOCUS_ALARM_NAME       = 'xpulse-focus-end';
+const POMODORO_ALARM_NAME    = 'xpulse-pomodoro';
 const IDLE_THRESHOLD_SECONDS = 120;
+const MAX_OPEN_SEGMENT_MS    = 5 * 60 * 1000;  // cap if a tick was missed (e.g. sleep)
+const SESSION_JOIN_MS        = 1000;           // ledger gap still counted as one session
 
 /* ──────────────────────────────────────────────────────────
- *  Runtime State (service-worker-scoped, non-persistent)
+ *  Runtime State
+ *  Mirrored to chrome.storage.session — MV3 stops the worker
+ *  after ~30 s idle and every listener waits for rehydration.
  * ──────────────────────────────────────────────────────── */
 
 let activeTabId    = null;
 let activeTabUrl   = null;
 let isUserActive   = true;
+let isScreenLocked = false;
 let lastXpFlash    = 0;
 let recentNotifications = [];   // rolling window for dedup
+let tabEngagement  = {};        // { tabId: EngagementEngine record }
+let ledgerQueue    = Promise.resolve();
+let xpQueue        = Promise.resolve();
+let runtimeReady   = null;
+
+/**
+ * Once per worker lifetime: bring stored state up to the current
+ * schema (StorageManager.init runs pending migrations), then
+ * restore runtime state from session storage.  Every listener
+ * awaits this, so nothing reads storage before it is migrated.
+ * Idle state is re-queried rather than trusted, since the machine
+ * may have gone idle while the worker was asleep.
+ */
+function rehydrateRuntime() {
+  if (!runtimeReady) {
+    runtimeReady = (async () => {
+      await StorageManager.init();
+      const runtime = await StorageManager.getRuntime();
+      activeTabId  = runtime.activeTabId;
+      activeTabUrl = runtime.activeTabUrl;
+      recentNotifications = runtime.recentNotifications;
+      tabEngagement = runtime.tabEngagement;
+      try {
+        const idleState = await chrome.idle.queryState(IDLE_THRESHOLD_SECONDS);
+        isUserActive = idleState === 'active';
+        isScreenLocked = idleState === 'locked';
+      } catch {
+        isUserActive = runtime.isUserActive;
+      }
+      await StorageManager.setRuntime({ isUserActive });
+    })().catch((e) => {
+      runtimeReady = null;
+      throw e;
+    });
+  }
+  return runtimeReady;
+}
+
+function setActiveTab(tabId, url) {
+  activeTabId  = tabId;
+  activeTabUrl = url;
+  return StorageManager.setRuntime({ activeTabId, activeTabUrl });
+}
 
 /* ──────────────────────────────────────────────────────────
  *  Initialisation
  * ──────────────────────────────────────────────────────── */
 
 chrome.runtime.onInstalled.addListener(async (details) => {
-  await StorageManager.init();
+  await rehydrateRuntime();
   chrome.alarms.create(TICK_INTERVAL_NAME, { periodInMinutes: TICK_PERIOD_MINUTES });
   chrome.idle.setDetectionInterval(IDLE_THRESHOLD_SECONDS);
 
@@ -57,9 +144,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 });
 
 chrome.runtime.onStartup.addListener(async () => {
-  await StorageManager.init();
+  await rehydrateRuntime();
   await StorageManager.ensureDailyBucket();
-  await dayRollCheck();
+  await queueXpWork(dayRollCheck);
   await updateBadge();
   chrome.alarms.create(TICK_INTERVAL_NAME, { periodInMinutes: TICK_PERIOD_MINUTES });
   chrome.idle.setDetectionInterval(IDLE_THRESHOLD_SECONDS);
@@ -70,86 +157,278 @@ chrome.runtime.onStartup.addListener(async () => {
  * ──────────────────────────────────────────────────────── */
 
 chrome.tabs.onActivated.addListener(async ({ tabId }) => {
-  await handleTabSwitch(tabId);
+  const now = Date.now();
+  await rehydrateRuntime();
+  await handleTabSwitch(tabId, now);
 });
 
-chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  const now = Date.now();
+  await rehydrateRuntime();
   if (tabId === activeTabId && changeInfo.url) {
-    activeTabUrl = changeInfo.url;
+    await setActiveTab(tabId, changeInfo.url);
+    await startTiming(now);
+  }
+  if (changeInfo.audible !== undefined) {
+    await updateEngagement(tabId, (record) => EngagementEngine.recordMedia(record, { audible: changeInfo.audible }, now));
+    await handleMediaChange(tabId, tab?.url, now);
+  } else if (changeInfo.url && EngagementEngine.isMediaPlaying(tabEngagement[tabId])) {
+    await handleMediaChange(tabId, changeInfo.url, now);
   }
 });
 
 chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  const now = Date.now();
+  await rehydrateRuntime();
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    await finalizeCurrentSession();
-    activeTabId  = null;
-    activeTabUrl = null;
+    await stopTiming(now);
+    await setActiveTab(null, null);
     return;
   }
   try {
     const [tab] = await chrome.tabs.query({ active: true, windowId });
-    if (tab) await handleTabSwitch(tab.id);
+    if (tab) await handleTabSwitch(tab.id, now);
   } catch { /* ignore */ }
 });
 
-async function handleTabSwitch(tabId) {
-  try {
-    // Finalize previous session before switching
-    await finalizeCurrentSession();
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  await rehydrateRuntime();
+  await updateMediaLedger(tabId, (ledger) => TimeLedger.closeSegment(ledger, Date.now()));
+  if (tabEngagement[tabId]) {
+    delete tabEngagement[tabId];
+    await StorageManager.setRuntime({ tabEngagement });
+  }
+});
 
+async function handleTabSwitch(tabId, now) {
+  try {
     const tab = await chrome.tabs.get(tabId);
-    activeTabId  = tabId;
-    activeTabUrl = tab.url || null;
-
-    // Start new session
-    if (activeTabUrl) {
-      const domain = XpEngine.extractDomain(activeTabUrl);
-      if (domain) {
-        const settings = await StorageManager.getSettings();
-        const category = XpEngine.classifyDomain(domain, settings.customCategories || {});
-        const session = AnalyticsEngine.createSession(domain, category);
-        await StorageManager.set({ currentSession: session });
-      }
-    }
+    await setActiveTab(tabId, tab.url || null);
+    // Switching to a tab brings it into view even if the content
+    // script's own visibility report is late or throttled
+    await updateEngagement(tabId, (record) => EngagementEngine.recordVisibility(record, true, now, false));
+    await startTiming(now);
   } catch {
-    activeTabId  = null;
-    activeTabUrl = null;
+    await setActiveTab(null, null);
+    await stopTiming(now);
   }
 }
 
-async function finalizeCurrentSession() {
-  const { currentSession } = await StorageManager.get('currentSession');
-  if (currentSession && currentSession.startTime) {
-    const ended = AnalyticsEngine.endSession(currentSession);
-    if (ended && ended.duration > 30) {  // only save sessions > 30 seconds
-      await StorageManager.saveSession(ended);
-
-      // Track longest session
-      const sessionMin = Math.floor(ended.duration / 60);
-      const { longestSessionMinutes } = await StorageManager.get('longestSessionMinutes');
-      if (sessionMin > (longestSessionMinutes || 0)) {
-        await StorageManager.set({ longestSessionMinutes: sessionMin });
-      }
+/**
+ * Confirm the remembered active tab is still the active tab of
+ * the focused window; if not, re-derive it.  Covers events that
+ * were missed while the worker was asleep.
+ */
+async function ensureActiveTab(now) {
+  let tab = null;
+  if (activeTabId !== null) {
+    try { tab = await chrome.tabs.get(activeTabId); } catch { /* closed */ }
+  }
 
-      // Send session summary to content script
-      if (ended.duration > 120 && ended.xpEarned !== 0) {
-        const notif = NotificationEngine.createNotification(
-          NotificationEngine.NOTIFICATION_TYPES.SESSION_SUMMARY,
-          { domain: ended.domain, duration: AnalyticsEngine.formatDuration(sessionMin), xp: ended.xpEarned }
-        );
-        await sendToActiveTab(notif);
-      }
+  let focusedWindow = null;
+  try { focusedWindow = await chrome.windows.getLastFocused(); } catch { /* no windows */ }
+
+  if (!focusedWindow?.focused) {
+    if (activeTabId !== null) {
+      await stopTiming(now);
+      await setActiveTab(null, null);
     }
-    await StorageManager.set({ currentSession: null });
+    return;
+  }
+
+  const sure = tab && tab.active && tab.windowId === focusedWindow.id && (tab.url || null) === activeTabUrl;
+  if (sure) return startTiming(now);
+
+  const [focusedTab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+  if (focusedTab) {
+    await handleTabSwitch(focusedTab.id, now);
+  } else {
+    await stopTiming(now);
+    await setActiveTab(null, null);
   }
 }
 
+/**
+ * Save a session the ledger has stopped crediting.
+ * @returns {number} the session's length in whole minutes
+ */
+async function finalizeSession(session) {
+  const ended = AnalyticsEngine.endSession(session);
+  if (!ended || ended.duration <= 30) return 0;  // only save sessions > 30 seconds
+
+  await StorageManager.saveSession(ended);
+
+  // Track longest session
+  const sessionMin = Math.floor(ended.duration / 60);
+  const { longestSessionMinutes } = await StorageManager.get('longestSessionMinutes');
+  if (sessionMin > (longestSessionMinutes || 0)) {
+    await StorageManager.set({ longestSessionMinutes: sessionMin });
+  }
+
+  // Send session summary to content script
+  if (ended.duration > 120 && ended.xpEarned !== 0) {
+    const notif = NotificationEngine.createNotification(
+      NotificationEngine.NOTIFICATION_TYPES.SESSION_SUMMARY,
+      { domain: ended.domain, duration: AnalyticsEngine.formatDuration(sessionMin), xp: ended.xpEarned }
+    );
+    await sendToActiveTab(notif);
+  }
+  return sessionMin;
+}
+
+async function updateEngagement(tabId, fn) {
+  if (tabId === null || tabId === undefined) return;
+  tabEngagement[tabId] = fn(tabEngagement[tabId]);
+  await StorageManager.setRuntime({ tabEngagement });
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Time Ledger
+ * ──────────────────────────────────────────────────────── */
+
+/**
+ * Run ledger work in order.  Updates are chained so an event
+ * arriving mid-tick cannot overwrite the drained ledgers.
+ */
+function queueLedgerWork(task) {
+  const run = ledgerQueue.then(task);
+  ledgerQueue = run.catch((e) => console.error('[XPulse] ledger error', e));
+  return run;
+}
+
+/** Apply `fn` to the stored foreground ledger */
+function updateLedger(fn) {
+  return queueLedgerWork(async () => {
+    const { timeLedger } = await StorageManager.get('timeLedger');
+    await StorageManager.set({ timeLedger: fn(timeLedger ?? TimeLedger.createLedger()) });
+  });
+}
+
+/** Apply `fn` to one tab's media ledger */
+function updateMediaLedger(tabId, fn) {
+  return queueLedgerWork(async () => {
+    const { mediaLedgers } = await StorageManager.get('mediaLedgers');
+    const ledgers = { ...(mediaLedgers ?? {}) };
+    const next = fn(ledgers[tabId] ?? TimeLedger.createLedger());
+    if (next.open || next.entries.length > 0) ledgers[tabId] = next;
+    else delete ledgers[tabId];
+    await StorageManager.set({ mediaLedgers: ledgers });
+  });
+}
+
+/** Media playing in the active tab keeps the clock running through idle */
+function activeMediaPlaying() {
+  return !isScreenLocked && activeTabId !== null && EngagementEngine.isMediaPlaying(tabEngagement[activeTabId]);
+}
+
+/** Start (or keep) timing the active tab from `at` */
+function startTiming(at) {
+  if ((!isUserActive && !activeMediaPlaying()) || !activeTabUrl) return stopTiming(at);
+  return updateLedger((ledger) => TimeLedger.openSegment(ledger, { url: activeTabUrl, tabId: activeTabId }, at));
+}
+
+/**
+ * Time a tab's playback in its media ledger, and start or stop the
+ * foreground clock when playback changes while the user is idle.
+ */
+async function handleMediaChange(tabId, url, at) {
+  if (EngagementEngine.isMediaPlaying(tabEngagement[tabId]) && url) {
+    await updateMediaLedger(tabId, (ledger) => TimeLedger.openSegment(ledger, { url, tabId }, at));
+  } else {
+    await updateMediaLedger(tabId, (ledger) => TimeLedger.closeSegment(ledger, at));
+  }
+  if (tabId === activeTabId && !isUserActive) await startTiming(at);
+}
+
+/** Stop the clock at `at` */
+function stopTiming(at) {
+  return updateLedger((ledger) => TimeLedger.closeSegment(ledger, at));
+}
+
+/**
+ * Classify the full URL against per-page overrides (the user's
+ * own first, then work-related visits still in force), the
+ * user's schedules, rules, custom categories, the built-in lists
+ * and cached page-content labels at time `now`.
+ * @returns {Promise<{ category, source, reason, ruleId }>}
+ */
+async function classifyUrl(url, settings, now) {
+  const { urlOverrides, intentOverrides, contentClassCache } = await StorageManager.get([
+    'urlOverrides', 'intentOverrides', 'contentClassCache'
+  ]);
+  return XpEngine.explainClassification(url, settings.customCategories || {}, {
+    rules: settings.classificationRules || [],
+    schedules: settings.scheduleRules || [],
+    now,
+    urlOverrides: { ...IntentEngine.activeOverrides(intentOverrides, now), ...(urlOverrides ?? {}) },
+    contentLabels: contentClassCache ?? {},
+    categories: XpEngine.getCategories(settings)
+  });
+}
+
+/**
+ * Score page metadata reported by the content script, cache the
+ * result per URL and re-label the running session if it is for
+ * the same page.
+ */
+async function handlePageMetadata(msg, sender) {
+  const url = sender?.tab?.url || msg.url;
+  if (!url) return { ok: false };
+
+  const result = ContentClassifier.classifyContent(msg.meta || {});
+  const { contentClassCache } = await StorageManager.get('contentClassCache');
+  await StorageManager.set({
+    contentClassCache: ContentClassifier.cacheResult(contentClassCache ?? {}, url, result)
+  });
+
+  await queueXpWork(() => relabelCurrentSession(url));
+  return { ok: true, category: result.category, reason: result.reason };
+}
+
+/**
+ * Re-run classification for the running session after an
+ * override or content label changed.  Run through queueXpWork:
+ * a tick writes the session back.
+ */
+async function relabelCurrentSession(url) {
+  const key = ContentClassifier.urlKey(url);
+  if (!activeTabUrl || ContentClassifier.urlKey(activeTabUrl) !== key) return;
+
+  const { currentSession } = await StorageManager.get('currentSession');
+  if (!currentSession) return;
+
+  const settings = await StorageManager.getSettings();
+  const explanation = await classifyUrl(url, settings, Date.now());
+  await StorageManager.set({
+    currentSession: {
+      ...currentSession,
+      url: key,
+      category: explanation.category,
+      source: explanation.source,
+      reason: explanation.reason
+    }
+  });
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Idle Detection
  * ──────────────────────────────────────────────────────── */
 
-chrome.idle.onStateChanged.addListener((state) => {
+chrome.idle.onStateChanged.addListener(async (state) => {
+  const now = Date.now();
+  await rehydrateRuntime();
   isUserActive = (state === 'active');
+  isScreenLocked = (state === 'locked');
+  await StorageManager.setRuntime({ isUserActive });
+  if (isUserActive) {
+    await startTiming(now);
+  } else if (state === 'idle' && activeMediaPlaying()) {
+    // Watching or listening without input — the clock keeps running
+  } else {
+    // "idle" fires IDLE_THRESHOLD_SECONDS after the last input —
+    // stop the clock where the input stopped
+    await stopTiming(state === 'idle' ? now - IDLE_THRESHOLD_SECONDS * 1000 : now);
+  }
 });
 
 /* ──────────────────────────────────────────────────────────
@@ -158,36 +437,76 @@ chrome.idle.onStateChanged.addListener((state) => {
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name !== TICK_INTERVAL_NAME) return;
-  await processTick();
+  await rehydrateRuntime();
+  await queueXpWork(() => processTick(Date.now()));
 });
 
-async function processTick() {
-  // ── Guard ────────────────────────────────────────────
-  if (!isUserActive || !activeTabUrl) return;
+/**
+ * Run work that changes state a tick reads and writes back — XP
+ * and level, the heatmap, the running session — in order.  A tick
+ * reads it all, awaits classification and notifications, then
+ * writes it back, so prestige, focus bonuses and bypasses,
+ * pomodoro phases, relabels, replays and imports queue behind it
+ * rather than being overwritten.
+ */
+function queueXpWork(task) {
+  const run = xpQueue.then(task);
+  xpQueue = run.catch((e) => console.error('[XPulse] XP update error', e));
+  return run;
+}
+
+async function processTick(now) {
+  if (isUserActive) await ensureActiveTab(now);
+
+  // ── Drain the time ledger ────────────────────────────
+  // Every second since the last tick, attributed to the URL that
+  // was actually in front, split on hour boundaries
+  let entries = [];
+  let mediaEntries = [];
+  await queueLedgerWork(async () => {
+    const { timeLedger, mediaLedgers } = await StorageManager.get(['timeLedger', 'mediaLedgers']);
+    const drained = TimeLedger.drain(timeLedger ?? TimeLedger.createLedger(), now, { maxOpenMs: MAX_OPEN_SEGMENT_MS });
+    entries = drained.entries;
+
+    const nextMedia = {};
+    for (const [tabId, ledger] of Object.entries(mediaLedgers ?? {})) {
+      const media = TimeLedger.drain(ledger, now, { maxOpenMs: MAX_OPEN_SEGMENT_MS });
+      mediaEntries.push(...media.entries);
+      if (media.ledger.open) nextMedia[tabId] = media.ledger;
+    }
+    await StorageManager.set({ timeLedger: drained.ledger, mediaLedgers: nextMedia });
+  });
+  // Playback the foreground clock already timed is not ambient
+  mediaEntries = TimeLedger.subtractCovered(mediaEntries, entries);
 
   await StorageManager.ensureDailyBucket();
   await dayRollCheck();
 
-  // ── Domain classification ────────────────────────────
-  const domain = XpEngine.extractDomain(activeTabUrl);
-  if (!domain) return;
-
   const settings = await StorageManager.getSettings();
-  const category = XpEngine.classifyDomain(domain, settings.customCategories || {});
+  const { prestigePerks } = await StorageManager.get('prestigePerks');
+  const xpBoost = PrestigeEngine.xpBoost(prestigePerks);
+  const categories = PrestigeEngine.scaleProductive(XpEngine.getCategories(settings), xpBoost, XpEngine.getCategoryClass);
+  const comboTiers = XpEngine.getComboTiers(settings);
+  const comboGrace = PrestigeEngine.comboGrace(XpEngine.getComboGrace(settings), prestigePerks);
+  const budgets = BudgetEngine.normalizeBudgets(settings.budgets);
 
   // ── Read full state ──────────────────────────────────
   const state = await StorageManager.get([
     'xp', 'level', 'totalXpEarned', 'totalMinutesTracked',
     'dailyProductiveXp', 'dailyDistractingXp', 'dailyNeutralXp',
     'dailyProductiveMinutes', 'dailyDistractingMinutes', 'dailyNeutralMinutes',
-    'currentStreak', 'longestStreak', 'lastActiveDate',
-    'achievements', 'levelUpTimestamps',
+    'dailyCategoryXp', 'dailyCategoryMinutes', 'dailyAmbientMinutes', 'xpCarry', 'timeLedger',
+    'currentStreak', 'longestStreak', 'lastActiveDate', 'lastProtectedDate', 'streakFreezes',
+    'achievements', 'quests', 'levelUpTimestamps',
     'consecutiveProductiveMinutes', 'currentComboMultiplier',
-    'highestCombo', 'consecutiveDistractingTicks',
-    'hourlyHeatmap', 'domainStats', 'todayUniqueDomains',
+    'highestCombo', 'consecutiveDistractingTicks', 'comboGraceLog',
+    'hourlyHeatmap', 'domainStats', 'todayDomainStats', 'todayUniqueDomains',
     'currentSession', 'focusScore', 'todayFocusScores',
     'earlyBirdDays', 'nightOwlDays', 'earlyBirdDates', 'nightOwlDates',
-    'longestSessionMinutes', 'perfectWeekDays'
+    'longestSessionMinutes', 'perfectWeekDays',
+    'dailyGoalHit', 'goalStreak', 'longestGoalStreak', 'lastGoalDate', 'goalsHit',
+    'weeklyGoalWeek', 'weeklyGoalsHit', 'weeklyStats',
+    'pomodoro', 'pomodorosCompleted', 'dailyBudgetUsage'
   ]);
 
   let xp                  = state.xp ?? 0;
@@ -200,14 +519,22 @@ async function processTick() {
   let dailyProdMin        = state.dailyProductiveMinutes ?? 0;
   let dailyDistMin        = state.dailyDistractingMinutes ?? 0;
   let dailyNeutMin        = state.dailyNeutralMinutes ?? 0;
+  let dailyCategoryXp     = state.dailyCategoryXp ?? {};
+  let dailyCategoryMin    = state.dailyCategoryMinutes ?? {};
+  let dailyAmbientMin     = state.dailyAmbientMinutes ?? {};
+  let budgetUsage         = state.dailyBudgetUsage ?? {};
+  let xpCarry             = state.xpCarry ?? {};
   let achievements        = state.achievements ?? {};
+  let quests              = state.quests ?? QuestEngine.emptyQuestLog();
   let timestamps          = state.levelUpTimestamps ?? [];
   let consecProd          = state.consecutiveProductiveMinutes ?? 0;
   let comboMult           = state.currentComboMultiplier ?? 1.0;
   let highestCombo        = state.highestCombo ?? 1.0;
   let consecDist          = state.consecutiveDistractingTicks ?? 0;
-  let heatmap             = state.hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap();
+  let comboGraceLog       = state.comboGraceLog ?? [];
+  let heatmap             = state.hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap(categories);
   let domainStats         = state.domainStats ?? {};
+  let todayDomainStats    = state.todayDomainStats ?? {};
   let uniqueDomains       = state.todayUniqueDomains ?? [];
   let currentSession      = state.currentSession;
   let focusScore          = state.focusScore ?? 0;
@@ -220,90 +547,283 @@ async function processTick() {
   let longestSessionMin   = state.longestSessionMinutes ?? 0;
 
   let streakData = {
-    currentStreak:  state.currentStreak ?? 0,
-    longestStreak:  state.longestStreak ?? 0,
-    lastActiveDate: state.lastActiveDate ?? null
+    currentStreak:     state.currentStreak ?? 0,
+    longestStreak:     state.longestStreak ?? 0,
+    lastActiveDate:    state.lastActiveDate ?? null,
+    lastProtectedDate: state.lastProtectedDate ?? null
+  };
+  let streakFreezes = state.streakFreezes ?? 0;
+
+  let dailyGoalHit   = !!state.dailyGoalHit;
+  let weeklyGoalWeek = state.weeklyGoalWeek ?? null;
+  let weeklyGoalsHit = state.weeklyGoalsHit ?? 0;
+  let goalData = {
+    goalStreak:        state.goalStreak ?? 0,
+    longestGoalStreak: state.longestGoalStreak ?? 0,
+    lastGoalDate:      state.lastGoalDate ?? null,
+    goalsHit:          state.goalsHit ?? 0
   };
 
-  // ── Combo System ─────────────────────────────────────
-  if (category === 'productive') {
-    consecProd += 1;
-    consecDist = 0;
-    const combo = XpEngine.getComboMultiplier(consecProd);
-    const prevMult = comboMult;
-    comboMult = combo.multiplier;
-    highestCombo = Math.max(highestCombo, comboMult);
-
-    // Notify on combo tier change
-    if (comboMult > prevMult && combo.label && settings.showNotifications) {
-      const notif = NotificationEngine.createNotification(
-        NotificationEngine.NOTIFICATION_TYPES.COMBO,
-        { multiplier: comboMult, minutes: consecProd }
-      );
-      await sendToActiveTab(notif);
+  const endedSessions = [];
+  let xpDelta = 0;
+  const xpEvents = [];   // ledger events, written once the state is saved
+  let domain = null;
+  let categoryDef = null;
+
+  for (const entry of entries) {
+    // ── Domain classification ──────────────────────────
+    // Analytics group by registrable domain ("docs.foo.co.uk" → "foo.co.uk")
+    const domainInfo = XpEngine.extractDomainInfo(entry.url);
+    if (!domainInfo) continue;
+    domain = domainInfo.domain;
+
+    const explanation = await classifyUrl(entry.url, settings, entry.start);
+    const category = explanation.category;
+    categoryDef = XpEngine.getCategory(category, categories);
+    const categoryClass = XpEngine.getCategoryClass(categoryDef);
+
+    // ── Pomodoro breaks ────────────────────────────────
+    // Distracting time on a break is ambient: recorded, never scored
+    const onBreak = PomodoroEngine.isBreakAt(state.pomodoro, entry.start);
+    if (onBreak && categoryClass === 'distracting') {
+      dailyAmbientMin[category] = TimeLedger.addMinutes(dailyAmbientMin[category], entry.seconds);
+      domainStats = AnalyticsEngine.recordAmbientTime(domainStats, domain, category, entry.seconds);
+      todayDomainStats = AnalyticsEngine.recordAmbientTime(todayDomainStats, domain, category, entry.seconds);
+      continue;
     }
-  } else if (category === 'distracting') {
-    if (consecProd > 0) consecProd = 0;
-    comboMult = 1.0;
-    consecDist += 1;
 
-    // Escalating distraction warnings
-    if (settings.showDistractionWarnings) {
-      const warning = NotificationEngine.getDistractionWarning(consecDist);
-      if (warning) await sendToActiveTab(warning);
+    // ── Engagement ─────────────────────────────────────
+    // Recent input earns full credit, passive reading a share of it
+    // for a while, and a page left sitting in front nothing.  Playing
+    // media counts as engagement or as ambient time per category.
+    const { weight, ambientShare } = EngagementEngine.measureSpan(
+      tabEngagement[entry.tabId], entry.start, entry.end, settings, categoryDef.media
+    );
+    // Ambient playback is recorded apart and kept out of the
+    // foreground minutes, domain time and budget usage below
+    const creditedSeconds = entry.seconds * weight;
+    const ambientSeconds = entry.seconds * ambientShare;
+    const foregroundSeconds = entry.seconds - ambientSeconds;
+    if (ambientSeconds > 0) {
+      dailyAmbientMin[category] = TimeLedger.addMinutes(dailyAmbientMin[category], ambientSeconds);
+      domainStats = AnalyticsEngine.recordAmbientTime(domainStats, domain, category, ambientSeconds);
+      todayDomainStats = AnalyticsEngine.recordAmbientTime(todayDomainStats, domain, category, ambientSeconds);
+    }
+    if (foregroundSeconds <= 0) continue;
+
+    // ── Daily budgets ──────────────────────────────────
+    // Budgets spend engaged time.  The part of a span that fits is
+    // neutral, the part past the budget is scored as distracting
+    // with an escalating penalty
+    const budget = BudgetEngine.budgetFor(budgets, domainInfo.host, category);
+    let spent = null;
+    let overShare = 0;
+    if (budget) {
+      spent = BudgetEngine.consume(budgetUsage, budget, creditedSeconds);
+      budgetUsage = spent.usage;
+      const before = BudgetEngine.escalation(spent.usedBefore - budget.minutes);
+      const after = BudgetEngine.escalation(spent.usedAfter - budget.minutes);
+      const escalated = spent.usedBefore >= budget.minutes && after > before;
+      if ((spent.crossed || escalated) && settings.showNotifications) {
+        const label = BudgetEngine.describe([budget], budgetUsage, categories)[0].label;
+        const notif = NotificationEngine.createNotification(
+          NotificationEngine.NOTIFICATION_TYPES.BUDGET_EXCEEDED,
+          { label, minutes: budget.minutes, multiplier: after, block: budget.block, escalated }
+        );
+        await sendToActiveTab(notif);
+      }
+      overShare = creditedSeconds > 0
+        ? spent.overSeconds / creditedSeconds
+        : Number(spent.usedBefore >= budget.minutes);
+    }
+    const overSeconds = foregroundSeconds * overShare;
+    const withinSeconds = foregroundSeconds - overSeconds;
+    const overBudget = overSeconds > 0;
+    // The distracting part of the span — for a budget, its over-budget tail
+    const distractingSpan = overBudget ? { start: entry.end - overSeconds * 1000, end: entry.end } : entry;
+    const distractingSeconds = overBudget ? overSeconds : foregroundSeconds;
+    const comboEffect = !spent ? categoryDef.combo
+      : overBudget ? XpEngine.COMBO_EFFECTS.BREAK : XpEngine.COMBO_EFFECTS.HOLD;
+    const scoredClass = !spent ? categoryClass : overBudget ? 'distracting' : 'neutral';
+
+    // ── Combo System ───────────────────────────────────
+    if (onBreak) {
+      // Frozen for the break: neither built nor broken
+    } else if (comboEffect === XpEngine.COMBO_EFFECTS.BUILD) {
+      consecProd += creditedSeconds / 60;
+      consecDist = 0;
+      const combo = XpEngine.getComboMultiplier(consecProd, comboTiers);
+      const prevMult = comboMult;
+      comboMult = combo.multiplier;
+      highestCombo = Math.max(highestCombo, comboMult);
+
+      // Notify on combo tier change
+      if (comboMult > prevMult && combo.label && settings.showNotifications) {
+        const notif = NotificationEngine.createNotification(
+          NotificationEngine.NOTIFICATION_TYPES.COMBO,
+          { multiplier: comboMult, minutes: Math.floor(consecProd) }
+        );
+        await sendToActiveTab(notif);
+      }
+    } else if (comboEffect === XpEngine.COMBO_EFFECTS.BREAK) {
+      // Short detours spend the grace allowance; past it the combo breaks
+      if (consecProd > 0) {
+        const grace = XpEngine.applyComboGrace(comboGraceLog, distractingSpan, comboGrace);
+        comboGraceLog = grace.graceLog;
+        if (grace.broken) {
+          consecProd = 0;
+          comboMult = 1.0;
+        } else if (grace.graceLog.length === 1 && settings.showNotifications) {
+          const notif = NotificationEngine.createNotification(
+            NotificationEngine.NOTIFICATION_TYPES.COMBO_AT_RISK,
+            {
+              multiplier: comboMult,
+              remaining: Math.max(0, Math.round((comboGrace.minutes - grace.usedMinutes) * 10) / 10)
+            }
+          );
+          await sendToActiveTab(notif);
+        }
+      } else {
+        comboMult = 1.0;
+      }
+      const prevDist = consecDist;
+      consecDist += distractingSeconds / 60;
+
+      // Escalating distraction warnings, on each whole minute crossed
+      if (settings.showDistractionWarnings) {
+        for (let m = Math.floor(prevDist) + 1; m <= Math.floor(consecDist); m++) {
+          const warning = NotificationEngine.getDistractionWarning(m);
+          if (warning) await sendToActiveTab(warning);
+        }
+      }
+    } else {
+      // Held categories don't break the combo but don't build it either
+      consecDist = 0;
     }
-  } else {
-    // Neutral doesn't break combo but doesn't build it either
-    consecDist = 0;
-  }
-
-  // ── Calculate XP with all modifiers ──────────────────
-  const xpResult = XpEngine.calculateTickXpAdvanced(
-    category, comboMult, streakData.currentStreak
-  );
-  const xpDelta = xpResult.total;
 
-  // ── Apply XP ─────────────────────────────────────────
-  xp = XpEngine.applyXp(xp, xpDelta);
-  if (xpDelta > 0) totalXpEarned += xpDelta;
-  totalMinutes += 1;
+    // ── XP for the exact seconds, fraction carried per category ──
+    const exactXp = spent
+      ? BudgetEngine.overBudgetXp(budget, spent, categoryDef, categories)
+      : XpEngine.calculateSpanXp(category, creditedSeconds, comboMult, streakData.currentStreak, categories, entry.start);
+    const settled = TimeLedger.settleXp(xpCarry, category, exactXp);
+    xpCarry = settled.carry;
+    const entryXp = settled.xp;
+    xpDelta += entryXp;
+
+    // ── Apply XP ───────────────────────────────────────
+    xp = XpEngine.applyXp(xp, entryXp);
+    if (entryXp > 0) totalXpEarned += entryXp;
+
+    // Every span that moved the carry, so a rescore sees the fractions too.
+    // Spans that earned exactly nothing aren't kept: a rescore can't credit them
+    if (exactXp !== 0) {
+      const modifiers = spent
+        ? BudgetEngine.overBudgetModifiers(budget, spent, categoryDef, categories)
+        : XpEngine.spanXpModifiers(category, comboMult, streakData.currentStreak, categories, entry.start);
+      xpEvents.push(XpLedger.createEvent({
+        source: XpLedger.SOURCES.TICK, delta: entryXp, balance: xp, at: entry.start,
+        domain, url: ContentClassifier.urlKey(entry.url), category,
+        modifiers: {
+          ...modifiers,
+          ...(xpBoost !== 1 && { boost: xpBoost }),
+          seconds: entry.seconds,
+          credited: Math.round(creditedSeconds * 100) / 100,
+          exact: Math.round(exactXp * 1e4) / 1e4
+        }
+      }));
+    }
+    totalMinutes = TimeLedger.addMinutes(totalMinutes, foregroundSeconds);
+
+    // Daily counters — per category, plus the productive/distracting/neutral
+    // class totals that streaks and the focus score are built on.  A
+    // budgeted span's minutes split at the budget
+    const classSeconds = spent
+      ? { neutral: withinSeconds, distracting: overSeconds }
+      : { [scoredClass]: foregroundSeconds };
+    dailyCategoryXp[category]  = (dailyCategoryXp[category] ?? 0) + Math.abs(entryXp);
+    dailyCategoryMin[category] = TimeLedger.addMinutes(dailyCategoryMin[category], foregroundSeconds);
+    if (scoredClass === 'productive')  dailyProd += Math.abs(entryXp);
+    if (scoredClass === 'distracting') dailyDist += Math.abs(entryXp);
+    if (scoredClass === 'neutral')     dailyNeut += Math.abs(entryXp);
+    if (classSeconds.productive)  dailyProdMin = TimeLedger.addMinutes(dailyProdMin, classSeconds.productive);
+    if (classSeconds.distracting) dailyDistMin = TimeLedger.addMinutes(dailyDistMin, classSeconds.distracting);
+    if (classSeconds.neutral)     dailyNeutMin = TimeLedger.addMinutes(dailyNeutMin, classSeconds.neutral);
+
+    // ── Sessions ───────────────────────────────────────
+    // Contiguous ledger time on one domain is one session
+    const continues = currentSession
+      && currentSession.domain === domain
+      && entry.start - (currentSession.endTime ?? currentSession.startTime) <= SESSION_JOIN_MS;
+    if (!continues) {
+      if (currentSession) endedSessions.push(currentSession);
+      currentSession = AnalyticsEngine.createSession(domain, category, domainInfo.host, {
+        ...explanation,
+        url: ContentClassifier.urlKey(entry.url)
+      }, entry.start);
+    }
+    AnalyticsEngine.addSessionTime(currentSession, foregroundSeconds, entryXp, entry.end);
 
-  // Daily counters
-  if (category === 'productive')  { dailyProd += Math.abs(xpDelta); dailyProdMin += 1; }
-  if (category === 'distracting') { dailyDist += Math.abs(xpDelta); dailyDistMin += 1; }
-  if (category === 'neutral')     { dailyNeut += Math.abs(xpDelta); dailyNeutMin += 1; }
+    // ── Hourly heatmap ─────────────────────────────────
+    heatmap = AnalyticsEngine.recordHourlyTick(heatmap, category, entryXp, { seconds: foregroundSeconds, at: entry.start });
 
-  // ── Update session XP ────────────────────────────────
-  if (currentSession) {
-    currentSession.xpEarned += xpDelta;
-    currentSession.ticks += 1;
-  }
+    // ── Domain stats ───────────────────────────────────
+    const visit = { seconds: foregroundSeconds, at: entry.end, newVisit: !continues };
+    domainStats = AnalyticsEngine.recordDomainVisit(domainStats, domain, category, entryXp, visit);
+    todayDomainStats = AnalyticsEngine.recordDomainVisit(todayDomainStats, domain, category, entryXp, visit);
 
-  // ── Hourly heatmap ───────────────────────────────────
-  heatmap = AnalyticsEngine.recordHourlyTick(heatmap, category, xpDelta);
+    // Unique productive domains today
+    if (scoredClass === 'productive' && !uniqueDomains.includes(domain)) {
+      uniqueDomains.push(domain);
+    }
 
-  // ── Domain stats ─────────────────────────────────────
-  domainStats = AnalyticsEngine.recordDomainVisit(domainStats, domain, category, xpDelta);
+    // ── Time-of-day tracking ───────────────────────────
+    const hour = DateService.localHour(entry.start);
+    const entryDay = DateService.dayKey(entry.start);
+    if (hour >= 5 && hour < 8 && scoredClass === 'productive') {
+      if (!earlyBirdDates.includes(entryDay)) {
+        earlyBirdDates.push(entryDay);
+        earlyBirdDays = earlyBirdDates.length;
+      }
+    }
+    if (hour >= 21 && hour < 24 && scoredClass === 'productive') {
+      if (!nightOwlDates.includes(entryDay)) {
+        nightOwlDates.push(entryDay);
+        nightOwlDays = nightOwlDates.length;
+      }
+    }
+  }
 
-  // Unique productive domains today
-  if (category === 'productive' && !uniqueDomains.includes(domain)) {
-    uniqueDomains.push(domain);
+  // ── Background media ─────────────────────────────────
+  // Audible tabs behind the active one are ambient: recorded, never scored
+  for (const entry of mediaEntries) {
+    const domainInfo = XpEngine.extractDomainInfo(entry.url);
+    if (!domainInfo) continue;
+    const { category } = await classifyUrl(entry.url, settings, entry.start);
+    dailyAmbientMin[category] = TimeLedger.addMinutes(dailyAmbientMin[category], entry.seconds);
+    domainStats = AnalyticsEngine.recordAmbientTime(domainStats, domainInfo.domain, category, entry.seconds);
+    todayDomainStats = AnalyticsEngine.recordAmbientTime(todayDomainStats, domainInfo.domain, category, entry.seconds);
   }
 
-  // ── Time-of-day tracking ─────────────────────────────
-  const hour = new Date().getHours();
-  const todayISO = StreakEngine.todayISO();
-  if (hour >= 5 && hour < 8 && category === 'productive') {
-    if (!earlyBirdDates.includes(todayISO)) {
-      earlyBirdDates.push(todayISO);
-      earlyBirdDays = earlyBirdDates.length;
+  // ── Close the session once its domain is no longer timed ──
+  if (currentSession) {
+    const openUrl = state.timeLedger?.open?.url;
+    const openDomain = openUrl ? XpEngine.extractDomainInfo(openUrl)?.domain : null;
+    if (openDomain !== currentSession.domain) {
+      endedSessions.push(currentSession);
+      currentSession = null;
     }
   }
-  if (hour >= 21 && hour < 24 && category === 'productive') {
-    if (!nightOwlDates.includes(todayISO)) {
-      nightOwlDates.push(todayISO);
-      nightOwlDays = nightOwlDates.length;
-    }
+  for (const ended of endedSessions) {
+    longestSessionMin = Math.max(longestSessionMin, await finalizeSession(ended));
+  }
+
+  // ── Budget blocks ────────────────────────────────────
+  await syncBudgetBlocks(settings, budgetUsage);
+
+  // ── Guard ────────────────────────────────────────────
+  if (!categoryDef) {
+    await StorageManager.set({ currentSession, dailyAmbientMinutes: dailyAmbientMin, domainStats, todayDomainStats });
+    return;
   }
 
   // ── Focus Score ──────────────────────────────────────
@@ -326,7 +846,7 @@ async function processTick() {
   const levelResult = XpEngine.evaluateLevelUp(xp, level);
   if (levelResult.levelsGained > 0) {
     for (let l = level + 1; l <= levelResult.newLevel; l++) {
-      timestamps.push({ level: l, timestamp: new Date().toISOString() });
+      timestamps.push({ level: l, timestamp: new Date(now).toISOString() });
     }
     level = levelResult.newLevel;
     showLevelUpNotification(level);
@@ -344,7 +864,7 @@ async function processTick() {
   // ── Streak check ─────────────────────────────────────
   if (dailyProd >= StreakEngine.DAILY_PRODUCTIVE_THRESHOLD) {
     const prevStreak = streakData.currentStreak;
-    streakData = StreakEngine.markTodayQualified(streakData);
+    streakData = StreakEngine.markTodayQualified(streakData, settings);
 
     if (streakData.currentStreak > prevStreak && streakData.currentStreak > 1 && settings.showNotifications) {
       const notif = NotificationEngine.createNotification(
@@ -355,8 +875,53 @@ async function processTick() {
     }
   }
 
+  // ── Goals ────────────────────────────────────────────
+  const dailyGoal = GoalEngine.dailyProgress(dailyProd, settings);
+  if (dailyGoal.reached && !dailyGoalHit) {
+    dailyGoalHit = true;
+    goalData = GoalEngine.markGoalHit(goalData, settings);
+    const bonus = Math.max(0, settings.goalBonusXp || 0);
+    xp = XpEngine.applyXp(xp, bonus);
+    totalXpEarned += bonus;
+    if (bonus > 0) {
+      xpEvents.push(XpLedger.createEvent({ source: XpLedger.SOURCES.GOAL, delta: bonus, balance: xp, at: now, ref: 'day' }));
+    }
+
+    if (settings.showNotifications) {
+      const notif = NotificationEngine.createNotification(
+        NotificationEngine.NOTIFICATION_TYPES.GOAL_REACHED,
+        { scope: 'day', goal: dailyGoal.goal, bonus, streak: goalData.goalStreak }
+      );
+      await sendToActiveTab(notif);
+      await StorageManager.addNotification(notif);
+    }
+  }
+
+  if (settings.weeklyGoalEnabled) {
+    const weeklyGoal = GoalEngine.weeklyProgress(state.weeklyStats ?? [], dailyProd, settings);
+    if (weeklyGoal.reached && weeklyGoalWeek !== weeklyGoal.weekStart) {
+      weeklyGoalWeek = weeklyGoal.weekStart;
+      weeklyGoalsHit += 1;
+      const bonus = Math.max(0, settings.weeklyGoalBonusXp || 0);
+      xp = XpEngine.applyXp(xp, bonus);
+      totalXpEarned += bonus;
+      if (bonus > 0) {
+        xpEvents.push(XpLedger.createEvent({ source: XpLedger.SOURCES.GOAL, delta: bonus, balance: xp, at: now, ref: 'week' }));
+      }
+
+      if (settings.showNotifications) {
+        const notif = NotificationEngine.createNotification(
+          NotificationEngine.NOTIFICATION_TYPES.GOAL_REACHED,
+          { scope: 'week', goal: weeklyGoal.goal, bonus }
+        );
+        await sendToActiveTab(notif);
+        await StorageManager.addNotification(notif);
+      }
+    }
+  }
+
   // ── Milestone check ──────────────────────────────────
-  const milestone = AnalyticsEngine.getNextMilestone(totalXpEarned - xpDelta);
+  const milestone = AnalyticsEngine.getNextMilestone(state.totalXpEarned ?? 0);
   const newMilestone = AnalyticsEngine.getNextMilestone(totalXpEarned);
   if (milestone.label !== newMilestone.label && newMilestone.progress >= 100 && settings.showNotifications) {
     // Crossed a milestone
@@ -380,15 +945,67 @@ async function processTick() {
     uniqueProductiveDomains: uniqueDomains.length,
     earlyBirdDays,
     nightOwlDays,
-    perfectWeekDays
+    perfectWeekDays,
+    goalsHit: goalData.goalsHit,
+    goalStreak: goalData.goalStreak,
+    weeklyGoalsHit,
+    pomodorosCompleted: state.pomodorosCompleted ?? 0
   };
   const achResult = AchievementEngine.evaluate(achStats, achievements);
   achievements = achResult.updatedMap;
 
-  // Add achievement bonus XP
-  if (achResult.bonusXp > 0) {
-    xp = XpEngine.applyXp(xp, achResult.bonusXp);
-    totalXpEarned += achResult.bonusXp;
+  // Add achievement bonus XP, one ledger event per unlock
+  for (const ach of achResult.newlyUnlocked) {
+    const bonus = ach.xpReward || 0;
+    xp = XpEngine.applyXp(xp, bonus);
+    totalXpEarned += bonus;
+    xpEvents.push(XpLedger.createEvent({ source: XpLedger.SOURCES.ACHIEVEMENT, delta: bonus, balance: xp, at: now, ref: ach.id }));
+  }
+
+  // ── Quest check ──────────────────────────────────────
+  const questStats = {
+    ...achStats,
+    hour: DateService.localHour(now),
+    dailyProductiveMinutes: dailyProdMin,
+    dailyDistractingMinutes: dailyDistMin,
+    dailyGoalHit,
+    ...QuestEngine.weeklyTotals(state.weeklyStats ?? [], {
+      productive: dailyProd, productiveMin: dailyProdMin, goalHit: dailyGoalHit
+    })
+  };
+  const questResult = QuestEngine.evaluate(quests, questStats);
+  quests = questResult.updatedLog;
+
+  for (const quest of questResult.newlyCompleted) {
+    const bonus = quest.xpReward || 0;
+    xp = XpEngine.applyXp(xp, bonus);
+    totalXpEarned += bonus;
+    xpEvents.push(XpLedger.createEvent({ source: XpLedger.SOURCES.QUEST, delta: bonus, balance: xp, at: now, ref: quest.id }));
+  }
+
+  for (const quest of questResult.newlyCompleted) {
+    if (settings.showNotifications) {
+      const notif = NotificationEngine.createNotification(
+        NotificationEngine.NOTIFICATION_TYPES.QUEST_COMPLETE,
+        quest
+      );
+      await sendToActiveTab(notif);
+      await StorageManager.addNotification(notif);
+    }
+  }
+
+  // ── Streak freezes earned with lifetime XP ───────────
+  const earnedFreezes = StreakEngine.freezesEarnedForXp(state.totalXpEarned ?? 0, totalXpEarned);
+  const maxFreezes = StreakEngine.MAX_STREAK_FREEZES + PrestigeEngine.extraFreezes(prestigePerks);
+  if (earnedFreezes > 0 && streakFreezes < maxFreezes) {
+    streakFreezes = Math.min(maxFreezes, streakFreezes + earnedFreezes);
+    if (settings.showNotifications) {
+      const notif = NotificationEngine.createNotification(
+        NotificationEngine.NOTIFICATION_TYPES.STREAK_FREEZE,
+        { earned: earnedFreezes, remaining: streakFreezes }
+      );
+      await sendToActiveTab(notif);
+    }
   }
 
   if (achResult.newlyUnlocked.length > 0) {
@@ -416,6 +1033,7 @@ async function processTick() {
       recentNotifications.push(notif);
       // Keep last 20
       if (recentNotifications.length > 20) recentNotifications.shift();
+      await StorageManager.setRuntime({ recentNotifications });
     }
   }
 
@@ -424,18 +1042,23 @@ async function processTick() {
     xp, level, totalXpEarned, totalMinutesTracked: totalMinutes,
     dailyProductiveXp: dailyProd, dailyDistractingXp: dailyDist, dailyNeutralXp: dailyNeut,
     dailyProductiveMinutes: dailyProdMin, dailyDistractingMinutes: dailyDistMin, dailyNeutralMinutes: dailyNeutMin,
+    dailyCategoryXp, dailyCategoryMinutes: dailyCategoryMin, dailyAmbientMinutes: dailyAmbientMin, xpCarry,
+    dailyBudgetUsage: budgetUsage,
     currentStreak: streakData.currentStreak, longestStreak: streakData.longestStreak, lastActiveDate: streakData.lastActiveDate,
-    achievements, levelUpTimestamps: timestamps,
+    streakFreezes,
+    dailyGoalHit, ...goalData, weeklyGoalWeek, weeklyGoalsHit,
+    achievements, quests, levelUpTimestamps: timestamps,
     consecutiveProductiveMinutes: consecProd, currentComboMultiplier: comboMult,
-    highestCombo, consecutiveDistractingTicks: consecDist,
-    hourlyHeatmap: heatmap, domainStats, todayUniqueDomains: uniqueDomains,
+    highestCombo, consecutiveDistractingTicks: consecDist, comboGraceLog,
+    hourlyHeatmap: heatmap, domainStats, todayDomainStats, todayUniqueDomains: uniqueDomains,
     currentSession, focusScore, todayFocusScores: focusScores,
     earlyBirdDays, nightOwlDays, earlyBirdDates, nightOwlDates,
     perfectWeekDays
   });
+  await StorageManager.recordXpEvents(xpEvents);
 
   // ── Update badge ─────────────────────────────────────
-  await updateBadge(level, xpDelta, category);
+  await updateBadge(level, xpDelta, categoryDef);
 }
 
 /* ──────────────────────────────────────────────────────────
@@ -443,51 +1066,353 @@ async function processTick() {
  * ──────────────────────────────────────────────────────── */
 
 async function dayRollCheck() {
-  const today = StreakEngine.todayISO();
+  const today = DateService.todayISO();
   const state = await StorageManager.get([
-    'dailyDate', 'dailyProductiveXp',
     'currentStreak', 'longestStreak', 'lastActiveDate',
-    'focusScore', 'perfectWeekDays', 'weeklyStats'
+    'lastProtectedDate', 'streakFreezes', 'lastFreezeGrantWeek', 'streakCheckDate',
+    'perfectWeekDays', 'weeklyStats',
+    'xp', 'level', 'decayCheckDate', 'lastDecayDate', 'quests', 'prestigePerks', 'settings'
   ]);
 
-  if (state.dailyDate === today) return;
+  if (state.decayCheckDate !== today) {
+    await applyXpDecay(state, today);
+  }
+
+  // New daily quests each day, a new weekly quest each week
+  const quests = QuestEngine.refresh(state.quests, today);
+  if (quests !== state.quests) {
+    await StorageManager.set({ quests });
+  }
+
+  if (state.streakCheckDate === today) return;
+
+  const settings = StorageManager.withDefaultSettings(state.settings);
 
-  // Evaluate yesterday's streak
-  const streakInput = {
+  // Weekly freeze grant, in time to cover the days that just ended
+  let freezes = {
+    streakFreezes:       state.streakFreezes ?? 0,
+    lastFreezeGrantWeek: state.lastFreezeGrantWeek ?? null,
+    granted: 0
+  };
+  const extraFreezes = PrestigeEngine.extraFreezes(state.prestigePerks);
+  const weeklyFreezes = (settings.weeklyStreakFreeze ? 1 : 0) + extraFreezes;
+  if (weeklyFreezes > 0) {
+    freezes = StreakEngine.grantWeeklyFreeze(
+      freezes, today, StreakEngine.MAX_STREAK_FREEZES + extraFreezes, weeklyFreezes
+    );
+  }
+
+  // Cover missed days with rest days and freezes, or break the streak
+  const newStreak = StreakEngine.evaluateStreak({
     currentStreak:     state.currentStreak ?? 0,
     longestStreak:     state.longestStreak ?? 0,
     lastActiveDate:    state.lastActiveDate ?? null,
-    dailyProductiveXp: state.dailyProductiveXp ?? 0
-  };
-  const newStreak = StreakEngine.evaluateStreak(streakInput);
+    lastProtectedDate: state.lastProtectedDate ?? null,
+    streakFreezes:     freezes.streakFreezes
+  }, settings, today);
+
+  if (newStreak.protections.length > 0) {
+    await StorageManager.annotateArchivedDays(Object.fromEntries(
+      newStreak.protections.map((p) => [p.date, { protection: p.type }])
+    ));
+  }
 
-  // Perfect week tracking: if yesterday's focus score was 80+
+  const freezesUsed = newStreak.protections.filter((p) => p.type === 'freeze').length;
+  if (freezesUsed > 0 && settings.showNotifications) {
+    const notif = NotificationEngine.createNotification(
+      NotificationEngine.NOTIFICATION_TYPES.STREAK_FREEZE,
+      { used: freezesUsed, remaining: newStreak.streakFreezes, days: newStreak.currentStreak }
+    );
+    await sendToActiveTab(notif);
+  }
+
+  // Perfect week tracking: if the last archived day's focus score was 80+
+  const lastDay = (state.weeklyStats ?? [])[(state.weeklyStats ?? []).length - 1];
   let perfectDays = state.perfectWeekDays ?? 0;
-  if ((state.focusScore ?? 0) >= 80) {
+  if ((lastDay?.focusScore ?? 0) >= 80) {
     perfectDays += 1;
   } else {
     perfectDays = 0;  // reset on miss
   }
 
   await StorageManager.set({
-    currentStreak:  newStreak.currentStreak,
-    longestStreak:  newStreak.longestStreak,
-    lastActiveDate: newStreak.lastActiveDate,
-    perfectWeekDays: perfectDays
+    currentStreak:       newStreak.currentStreak,
+    longestStreak:       newStreak.longestStreak,
+    lastActiveDate:      newStreak.lastActiveDate,
+    lastProtectedDate:   newStreak.lastProtectedDate,
+    streakFreezes:       newStreak.streakFreezes,
+    lastFreezeGrantWeek: freezes.lastFreezeGrantWeek,
+    streakCheckDate:     today,
+    perfectWeekDays:     perfectDays
+  });
+}
+
+/**
+ * Opt-in XP decay, evaluated once per day.  Every inactive day past
+ * the grace period removes a share of current-level progress; rest
+ * days are skipped.  The loss is recorded as today's dailyDecayXp so
+ * it shows in the popup and in the archived day record.
+ */
+async function applyXpDecay(state, today) {
+  const settings = StorageManager.withDefaultSettings(state.settings);
+  const patch = { decayCheckDate: today };
+  const xpEvents = [];
+
+  if (!settings.decayEnabled) {
+    // Turning decay on later must not charge for days it was off
+    patch.lastDecayDate = DateService.addDaysISO(today, -1);
+  } else {
+    const days = StreakEngine.inactiveDaysToDecay({
+      lastActiveDate: state.lastActiveDate ?? null,
+      lastDecayDate:  state.lastDecayDate ?? null,
+      graceDays:      settings.decayGraceDays,
+      settings,
+      today
+    });
+
+    if (days.length > 0) {
+      const { xp, lost } = XpEngine.calculateDecay(
+        state.xp ?? 0, state.level ?? 1, days.length, settings.decayPercentPerDay
+      );
+      patch.xp = xp;
+      patch.dailyDecayXp = lost;
+      patch.lastDecayDate = days[days.length - 1];
+      if (lost > 0) {
+        xpEvents.push(XpLedger.createEvent({
+          source: XpLedger.SOURCES.DECAY, delta: -lost, balance: xp,
+          modifiers: { days: days.length, percentPerDay: settings.decayPercentPerDay }
+        }));
+      }
+    }
+  }
+
+  await StorageManager.set(patch);
+  await StorageManager.recordXpEvents(xpEvents);
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Focus Mode
+ *  The session lives in chrome.storage.local and its block rule
+ *  in the dynamic rules, which outlive both the worker and the
+ *  browser — syncFocusMode() reconciles the two on startup.
+ * ──────────────────────────────────────────────────────── */
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== FOCUS_ALARM_NAME) return;
+  await rehydrateRuntime();
+  await endFocusMode(Date.now());
+});
+
+/**
+ * Replace every dynamic rule with the focus session's block rule
+ * and the rule for used-up budgets.
+ */
+async function applyBlockRules(session) {
+  const page = chrome.runtime.getURL(FocusEngine.BLOCK_PAGE);
+  const { budgetBlocks } = await StorageManager.get('budgetBlocks');
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existing.map((rule) => rule.id),
+    addRules: [
+      ...FocusEngine.buildRules(session, page),
+      ...BudgetEngine.buildRules(budgetBlocks ?? [], page)
+    ]
   });
 }
 
+/** Pages already open are not re-requested, so send them over too */
+async function redirectOpenTabs(isBlocked, page) {
+  for (const tab of await chrome.tabs.query({})) {
+    if (tab.url && isBlocked(tab.url)) {
+      try { await chrome.tabs.update(tab.id, { url: `${page}#${tab.url}` }); } catch { /* tab closed */ }
+    }
+  }
+}
+
+async function startFocusMode(minutes, now) {
+  const settings = await StorageManager.getSettings();
+  const session = FocusEngine.startSession(settings, minutes, now);
+  await StorageManager.set({ focusSession: session });
+  await applyBlockRules(session);
+  chrome.alarms.create(FOCUS_ALARM_NAME, { when: session.endsAt });
+
+  await redirectOpenTabs(
+    (url) => FocusEngine.blockedDomainFor(url, session),
+    chrome.runtime.getURL(FocusEngine.BLOCK_PAGE)
+  );
+  return session;
+}
+
+/**
+ * End the session and drop its rule.  A session that ran its full
+ * length without a bypass earns the completion bonus.  Queued with
+ * the other XP work (see queueXpWork).
+ */
+function endFocusMode(now) {
+  return queueXpWork(async () => {
+    await chrome.alarms.clear(FOCUS_ALARM_NAME);
+    await applyBlockRules(null);
+
+    const state = await StorageManager.get(['focusSession', 'xp', 'totalXpEarned', 'focusSessionsCompleted', 'settings']);
+    const session = state.focusSession;
+    if (!session) return { completed: false, bonus: 0 };
+
+    const completed = !FocusEngine.isActive(session, now);
+    const bonus = completed ? FocusEngine.completionBonus(session) : 0;
+    const patch = { focusSession: null };
+    if (completed) patch.focusSessionsCompleted = (state.focusSessionsCompleted ?? 0) + 1;
+    if (bonus > 0) {
+      patch.xp = XpEngine.applyXp(state.xp ?? 0, bonus);
+      patch.totalXpEarned = (state.totalXpEarned ?? 0) + bonus;
+    }
+    await StorageManager.set(patch);
+    if (bonus > 0) {
+      await StorageManager.recordXpEvents([XpLedger.createEvent({
+        source: XpLedger.SOURCES.FOCUS_BONUS, delta: bonus, balance: patch.xp, at: now,
+        modifiers: { minutes: session.minutes }
+      })]);
+    }
+
+    if (completed && StorageManager.withDefaultSettings(state.settings).showNotifications) {
+      const notif = NotificationEngine.createNotification(
+        NotificationEngine.NOTIFICATION_TYPES.FOCUS_COMPLETE,
+        { minutes: session.minutes, bonus, bypassed: session.bypassed.length }
+      );
+      await sendToActiveTab(notif);
+      await StorageManager.addNotification(notif);
+    }
+    return { completed, bonus };
+  });
+}
+
+/** Reinstall a running session's rule, or clean up after one that ended */
+async function syncFocusMode(now) {
+  const { focusSession } = await StorageManager.get('focusSession');
+  if (FocusEngine.isActive(focusSession, now)) {
+    await applyBlockRules(focusSession);
+    chrome.alarms.create(FOCUS_ALARM_NAME, { when: focusSession.endsAt });
+  } else {
+    await endFocusMode(now);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Daily Budgets
+ *  Used-up budgets set to block share the dynamic rules with
+ *  Focus Mode.  The blocked domains are kept in storage so the
+ *  rules are only rewritten when they change — the day roll
+ *  empties the usage and with it the blocks.
+ * ──────────────────────────────────────────────────────── */
+
+async function syncBudgetBlocks(settings, usage) {
+  const budgets = BudgetEngine.normalizeBudgets(settings.budgets);
+  const budgetBlocks = BudgetEngine.blockedDomains(budgets, usage, settings);
+  const state = await StorageManager.get(['budgetBlocks', 'focusSession']);
+  const current = state.budgetBlocks ?? [];
+  if (budgetBlocks.join() === current.join()) return;
+
+  await StorageManager.set({ budgetBlocks });
+  await applyBlockRules(FocusEngine.isActive(state.focusSession) ? state.focusSession : null);
+  await redirectOpenTabs(
+    (url) => !!BudgetEngine.blockingBudgetFor(url, budgets, usage, settings),
+    `${chrome.runtime.getURL(FocusEngine.BLOCK_PAGE)}?reason=budget`
+  );
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Pomodoro
+ *  The timer lives in chrome.storage.local and one alarm marks
+ *  the end of the running phase.  The tick reads its break spans
+ *  to decide how each ledger entry is scored.
+ * ──────────────────────────────────────────────────────── */
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== POMODORO_ALARM_NAME) return;
+  await rehydrateRuntime();
+  await queueXpWork(() => completePomodoroPhase(Date.now()));
+});
+
+/** Store the timer and set the alarm for its running phase */
+async function savePomodoro(timer) {
+  await StorageManager.set({ pomodoro: timer });
+  await chrome.alarms.clear(POMODORO_ALARM_NAME);
+  if (timer.status === 'running') {
+    chrome.alarms.create(POMODORO_ALARM_NAME, { when: timer.endsAt });
+  }
+  await updateBadge();
+  return timer;
+}
+
+async function controlPomodoro(action, now) {
+  const { pomodoro, settings } = await StorageManager.get(['pomodoro', 'settings']);
+  const config = StorageManager.withDefaultSettings(settings);
+  if (action === 'start') return savePomodoro(PomodoroEngine.start(pomodoro, config, now));
+  if (action === 'pause') return savePomodoro(PomodoroEngine.pause(pomodoro ?? PomodoroEngine.createTimer(), now));
+  return savePomodoro(PomodoroEngine.skip(pomodoro, config, now));
+}
+
+/**
+ * The running phase ran out.  A finished pomodoro counts towards
+ * the stats and starts its break; a finished break waits for the
+ * next start.  Phases that ended while the worker slept are closed
+ * at their end time — a break that has also run out fires the
+ * alarm again right away.
+ */
+async function completePomodoroPhase(now) {
+  const { pomodoro } = await StorageManager.get('pomodoro');
+  // Alarms may fire a moment early
+  if (pomodoro?.status !== 'running' || pomodoro.endsAt > now + 1000) return;
+
+  await StorageManager.ensureDailyBucket();
+  const state = await StorageManager.get(['pomodorosCompleted', 'dailyPomodoros', 'hourlyHeatmap', 'settings']);
+  const settings = StorageManager.withDefaultSettings(state.settings);
+  const { timer, completedWork } = PomodoroEngine.advance(pomodoro, settings, pomodoro.endsAt);
+
+  let notif = null;
+  if (completedWork) {
+    const dailyPomodoros = (state.dailyPomodoros ?? 0) + 1;
+    const heatmap = state.hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap(XpEngine.getCategories(settings));
+    await StorageManager.set({
+      pomodorosCompleted: (state.pomodorosCompleted ?? 0) + 1,
+      dailyPomodoros,
+      hourlyHeatmap: AnalyticsEngine.recordHourlyPomodoro(heatmap, pomodoro.endsAt)
+    });
+    notif = NotificationEngine.createNotification(NotificationEngine.NOTIFICATION_TYPES.POMODORO_DONE, {
+      today: dailyPomodoros,
+      breakMinutes: PomodoroEngine.getConfig(settings)[timer.phase],
+      longBreak: timer.phase === PomodoroEngine.PHASES.LONG_BREAK
+    });
+  } else {
+    notif = NotificationEngine.createNotification(NotificationEngine.NOTIFICATION_TYPES.BREAK_OVER);
+  }
+  await savePomodoro(timer);
+
+  if (settings.showNotifications) {
+    await sendToActiveTab(notif);
+    await StorageManager.addNotification(notif);
+  }
+}
+
+/** Recreate the phase alarm, or close a phase that ended while closed */
+async function syncPomodoro(now) {
+  const { pomodoro } = await StorageManager.get('pomodoro');
+  if (pomodoro?.status !== 'running') return;
+  if (pomodoro.endsAt <= now) {
+    await queueXpWork(() => completePomodoroPhase(now));
+  } else {
+    chrome.alarms.create(POMODORO_ALARM_NAME, { when: pomodoro.endsAt });
+  }
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Badge Update
  * ──────────────────────────────────────────────────────── */
 
-async function updateBadge(level, xpDelta, category) {
+async function updateBadge(level, xpDelta, categoryDef) {
   if (level === undefined) level = await StorageManager.getLevel();
 
-  const text = `L${level}`;
-  let color = '#4A90D9';
-  if (category === 'productive')  color = '#00C9A7';
-  if (category === 'distracting') color = '#FF6B6B';
+  const text = await badgeText(level);
+  const color = categoryDef?.color || '#4A90D9';
 
   await chrome.action.setBadgeText({ text });
   await chrome.action.setBadgeBackgroundColor({ color });
@@ -498,12 +1423,21 @@ async function updateBadge(level, xpDelta, category) {
       lastXpFlash = now;
       await chrome.action.setBadgeText({ text: `+${xpDelta}` });
       setTimeout(async () => {
-        try { await chrome.action.setBadgeText({ text: `L${level}` }); } catch {}
+        try { await chrome.action.setBadgeText({ text: await badgeText(level) }); } catch {}
       }, 2000);
     }
   }
 }
 
+/** The level, or the minutes left in the phase with the Pomodoro badge on */
+async function badgeText(level) {
+  const { pomodoro, settings } = await StorageManager.get(['pomodoro', 'settings']);
+  if (pomodoro?.status !== 'running' || !StorageManager.withDefaultSettings(settings).pomodoroBadge) {
+    return `L${level}`;
+  }
+  return `${Math.ceil(PomodoroEngine.remainingMs(pomodoro, Date.now()) / 60000)}m`;
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Notifications (Badge-level)
  * ──────────────────────────────────────────────────────── */
@@ -542,21 +1476,30 @@ async function sendToActiveTab(notification) {
  *  Message API
  * ──────────────────────────────────────────────────────── */
 
-chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
-  handleMessage(msg).then(sendResponse).catch((err) => {
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  rehydrateRuntime().then(() => handleMessage(msg, sender)).then(sendResponse).catch((err) => {
     console.error('[XPulse] message error', err);
     sendResponse({ error: err.message });
   });
   return true;
 });
 
-async function handleMessage(msg) {
+async function handleMessage(msg, sender) {
   switch (msg.type) {
     case 'GET_STATE': {
       const state = await StorageManager.getAll();
+      const categories = XpEngine.getCategories(state.settings ?? {});
+      const comboTiers = XpEngine.getComboTiers(state.settings ?? {});
+      const comboGrace = PrestigeEngine.comboGrace(XpEngine.getComboGrace(state.settings ?? {}), state.prestigePerks);
+      const settings = StorageManager.withDefaultSettings(state.settings);
+      const currentPage = activeTabUrl
+        ? { url: activeTabUrl, ...(await classifyUrl(activeTabUrl, settings, Date.now())) }
+        : null;
+      const idsOfClass = (cls) => categories.filter((c) => XpEngine.getCategoryClass(c) === cls).map((c) => c.id);
+      const heatmap = state.hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap(categories);
       const level = state.level ?? 1;
       const rank = XpEngine.getRankTitle(level);
-      const prestige = XpEngine.getPrestige(level);
+      const prestige = XpEngine.getPrestige(state.prestigeCount ?? 0);
       const trend = AnalyticsEngine.computeTrend(state.weeklyStats ?? []);
       const milestone = AnalyticsEngine.getNextMilestone(state.totalXpEarned ?? 0);
       const currentTitle = AnalyticsEngine.getCurrentTitle(state.totalXpEarned ?? 0);
@@ -575,10 +1518,16 @@ async function handleMessage(msg) {
         // Rank & Prestige
         rank,
         prestige,
+        prestigePerks:   PrestigeEngine.describePerks(state.prestigePerks),
+        canPrestige:     PrestigeEngine.canPrestige(level),
+        prestigeLevel:   PrestigeEngine.PRESTIGE_LEVEL,
 
         // Streak
         currentStreak:   state.currentStreak ?? 0,
         longestStreak:   state.longestStreak ?? 0,
+        streakFreezes:   state.streakFreezes ?? 0,
+        maxStreakFreezes: StreakEngine.MAX_STREAK_FREEZES + PrestigeEngine.extraFreezes(state.prestigePerks),
+        isRestDay:       StreakEngine.isRestDay(DateService.todayISO(), settings),
 
         // Daily
         dailyProductiveXp:   state.dailyProductiveXp ?? 0,
@@ -587,23 +1536,42 @@ async function handleMessage(msg) {
         dailyProductiveMin:  state.dailyProductiveMinutes ?? 0,
         dailyDistractingMin: state.dailyDistractingMinutes ?? 0,
         dailyNeutralMin:     state.dailyNeutralMinutes ?? 0,
+        dailyCategoryXp:     state.dailyCategoryXp ?? {},
+        dailyCategoryMin:    state.dailyCategoryMinutes ?? {},
+        dailyAmbientMin:     state.dailyAmbientMinutes ?? {},
+        dailyDecayXp:        state.dailyDecayXp ?? 0,
+
+        // Goals
+        dailyGoal:       { ...GoalEngine.dailyProgress(state.dailyProductiveXp ?? 0, settings), hit: !!state.dailyGoalHit },
+        weeklyGoal:      settings.weeklyGoalEnabled
+          ? GoalEngine.weeklyProgress(state.weeklyStats ?? [], state.dailyProductiveXp ?? 0, settings)
+          : null,
+        goalStreak:      GoalEngine.currentGoalStreak(state, settings),
+        longestGoalStreak: state.longestGoalStreak ?? 0,
+
+        // Categories
+        categories,
+        currentPage,
 
         // Combo
         comboMultiplier: state.currentComboMultiplier ?? 1.0,
         highestCombo:    state.highestCombo ?? 1.0,
         comboMinutes:    state.consecutiveProductiveMinutes ?? 0,
-        comboInfo:       XpEngine.getComboMultiplier(state.consecutiveProductiveMinutes ?? 0),
+        comboInfo:       XpEngine.getComboMultiplier(state.consecutiveProductiveMinutes ?? 0, comboTiers),
+        comboTiers,
+        comboGrace,
+        comboGraceUsed:  XpEngine.comboGraceUsed(state.comboGraceLog ?? [], Date.now(), comboGrace),
 
         // Analytics
         focusScore:      state.focusScore ?? 0,
         focusGrade:      gradeInfo,
-        hourlyHeatmap:   state.hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap(),
+        hourlyHeatmap:   heatmap,
         topDomains:      AnalyticsEngine.getTopDomains(state.domainStats ?? {}, 5),
-        topDistractors:  AnalyticsEngine.getTopDistractors(state.domainStats ?? {}, 3),
+        topDistractors:  AnalyticsEngine.getTopDistractors(state.domainStats ?? {}, 3, idsOfClass('distracting')),
         trend,
         milestone,
         currentTitle,
-        peakHour:        AnalyticsEngine.getPeakHour(state.hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap()),
+        peakHour:        AnalyticsEngine.getPeakHour(heatmap, idsOfClass('productive')),
         longestSession:  state.longestSessionMinutes ?? 0,
         sessions:        (state.sessions ?? []).slice(-10),
 
@@ -611,9 +1579,46 @@ async function handleMessage(msg) {
         achievements:     AchievementEngine.getAllWithStatus(state.achievements ?? {}),
         achievementTiers: AchievementEngine.getCompletionByTier(state.achievements ?? {}),
 
+        // Focus Mode
+        focus: {
+          active:         FocusEngine.isActive(state.focusSession, Date.now()),
+          endsAt:         state.focusSession?.endsAt ?? null,
+          minutes:        state.focusSession?.minutes ?? 0,
+          bypassed:       state.focusSession?.bypassed?.length ?? 0,
+          bonus:          FocusEngine.completionBonus(state.focusSession),
+          durations:      FocusEngine.FOCUS_DURATIONS,
+          defaultMinutes: settings.focusDefaultMinutes,
+          completed:      state.focusSessionsCompleted ?? 0
+        },
+
+        // Intentional visits, last 7 days
+        intents: IntentEngine.summarize(state.intentLog, Date.now() - 7 * 86400000),
+
+        // Daily budgets
+        budgets: BudgetEngine.describe(
+          BudgetEngine.normalizeBudgets(settings.budgets), state.dailyBudgetUsage ?? {}, categories
+        ),
+
+        // Pomodoro
+        pomodoro: {
+          ...(state.pomodoro ?? PomodoroEngine.createTimer()),
+          remainingMs: PomodoroEngine.remainingMs(state.pomodoro, Date.now()),
+          durations:   PomodoroEngine.getConfig(settings),
+          labels:      PomodoroEngine.PHASE_LABELS,
+          today:       state.dailyPomodoros ?? 0,
+          completed:   state.pomodorosCompleted ?? 0
+        },
+
+        // Quests
+        quests: {
+          daily:       QuestEngine.describe(state.quests?.daily),
+          weekly:      QuestEngine.describe(state.quests?.weekly),
+          rerollsLeft: state.quests?.rerollsLeft ?? 0,
+          completed:   state.quests?.completed ?? 0
+        },
+
         // History
         weeklyStats:  state.weeklyStats ?? [],
-        monthlyStats: state.monthlyStats ?? [],
 
         // Settings
         settings: state.settings ?? {},
@@ -624,28 +1629,232 @@ async function handleMessage(msg) {
     }
 
     case 'TAB_VISIBLE':
+      await updateEngagement(sender?.tab?.id, (record) =>
+        EngagementEngine.recordVisibility(record, msg.visible !== false, msg.timestamp ?? Date.now()));
       return { ok: true };
 
     case 'USER_ACTIVITY':
+      await updateEngagement(sender?.tab?.id, (record) =>
+        EngagementEngine.recordActivity(record, msg.kinds, msg.timestamp ?? Date.now()));
+      return { ok: true };
+
+    case 'MEDIA_STATE': {
+      const tabId = sender?.tab?.id;
+      if (tabId === undefined) return { ok: false };
+      const at = msg.timestamp ?? Date.now();
+      await updateEngagement(tabId, (record) => EngagementEngine.recordMedia(record, { element: !!msg.playing }, at));
+      await handleMediaChange(tabId, sender.tab.url, at);
+      return { ok: true };
+    }
+
+    case 'PAGE_METADATA':
+      return handlePageMetadata(msg, sender);
+
+    case 'SET_URL_OVERRIDE': {
+      // category null clears the override
+      const key = ContentClassifier.urlKey(msg.url);
+      const { urlOverrides } = await StorageManager.get('urlOverrides');
+      const overrides = { ...(urlOverrides ?? {}) };
+      if (msg.category) overrides[key] = msg.category;
+      else delete overrides[key];
+      await StorageManager.set({ urlOverrides: overrides });
+      await queueXpWork(() => relabelCurrentSession(msg.url));
+      return { ok: true };
+    }
+
+    case 'CHECK_INTENT': {
+      const url = sender?.tab?.url || msg.url;
+      const domainInfo = url ? XpEngine.extractDomainInfo(url) : null;
+      const state = await StorageManager.get([
+        'intentLog', 'currentComboMultiplier', 'consecutiveProductiveMinutes', 'prestigePerks', 'settings'
+      ]);
+      const settings = StorageManager.withDefaultSettings(state.settings);
+      if (!settings.intentPromptEnabled || !domainInfo) return { prompt: false };
+
+      const now = Date.now();
+      const { category } = await classifyUrl(url, settings, now);
+      const categoryDef = XpEngine.getCategory(category, XpEngine.getCategories(settings));
+      if (XpEngine.getCategoryClass(categoryDef) !== 'distracting') return { prompt: false };
+      if (IntentEngine.recentlyAnswered(state.intentLog, domainInfo.domain, now)) return { prompt: false };
+
+      return {
+        prompt: true,
+        domain: domainInfo.domain,
+        seconds: settings.intentPromptSeconds,
+        reasons: IntentEngine.INTENT_REASONS,
+        ...IntentEngine.stakes({
+          xpRate: categoryDef.xpRate,
+          comboMultiplier: state.currentComboMultiplier ?? 1.0,
+          comboMinutes: state.consecutiveProductiveMinutes ?? 0,
+          graceMinutes: PrestigeEngine.comboGrace(XpEngine.getComboGrace(settings), state.prestigePerks).minutes
+        })
+      };
+    }
+
+    case 'INTENT_ANSWER': {
+      const url = sender?.tab?.url || msg.url;
+      const domainInfo = url ? XpEngine.extractDomainInfo(url) : null;
+      if (!domainInfo || !IntentEngine.INTENT_REASONS.some((r) => r.id === msg.reason)) {
+        return { ok: false, error: 'Unknown reason' };
+      }
+      const key = ContentClassifier.urlKey(url);
+      const state = await StorageManager.get(['intentLog', 'intentOverrides', 'settings']);
+      const patch = {
+        intentLog: IntentEngine.record(state.intentLog, { url: key, domain: domainInfo.domain, reason: msg.reason })
+      };
+      if (msg.reason === IntentEngine.WORK_REASON) {
+        const minutes = StorageManager.withDefaultSettings(state.settings).intentWorkMinutes;
+        patch.intentOverrides = IntentEngine.grantWorkOverride(state.intentOverrides, key, minutes);
+      }
+      await StorageManager.set(patch);
+      if (patch.intentOverrides) await queueXpWork(() => relabelCurrentSession(url));
       return { ok: true };
+    }
 
     case 'RESET':
-      await StorageManager.reset();
+      await queueXpWork(() => StorageManager.reset());
       await updateBadge();
       return { ok: true };
 
     case 'EXPORT':
       return { json: await StorageManager.exportJSON() };
 
+    case 'IMPORT': {
+      const result = await queueXpWork(() => StorageManager.importJSON(msg.json, {
+        mode: msg.mode === 'replace' ? 'replace' : 'merge',
+        apply: !!msg.apply
+      }));
+      if (result.applied) await updateBadge();
+      return result;
+    }
+
     case 'UPDATE_SETTINGS': {
       const current = await StorageManager.getSettings();
       const merged = { ...current, ...msg.settings };
+      DateService.configure(merged);
+      merged.dayStartHour = DateService.getDayStartHour();
+
+      if (Array.isArray(merged.categories)) {
+        merged.categories = XpEngine.normalizeCategories(merged.categories);
+      }
+      if (Array.isArray(merged.comboTiers)) {
+        merged.comboTiers = XpEngine.normalizeComboTiers(merged.comboTiers);
+      }
+      merged.budgets = BudgetEngine.normalizeBudgets(merged.budgets);
+
+      // Drop rules that would never match rather than storing them
+      const ruleErrors = {};
+      if (Array.isArray(merged.classificationRules)) {
+        merged.classificationRules = merged.classificationRules.filter((rule) => {
+          const error = RuleEngine.validateRule(rule);
+          if (error) ruleErrors[rule.id] = error;
+          return !error;
+        });
+      }
+      if (Array.isArray(merged.scheduleRules)) {
+        merged.scheduleRules = merged.scheduleRules.filter((schedule) => {
+          const error = RuleEngine.validateSchedule(schedule);
+          if (error) ruleErrors[schedule.id] = error;
+          return !error;
+        });
+      }
+
       await StorageManager.set({ settings: merged });
-      return { ok: true, settings: merged };
+      await updateBadge();  // the Pomodoro countdown may have been switched
+      const { dailyBudgetUsage } = await StorageManager.get('dailyBudgetUsage');
+      await syncBudgetBlocks(merged, dailyBudgetUsage ?? {});
+      return { ok: true, settings: merged, ruleErrors };
     }
 
+    case 'REROLL_QUEST': {
+      const { quests } = await StorageManager.get('quests');
+      const result = QuestEngine.reroll(quests, msg.scope, msg.index);
+      if (result.error) return { ok: false, error: result.error };
+      await StorageManager.set({ quests: result.updatedLog });
+      return { ok: true };
+    }
+
+    case 'PRESTIGE':
+      return queueXpWork(async () => {
+        const state = await StorageManager.get(['xp', 'level', 'prestigeCount', 'prestigePerks', 'prestigeHistory']);
+        const result = PrestigeEngine.prestige(state, msg.perk);
+        if (result.error) return { ok: false, error: result.error };
+        await StorageManager.set(result.patch);
+        await StorageManager.recordXpEvents([XpLedger.createEvent({
+          source: XpLedger.SOURCES.PRESTIGE, delta: -(state.xp ?? 0), balance: 0, ref: result.patch.prestigeCount
+        })]);
+        await updateBadge(result.patch.level);
+        return { ok: true, prestige: XpEngine.getPrestige(result.patch.prestigeCount) };
+      });
+
+    case 'FOCUS_START': {
+      const session = await startFocusMode(msg.minutes, Date.now());
+      return { ok: true, endsAt: session.endsAt };
+    }
+
+    case 'FOCUS_STOP':
+      return { ok: true, ...(await endFocusMode(Date.now())) };
+
+    case 'GET_FOCUS_STATE': {
+      const state = await StorageManager.get([
+        'focusSession', 'xp', 'level', 'currentComboMultiplier', 'consecutiveProductiveMinutes', 'settings'
+      ]);
+      const session = state.focusSession;
+      const now = Date.now();
+      return {
+        active:       FocusEngine.isActive(session, now),
+        remainingMs:  FocusEngine.remainingMs(session, now),
+        minutes:      session?.minutes ?? 0,
+        domain:       msg.url ? FocusEngine.blockedDomainFor(msg.url, session) : null,
+        bypassed:     session?.bypassed ?? [],
+        bonus:        FocusEngine.completionBonus(session),
+        bypassCost:   StorageManager.withDefaultSettings(state.settings).focusBypassCost,
+        xp:           state.xp ?? 0,
+        level:        state.level ?? 1,
+        comboMultiplier: state.currentComboMultiplier ?? 1.0,
+        comboMinutes: state.consecutiveProductiveMinutes ?? 0
+      };
+    }
+
+    case 'GET_BUDGET_STATE': {
+      const state = await StorageManager.get(['dailyBudgetUsage', 'settings']);
+      const settings = StorageManager.withDefaultSettings(state.settings);
+      const budgets = BudgetEngine.normalizeBudgets(settings.budgets);
+      const budget = BudgetEngine.blockingBudgetFor(msg.url, budgets, state.dailyBudgetUsage ?? {}, settings);
+      if (!budget) return { blocked: false };
+      const [described] = BudgetEngine.describe([budget], state.dailyBudgetUsage ?? {}, XpEngine.getCategories(settings));
+      return { blocked: true, ...described };
+    }
+
+    case 'FOCUS_BYPASS':
+      return queueXpWork(async () => {
+        const state = await StorageManager.get(['focusSession', 'xp', 'settings']);
+        const domain = FocusEngine.blockedDomainFor(msg.url, state.focusSession);
+        if (!FocusEngine.isActive(state.focusSession, Date.now()) || !domain) return { ok: true };
+
+        const cost = StorageManager.withDefaultSettings(state.settings).focusBypassCost;
+        if ((state.xp ?? 0) < cost) return { ok: false, error: `Bypassing costs ${cost} XP` };
+        const session = FocusEngine.bypass(state.focusSession, domain, cost);
+        const xp = XpEngine.applyXp(state.xp ?? 0, -cost);
+        await StorageManager.set({ focusSession: session, xp });
+        await StorageManager.recordXpEvents([XpLedger.createEvent({
+          source: XpLedger.SOURCES.FOCUS_BYPASS, delta: -cost, balance: xp, domain, url: ContentClassifier.urlKey(msg.url)
+        })]);
+        await applyBlockRules(session);
+        return { ok: true };
+      });
+
+    case 'POMODORO_START':
+      return { ok: true, pomodoro: await controlPomodoro('start', Date.now()) };
+
+    case 'POMODORO_PAUSE':
+      return { ok: true, pomodoro: await controlPomodoro('pause', Date.now()) };
+
+    case 'POMODORO_SKIP':
+      return { ok: true, pomodoro: await controlPomodoro('skip', Date.now()) };
+
     case 'FORCE_TICK':
-      await processTick();
+      await queueXpWork(() => processTick(Date.now()));
       return { ok: true };
 
     case 'GET_DOMAIN_STATS':
@@ -654,28 +1863,177 @@ async function handleMessage(msg) {
     case 'GET_SESSIONS':
       return { sessions: (await StorageManager.get('sessions')).sessions ?? [] };
 
-    case 'GET_HEATMAP':
-      return { heatmap: (await StorageManager.get('hourlyHeatmap')).hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap() };
+    case 'GET_DASHBOARD':
+      return getDashboard(msg.from, msg.to);
+
+    case 'GET_XP_EVENTS':
+      return getXpHistory(msg.from, msg.to);
+
+    case 'REPLAY_XP':
+      return queueXpWork(() => replayXpLedger({ rescore: !!msg.rescore, apply: !!msg.apply }));
+
+    case 'GET_HEATMAP': {
+      const categories = XpEngine.getCategories(await StorageManager.getSettings());
+      return { heatmap: (await StorageManager.get('hourlyHeatmap')).hourlyHeatmap || AnalyticsEngine.emptyHourlyHeatmap(categories) };
+    }
 
     default:
       return { error: 'Unknown message type' };
   }
 }
 
+/* ──────────────────────────────────────────────────────────
+ *  Dashboard
+ * ──────────────────────────────────────────────────────── */
+
+const DASHBOARD_DEFAULT_DAYS = 28;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Everything the full-page dashboard shows for a date range
+ * (ISO dates, inclusive; the last four weeks by default).
+ * History comes from HistoryStore, today from the live bucket.
+ */
+async function getDashboard(from, to) {
+  const today = DateService.todayISO();
+  const end = ISO_DATE.test(to || '') ? to : today;
+  const start = ISO_DATE.test(from || '') && from <= end ? from : DateService.addDaysISO(end, 1 - DASHBOARD_DEFAULT_DAYS);
+
+  const state = await StorageManager.get([
+    'xp', 'level', 'totalXpEarned', 'prestigeCount', 'currentStreak', 'longestStreak',
+    'domainStats', 'todayDomainStats', 'sessions', 'currentSession', 'hourlyHeatmap',
+    'dailyDate', 'weeklyStats', 'achievements', 'settings'
+  ]);
+  const settings = StorageManager.withDefaultSettings(state.settings);
+  const categories = XpEngine.getCategories(settings);
+  const liveInRange = !!state.dailyDate && state.dailyDate >= start && state.dailyDate <= end;
+
+  // Sessions that started within the range's days
+  const dayStartMs = (iso) => DateService.parseISO(iso).getTime() + DateService.getDayStartHour() * 3600000;
+  const fromMs = dayStartMs(start);
+  const toMs = dayStartMs(DateService.addDaysISO(end, 1));
+  const sessions = new Map();
+  for (const s of [...await HistoryStore.getSessions(fromMs, toMs), ...(state.sessions ?? [])]) {
+    if (s.startTime >= fromMs && s.startTime < toMs) sessions.set(s.id, s);
+  }
+  if (state.currentSession && state.currentSession.startTime >= fromMs && state.currentSession.startTime < toMs) {
+    sessions.set(state.currentSession.id, { ...state.currentSession, live: true });
+  }
+
+  const heatmaps = (await HistoryStore.getHeatmaps(start, end)).map((h) => h.slots);
+  if (liveInRange && state.hourlyHeatmap) heatmaps.push(state.hourlyHeatmap);
+
+  const domainDays = (await HistoryStore.getDomainDays(start, end))
+    .map(({ date: _date, domain, ...stats }) => ({ [domain]: stats }));
+  if (liveInRange) domainDays.push(state.todayDomainStats ?? {});
+  const asRows = (stats) => Object.entries(stats).map(([domain, s]) => ({ domain, ...s }));
+
+  const earliest = [await HistoryStore.earliestDate(), state.weeklyStats?.[0]?.date, state.dailyDate]
+    .filter(Boolean).sort()[0] || today;
+
+  return {
+    range: { from: start, to: end, earliest, today },
+    settings,
+    categories,
+    level:         state.level ?? 1,
+    xp:            state.xp ?? 0,
+    totalXpEarned: state.totalXpEarned ?? 0,
+    rank:          XpEngine.getRankTitle(state.level ?? 1),
+    prestige:      XpEngine.getPrestige(state.prestigeCount ?? 0),
+    currentStreak: state.currentStreak ?? 0,
+    longestStreak: state.longestStreak ?? 0,
+    days:          await StorageManager.getDayRecords(start, end),
+    sessions:      [...sessions.values()].sort((a, b) => a.startTime - b.startTime),
+    domains:        asRows(AnalyticsEngine.sumDomainStats(domainDays)),
+    allTimeDomains: asRows(state.domainStats ?? {}),
+    heatmap:       AnalyticsEngine.sumHeatmaps(heatmaps),
+    heatmapDays:   heatmaps.length,
+    achievements:     AchievementEngine.getAllWithStatus(state.achievements ?? {}),
+    achievementTiers: AchievementEngine.getCompletionByTier(state.achievements ?? {})
+  };
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  XP Ledger
+ * ──────────────────────────────────────────────────────── */
+
+const XP_HISTORY_LIMIT = 500;
+
+/**
+ * Ledger events for a date range (ISO dates, inclusive; the last
+ * four weeks by default): per-source totals over all of them and
+ * the latest XP_HISTORY_LIMIT, newest first.
+ */
+async function getXpHistory(from, to) {
+  const today = DateService.todayISO();
+  const end = ISO_DATE.test(to || '') ? to : today;
+  const start = ISO_DATE.test(from || '') && from <= end ? from : DateService.addDaysISO(end, 1 - DASHBOARD_DEFAULT_DAYS);
+  const dayStartMs = (iso) => DateService.parseISO(iso).getTime() + DateService.getDayStartHour() * 3600000;
+
+  const events = await HistoryStore.getXpEvents(dayStartMs(start), dayStartMs(DateService.addDaysISO(end, 1)));
+  return {
+    range: { from: start, to: end },
+    total: events.length,
+    summary: XpLedger.summarize(events),
+    events: events.slice(-XP_HISTORY_LIMIT).reverse()
+  };
+}
+
+/**
+ * Replay the whole ledger and audit the stored state against it.
+ * `rescore` recomputes browsing XP and achievement rewards under
+ * the current rules; `apply` saves the result and starts the
+ * ledger afresh from it, so later replays build on the correction.
+ */
+async function replayXpLedger({ rescore, apply }) {
+  const state = await StorageManager.get(['xp', 'level', 'totalXpEarned', 'achievements', 'prestigePerks', 'settings']);
+  const settings = StorageManager.withDefaultSettings(state.settings);
+  // Unboosted: each tick carries the prestige boost it was earned under
+  const categories = rescore ? XpEngine.getCategories(settings) : null;
+
+  const replayed = XpLedger.replay(await HistoryStore.getAllXpEvents(), { categories });
+  const audit = XpLedger.audit(replayed, state);
+  const result = {
+    ok: true,
+    rescored: rescore,
+    events: replayed.events,
+    firstMismatch: replayed.firstMismatch,
+    derivedAchievements: replayed.derivedAchievements,
+    replayed: { xp: replayed.xp, level: replayed.level, totalXpEarned: replayed.totalXpEarned },
+    consistent: audit.ok,
+    differences: audit.differences,
+    applied: false
+  };
+  if (!apply || audit.ok) return result;
+
+  const patch = {
+    xp: replayed.xp,
+    level: replayed.level,
+    totalXpEarned: replayed.totalXpEarned,
+    achievements: replayed.achievements
+  };
+  await StorageManager.set(patch);
+  await StorageManager.recordXpEvents([XpLedger.openingEvent(patch, { ref: rescore ? 'rescore' : 'replay' })]);
+  await updateBadge(patch.level);
+  return { ...result, applied: true };
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Startup — resolve active tab immediately
  * ──────────────────────────────────────────────────────── */
 
 (async () => {
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab) {
-      activeTabId  = tab.id;
-      activeTabUrl = tab.url || null;
-    }
-    await StorageManager.init();
+    await rehydrateRuntime();
     await StorageManager.ensureDailyBucket();
-    await dayRollCheck();
+    await queueXpWork(dayRollCheck);
+    await syncFocusMode(Date.now());
+    await syncPomodoro(Date.now());
+    if (isUserActive) {
+      await ensureActiveTab(Date.now());
+    } else {
+      await stopTiming(Date.now());
+    }
     await updateBadge();
   } catch (e) {
     console.error('[XPulse] startup error', e);
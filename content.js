@@ -4,7 +4,10 @@
  * ============================================================
  *  1. Detects page visibility and focus
  *  2. Relays activity signals to background service worker
- *  3. Renders beautiful floating toast notifications:
+ *  3. Reports page metadata (title, meta tags, og:type, lang)
+ *     for content-aware classification, and <video>/<audio>
+ *     playback state
+ *  4. Renders beautiful floating toast notifications:
  *     - XP gain/loss with animated counter
  *     - Level-up celebrations with particle burst
  *     - Achievement unlocks with tier glow
@@ -13,6 +16,8 @@
  *     - Distraction warnings (escalating severity)
  *     - Session summaries
  *     - Focus score updates
+ *  5. Optionally asks "Why are you here?" on distracting pages
+ *     before they can be used
  * ============================================================
  */
 
@@ -26,16 +31,21 @@
   let isVisible  = !document.hidden;
   let isFocused  = document.hasFocus();
   let lastReport = 0;
+  let lastReportedState = null;
   const THROTTLE = 2000;
 
   function reportVisibility() {
     const now = Date.now();
-    if (now - lastReport < THROTTLE) return;
+    const state = `${isVisible}|${isFocused}`;
+    // Changes always go through; repeats are throttled
+    if (state === lastReportedState && now - lastReport < THROTTLE) return;
     lastReport = now;
+    lastReportedState = state;
     try {
       chrome.runtime.sendMessage({
         type: 'TAB_VISIBLE',
-        visible: isVisible && isFocused,
+        visible: isVisible,
+        focused: isFocused,
         url: window.location.href,
         timestamp: now
       });
@@ -46,29 +56,116 @@
   window.addEventListener('focus', () => { isFocused = true; reportVisibility(); });
   window.addEventListener('blur',  () => { isFocused = false; reportVisibility(); });
 
-  let lastActivity = Date.now();
-  const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'scroll', 'click', 'touchstart'];
+  let lastActivity = 0;
+  const ACTIVITY_EVENTS = ['mousemove', 'keydown', 'scroll', 'wheel', 'click', 'touchstart'];
+  const ACTIVITY_THROTTLE = 30000;
+  const pendingKinds = new Set();
+  let trailingTimer = null;
+
+  // Report which kinds of input happened, so the background can
+  // tell typing/scrolling from a pointer that merely moved
+  function flushActivity() {
+    clearTimeout(trailingTimer);
+    trailingTimer = null;
+    lastActivity = Date.now();
+    const kinds = [...pendingKinds];
+    pendingKinds.clear();
+    try {
+      chrome.runtime.sendMessage({
+        type: 'USER_ACTIVITY',
+        kinds,
+        timestamp: lastActivity
+      });
+    } catch { /* noop */ }
+  }
 
-  function onActivity() {
-    const now = Date.now();
-    if (now - lastActivity > 30000) {
-      lastActivity = now;
-      try {
-        chrome.runtime.sendMessage({
-          type: 'USER_ACTIVITY',
-          timestamp: now
-        });
-      } catch { /* noop */ }
-    }
+  function onActivity(evt) {
+    pendingKinds.add(evt.type);
+    const wait = ACTIVITY_THROTTLE - (Date.now() - lastActivity);
+    if (wait <= 0) flushActivity();
+    else if (!trailingTimer) trailingTimer = setTimeout(flushActivity, wait);
   }
 
   ACTIVITY_EVENTS.forEach((evt) => {
     document.addEventListener(evt, onActivity, { passive: true, capture: true });
   });
 
+  /* ─── Page metadata for content classification ────────── */
+
+  let lastMetaKey = '';
+
+  function readMeta(selector) {
+    const el = document.querySelector(selector);
+    return el ? (el.getAttribute('content') || '').trim() : '';
+  }
+
+  function reportMetadata() {
+    const meta = {
+      title: document.title || '',
+      keywords: readMeta('meta[name="keywords" i]'),
+      description: readMeta('meta[name="description" i]') || readMeta('meta[property="og:description"]'),
+      ogType: readMeta('meta[property="og:type"]'),
+      lang: document.documentElement.lang || ''
+    };
+    // SPAs change URL and title without a reload — only report real changes
+    const key = `${window.location.href}|${meta.title}`;
+    if (key === lastMetaKey) return;
+    lastMetaKey = key;
+    try {
+      chrome.runtime.sendMessage({
+        type: 'PAGE_METADATA',
+        url: window.location.href,
+        meta
+      });
+    } catch { /* noop */ }
+  }
+
+  let metaTimer = null;
+  function scheduleMetadataReport() {
+    clearTimeout(metaTimer);
+    metaTimer = setTimeout(reportMetadata, THROTTLE);
+  }
+
+  const titleEl = document.querySelector('head > title');
+  if (titleEl) new MutationObserver(scheduleMetadataReport).observe(titleEl, { childList: true });
+  window.addEventListener('popstate', scheduleMetadataReport);
+
+  /* ─── Media playback probe ────────────────────────────── */
+
+  let mediaPlaying = false;
+
+  function isAnyMediaPlaying() {
+    return [...document.querySelectorAll('video, audio')]
+      .some((el) => !el.paused && !el.ended && el.readyState > 2);
+  }
+
+  function reportMedia() {
+    const playing = isAnyMediaPlaying();
+    if (playing === mediaPlaying) return;
+    mediaPlaying = playing;
+    try {
+      chrome.runtime.sendMessage({
+        type: 'MEDIA_STATE',
+        playing,
+        timestamp: Date.now()
+      });
+    } catch { /* noop */ }
+  }
+
+  // Media events don't bubble, so listen in the capture phase
+  ['playing', 'pause', 'ended', 'emptied', 'waiting'].forEach((evt) => {
+    document.addEventListener(evt, reportMedia, { capture: true });
+  });
+
   /* ─── Initial report ──────────────────────────────────── */
 
   reportVisibility();
+  reportMedia();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', reportMetadata, { once: true });
+  } else {
+    reportMetadata();
+  }
 
   /* ═══════════════════════════════════════════════════════
    *  PART 2 — Toast Overlay Notification System
@@ -424,7 +521,228 @@
   }
 
   /* ═══════════════════════════════════════════════════════
-   *  PART 3 — Message Listener
+   *  PART 3 — Intentional-Visit Prompt
+   * ═══════════════════════════════════════════════════════ */
+
+  const INTENT_OVERLAY_ID = 'xpulse-intent-overlay';
+
+  function injectIntentStyles() {
+    if (document.getElementById('xpulse-intent-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'xpulse-intent-styles';
+    style.textContent = `
+      #${INTENT_OVERLAY_ID} {
+        position: fixed;
+        inset: 0;
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(10, 10, 20, 0.92);
+        backdrop-filter: blur(12px);
+        -webkit-backdrop-filter: blur(12px);
+        font-family: 'Segoe UI', -apple-system, BlinkMacSystemFont, sans-serif;
+        color: #F1F5F9;
+        animation: xpulseIntentIn 0.25s ease forwards;
+      }
+
+      .xpulse-intent-card {
+        width: min(440px, calc(100vw - 32px));
+        padding: 28px;
+        border-radius: 16px;
+        background: rgba(30, 27, 75, 0.85);
+        border: 1px solid rgba(255, 255, 255, 0.12);
+        box-shadow: 0 16px 48px rgba(0, 0, 0, 0.5);
+        text-align: center;
+      }
+
+      .xpulse-intent-title {
+        font-size: 22px;
+        font-weight: 800;
+        margin-bottom: 6px;
+      }
+
+      .xpulse-intent-domain {
+        font-size: 13px;
+        opacity: 0.6;
+        margin-bottom: 16px;
+      }
+
+      .xpulse-intent-stakes {
+        font-size: 13px;
+        line-height: 1.5;
+        color: #FCA5A5;
+        margin-bottom: 18px;
+      }
+
+      .xpulse-intent-reasons {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .xpulse-intent-card button {
+        font: inherit;
+        font-size: 14px;
+        padding: 10px 14px;
+        border-radius: 10px;
+        border: 1px solid rgba(255, 255, 255, 0.14);
+        background: rgba(255, 255, 255, 0.06);
+        color: inherit;
+        cursor: pointer;
+        text-align: left;
+      }
+
+      .xpulse-intent-card button:hover:not(:disabled) {
+        background: rgba(168, 85, 247, 0.25);
+      }
+
+      .xpulse-intent-card button:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .xpulse-intent-countdown {
+        font-size: 12px;
+        opacity: 0.7;
+        margin: 14px 0 10px;
+        font-variant-numeric: tabular-nums;
+      }
+
+      .xpulse-intent-card .xpulse-intent-leave {
+        text-align: center;
+        width: 100%;
+        background: #7C3AED;
+        border-color: #7C3AED;
+        font-weight: 700;
+      }
+
+      @keyframes xpulseIntentIn {
+        from { opacity: 0; }
+        to   { opacity: 1; }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /** What leaving the focused state costs, as a sentence */
+  function stakesText({ xpPerMinute, comboMultiplier, comboMinutes, graceMinutes }) {
+    const parts = [];
+    if (xpPerMinute < 0) parts.push(`This site costs ${Math.abs(xpPerMinute)} XP a minute.`);
+    if (comboMultiplier > 1) {
+      const grace = graceMinutes > 0 ? ` after ${graceMinutes} min of grace` : '';
+      parts.push(`Your ${comboMultiplier}x combo (${comboMinutes} min) breaks${grace}.`);
+    }
+    return parts.join(' ');
+  }
+
+  function pauseMedia() {
+    document.querySelectorAll('video, audio').forEach((el) => {
+      try { el.pause(); } catch { /* noop */ }
+    });
+  }
+
+  function showIntentPrompt(prompt) {
+    if (document.getElementById(INTENT_OVERLAY_ID)) return;
+    injectIntentStyles();
+    pauseMedia();
+
+    const overlay = document.createElement('div');
+    overlay.id = INTENT_OVERLAY_ID;
+    const card = document.createElement('div');
+    card.className = 'xpulse-intent-card';
+    overlay.appendChild(card);
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'xpulse-intent-title';
+    titleEl.textContent = 'Why are you here?';
+    card.appendChild(titleEl);
+
+    const domainEl = document.createElement('div');
+    domainEl.className = 'xpulse-intent-domain';
+    domainEl.textContent = prompt.domain;
+    card.appendChild(domainEl);
+
+    const stakes = stakesText(prompt);
+    if (stakes) {
+      const stakesEl = document.createElement('div');
+      stakesEl.className = 'xpulse-intent-stakes';
+      stakesEl.textContent = stakes;
+      card.appendChild(stakesEl);
+    }
+
+    const reasonsEl = document.createElement('div');
+    reasonsEl.className = 'xpulse-intent-reasons';
+    const buttons = prompt.reasons.map((reason) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.disabled = true;
+      btn.textContent = `${reason.icon} ${reason.label}`;
+      btn.addEventListener('click', () => answerIntent(overlay, reason.id));
+      reasonsEl.appendChild(btn);
+      return btn;
+    });
+    card.appendChild(reasonsEl);
+
+    const countdownEl = document.createElement('div');
+    countdownEl.className = 'xpulse-intent-countdown';
+    card.appendChild(countdownEl);
+
+    const leaveBtn = document.createElement('button');
+    leaveBtn.type = 'button';
+    leaveBtn.className = 'xpulse-intent-leave';
+    leaveBtn.textContent = 'Never mind, take me back';
+    leaveBtn.addEventListener('click', () => {
+      if (history.length > 1) history.back();
+      else window.close();
+    });
+    card.appendChild(leaveBtn);
+
+    // Answers unlock once the countdown runs out
+    let remaining = Math.max(0, Math.round(prompt.seconds));
+    const tick = () => {
+      if (remaining <= 0) {
+        countdownEl.textContent = 'Pick a reason to continue.';
+        buttons.forEach((btn) => { btn.disabled = false; });
+        return;
+      }
+      countdownEl.textContent = `Take a breath… ${remaining}s`;
+      remaining--;
+      setTimeout(tick, 1000);
+    };
+    tick();
+
+    document.documentElement.appendChild(overlay);
+  }
+
+  function answerIntent(overlay, reason) {
+    try {
+      chrome.runtime.sendMessage({ type: 'INTENT_ANSWER', url: location.href, reason });
+    } catch { /* noop */ }
+    overlay.remove();
+  }
+
+  let lastIntentUrl = '';
+  function checkIntent() {
+    if (location.href === lastIntentUrl) return;
+    lastIntentUrl = location.href;
+    try {
+      chrome.runtime.sendMessage({ type: 'CHECK_INTENT', url: location.href }, (res) => {
+        if (chrome.runtime.lastError || !res?.prompt) return;
+        showIntentPrompt(res);
+      });
+    } catch { /* noop */ }
+  }
+
+  checkIntent();
+  // SPAs change URL without a reload — ask again for the new page
+  window.addEventListener('popstate', checkIntent);
+  window.navigation?.addEventListener('navigatesuccess', checkIntent);
+  if (titleEl) new MutationObserver(checkIntent).observe(titleEl, { childList: true });
+
+  /* ═══════════════════════════════════════════════════════
+   *  PART 4 — Message Listener
    * ═══════════════════════════════════════════════════════ */
 
   chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
@@ -0,0 +1,738 @@
+/**
+ * ============================================================
+ *  XPulse — Full-Page Dashboard Controller
+ * ============================================================
+ *  Renders the background's GET_DASHBOARD data at full size for
+ *  a chosen date range:
+ *    - Range summary cards
+ *    - Daily XP chart and weekly totals by category
+ *    - Hourly heatmap summed over the range
+ *    - Sortable, filterable domain table
+ *    - Session timelines, one track per day
+ *    - Achievement gallery filtered by tier and status
+ *    - XP history from the ledger, with replay to verify or
+ *      rescore the stored XP
+ *  The range lives in the query string (?from=&to=) and the
+ *  section in the fragment, so the popup can deep-link here.
+ * ============================================================
+ */
+
+import DateService from '../utils/dateService.js';
+import XpLedger from '../utils/xpLedger.js';
+
+const $ = (sel) => document.querySelector(sel);
+const $$ = (sel) => document.querySelectorAll(sel);
+
+/* ──────────────────────────────────────────────────────────
+ *  State & Refresh
+ * ──────────────────────────────────────────────────────── */
+
+let data = null;
+let xpHistory = null;
+const REFRESH_MS = 60000;
+const DAY_MS = 86400000;
+
+const view = {
+  from: null,
+  to: null,
+  sort: { key: 'totalMinutes', dir: -1 },
+  domainFilter: '',
+  domainScope: 'range',
+  tier: 'all',
+  status: 'all',
+  xpSource: 'all'
+};
+
+function send(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (res) => {
+      if (chrome.runtime.lastError) {
+        console.warn('[XPulse] message error:', chrome.runtime.lastError.message);
+        resolve(null);
+      } else {
+        resolve(res);
+      }
+    });
+  });
+}
+
+async function refresh() {
+  const [res, xpRes] = await Promise.all([
+    send({ type: 'GET_DASHBOARD', from: view.from, to: view.to }),
+    send({ type: 'GET_XP_EVENTS', from: view.from, to: view.to })
+  ]);
+  if (!res || res.error) return;
+  data = res;
+  xpHistory = xpRes && !xpRes.error ? xpRes : null;
+  DateService.configure(data.settings);
+  view.from = data.range.from;
+  view.to = data.range.to;
+  renderAll();
+}
+
+/** Keep the range in the address bar so the view can be bookmarked */
+function saveRangeToUrl() {
+  const params = new URLSearchParams({ from: view.from, to: view.to });
+  history.replaceState(null, '', `?${params}${location.hash}`);
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Init
+ * ──────────────────────────────────────────────────────── */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const params = new URLSearchParams(location.search);
+  view.from = params.get('from');
+  view.to = params.get('to');
+
+  setupRange();
+  setupDomainTable();
+  setupAchievementFilters();
+  setupXpHistory();
+  await refresh();
+  if (location.hash) document.querySelector(location.hash)?.scrollIntoView();
+  setInterval(refresh, REFRESH_MS);
+});
+
+/* ──────────────────────────────────────────────────────────
+ *  Master Render
+ * ──────────────────────────────────────────────────────── */
+
+function renderAll() {
+  renderHeader();
+  renderRange();
+  renderSummary();
+  renderDayChart();
+  renderWeekTable();
+  renderHeatmap();
+  renderDomainTable();
+  renderTimeline();
+  renderAchievements();
+  renderXpHistory();
+}
+
+function renderHeader() {
+  const prestige = data.prestige?.prestige > 0 ? ` · ${data.prestige.icon} P${data.prestige.prestige}` : '';
+  $('#header-sub').textContent =
+    `Level ${data.level} ${data.rank?.title || ''} · ${formatNum(data.totalXpEarned)} XP earned · 🔥 ${data.currentStreak} day streak${prestige}`;
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Date Range
+ * ──────────────────────────────────────────────────────── */
+
+function setupRange() {
+  $$('.range-presets .chip').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const to = data?.range.today || DateService.todayISO();
+      view.to = to;
+      view.from = btn.dataset.days === 'all'
+        ? (data?.range.earliest || to)
+        : DateService.addDaysISO(to, 1 - parseInt(btn.dataset.days, 10));
+      saveRangeToUrl();
+      refresh();
+    });
+  });
+
+  ['#range-from', '#range-to'].forEach((sel) => {
+    $(sel).addEventListener('change', () => {
+      const from = $('#range-from').value;
+      const to = $('#range-to').value;
+      if (!from || !to) return;
+      view.from = from <= to ? from : to;
+      view.to = from <= to ? to : from;
+      saveRangeToUrl();
+      refresh();
+    });
+  });
+}
+
+function renderRange() {
+  const { from, to, earliest, today } = data.range;
+  $('#range-from').value = from;
+  $('#range-to').value = to;
+  $('#range-from').min = $('#range-to').min = earliest;
+  $('#range-from').max = $('#range-to').max = today;
+
+  const days = rangeDates().length;
+  $$('.range-presets .chip').forEach((btn) => {
+    const active = to === today && (btn.dataset.days === 'all'
+      ? from === earliest
+      : days === parseInt(btn.dataset.days, 10));
+    btn.classList.toggle('active', active);
+  });
+}
+
+/** Every ISO date in the range, including days without records */
+function rangeDates() {
+  const dates = [];
+  for (let d = data.range.from; d <= data.range.to; d = DateService.addDaysISO(d, 1)) dates.push(d);
+  return dates;
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Summary
+ * ──────────────────────────────────────────────────────── */
+
+function renderSummary() {
+  const days = data.days;
+  const sum = (key) => days.reduce((total, d) => total + (d[key] || 0), 0);
+  const tracked = days.filter((d) => d.productiveMin + d.distractingMin + d.neutralMin > 0);
+  const avgFocus = tracked.length > 0
+    ? Math.round(tracked.reduce((total, d) => total + (d.focusScore || 0), 0) / tracked.length)
+    : 0;
+
+  const cards = [
+    { label: 'Productive XP', value: `+${formatNum(sum('productive'))}`, cls: 'positive' },
+    { label: 'Net XP',        value: formatSigned(sum('productive') + sum('neutral') - sum('distracting') - sum('decay')) },
+    { label: 'Productive Time', value: formatMinutes(sum('productiveMin')) },
+    { label: 'Distracted Time', value: formatMinutes(sum('distractingMin')), cls: 'negative' },
+    { label: 'Avg Focus Score', value: avgFocus },
+    { label: 'Goals Hit',     value: `${days.filter((d) => d.goalHit).length} / ${rangeDates().length}` },
+    { label: 'Pomodoros',     value: sum('pomodoros') }
+  ];
+
+  const container = $('#summary');
+  container.innerHTML = '';
+  for (const card of cards) {
+    const el = document.createElement('div');
+    el.className = `summary-card ${card.cls || ''}`;
+    el.innerHTML = `
+      <div class="summary-value">${card.value}</div>
+      <div class="summary-label">${card.label}</div>
+    `;
+    container.appendChild(el);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  History Charts
+ * ──────────────────────────────────────────────────────── */
+
+function renderDayChart() {
+  const container = $('#day-chart');
+  container.innerHTML = '';
+  const byDate = new Map(data.days.map((d) => [d.date, d]));
+  const dates = rangeDates();
+  const maxXp = Math.max(...data.days.map((d) => Math.max(d.productive || 0, Math.abs(d.distracting || 0))), 1);
+  const labelEvery = Math.ceil(dates.length / 14);
+  const dayLabels = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  dates.forEach((date, i) => {
+    const day = byDate.get(date) || {};
+    const productive = day.productive || 0;
+    const distracting = Math.abs(day.distracting || 0);
+
+    const col = document.createElement('div');
+    col.className = `day-col ${day.live ? 'live' : ''}`;
+    col.title = [
+      `${dayLabels[DateService.weekdayOf(date)]} ${date}`,
+      `+${productive} productive XP · −${distracting} distracting XP`,
+      `${formatMinutes(day.productiveMin || 0)} productive · focus ${day.focusScore || 0}`,
+      day.goalHit ? 'Daily goal hit 🎯' : '',
+      day.protection === 'freeze' ? 'Streak kept by a freeze ❄️' : day.protection === 'rest' ? 'Rest day 💤' : ''
+    ].filter(Boolean).join('\n');
+    col.innerHTML = `
+      <div class="day-up"><div class="day-bar positive" style="height:${(productive / maxXp) * 100}%"></div></div>
+      <div class="day-down"><div class="day-bar negative" style="height:${(distracting / maxXp) * 100}%"></div></div>
+      <div class="day-label">${i % labelEvery === 0 ? date.slice(5) : ''}${day.goalHit ? '<span class="goal-dot"></span>' : ''}</div>
+    `;
+    container.appendChild(col);
+  });
+}
+
+function renderWeekTable() {
+  const container = $('#week-table');
+  container.innerHTML = '';
+  if (data.days.length === 0) {
+    container.innerHTML = '<div class="empty-state">No history in this range</div>';
+    return;
+  }
+
+  // Group by the week each day falls in
+  const weeks = new Map();
+  for (const day of data.days) {
+    const key = DateService.weekStartISO(day.date);
+    if (!weeks.has(key)) weeks.set(key, []);
+    weeks.get(key).push(day);
+  }
+
+  const categories = data.categories || [];
+  const weekMinutes = (days) => {
+    const minutes = {};
+    for (const day of days) {
+      for (const [id, c] of Object.entries(day.categories || {})) minutes[id] = (minutes[id] || 0) + c.minutes;
+    }
+    return minutes;
+  };
+  const maxMinutes = Math.max(...[...weeks.values()].map((days) =>
+    Object.values(weekMinutes(days)).reduce((a, b) => a + b, 0)), 1);
+
+  for (const [week, days] of weeks) {
+    const minutes = weekMinutes(days);
+    const total = Object.values(minutes).reduce((a, b) => a + b, 0);
+    const productiveXp = days.reduce((sum, d) => sum + (d.productive || 0), 0);
+    const goals = days.filter((d) => d.goalHit).length;
+
+    const row = document.createElement('div');
+    row.className = 'week-row';
+    row.innerHTML = `
+      <div class="week-label">Week of ${week.slice(5)}</div>
+      <div class="week-stack" style="width:${(total / maxMinutes) * 100}%"></div>
+      <div class="week-stats">
+        <span>+${formatNum(productiveXp)} XP</span>
+        <span>${formatMinutes(total)}</span>
+        <span>🎯 ${goals}/${days.length}</span>
+      </div>
+    `;
+    const stack = row.querySelector('.week-stack');
+    for (const [id, min] of Object.entries(minutes).sort((a, b) => b[1] - a[1])) {
+      if (min <= 0) continue;
+      const cat = categories.find((c) => c.id === id);
+      const seg = document.createElement('div');
+      seg.className = 'week-seg';
+      seg.style.width = `${(min / total) * 100}%`;
+      seg.style.background = cat?.color || 'var(--text-dim)';
+      seg.title = `${cat?.label || id}: ${formatMinutes(min)}`;
+      stack.appendChild(seg);
+    }
+    container.appendChild(row);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Heatmap
+ * ──────────────────────────────────────────────────────── */
+
+function renderHeatmap() {
+  const heatmap = data.heatmap || [];
+  const container = $('#heatmap-grid');
+  container.innerHTML = '';
+  $('#heatmap-note').textContent = `${data.heatmapDays} day${data.heatmapDays === 1 ? '' : 's'}`;
+
+  // Intensity counts XP from XP-earning categories only
+  const earningIds = (data.categories || []).filter((c) => c.xpRate > 0).map((c) => c.id);
+  const slotXp = (slot) => earningIds.reduce((sum, id) => sum + (slot?.xp?.[id] || 0), 0);
+  const maxXp = Math.max(...heatmap.map(slotXp), 1);
+
+  // Hours run in day order, starting at the day-start hour
+  const startHour = DateService.getDayStartHour();
+  for (let i = 0; i < 24; i++) {
+    const h = (startHour + i) % 24;
+    const slot = heatmap[h] || { minutes: 0 };
+    const xp = slotXp(slot);
+    const intensity = xp > 0 ? Math.min(Math.ceil((xp / maxXp) * 5), 5) : 0;
+
+    const cell = document.createElement('div');
+    cell.className = `heat-cell ${intensity > 0 ? `active-${intensity}` : ''}`;
+    cell.title = `${h}:00 — ${xp} XP (${Math.round(slot.minutes || 0)} min)${slot.pomodoros > 0 ? ` · 🍅 ${slot.pomodoros}` : ''}`;
+    cell.innerHTML = `
+      <div class="heat-xp">${xp > 0 ? xp : ''}</div>
+      <div class="heat-hour">${h}:00</div>
+    `;
+    container.appendChild(cell);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Domain Table
+ * ──────────────────────────────────────────────────────── */
+
+function setupDomainTable() {
+  $$('.domain-table th[data-sort]').forEach((th) => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      // Text columns start A→Z, numbers largest first
+      const textual = key === 'domain' || key === 'category';
+      view.sort = view.sort.key === key
+        ? { key, dir: -view.sort.dir }
+        : { key, dir: textual ? 1 : -1 };
+      renderDomainTable();
+    });
+  });
+
+  $('#domain-filter').addEventListener('input', (e) => {
+    view.domainFilter = e.target.value.trim().toLowerCase();
+    renderDomainTable();
+  });
+
+  // Per-day domain stats start with the history store; older days only count in "All time"
+  $('#domain-scope').addEventListener('change', (e) => {
+    view.domainScope = e.target.value;
+    renderDomainTable();
+  });
+}
+
+function renderDomainTable() {
+  if (!data) return;
+  const tbody = $('#domain-rows');
+  tbody.innerHTML = '';
+  const categories = data.categories || [];
+  const { key, dir } = view.sort;
+
+  $$('.domain-table th[data-sort]').forEach((th) => {
+    th.classList.toggle('sorted', th.dataset.sort === key);
+    th.dataset.dir = th.dataset.sort === key ? (dir > 0 ? 'asc' : 'desc') : '';
+  });
+
+  const rows = (view.domainScope === 'all' ? data.allTimeDomains : data.domains)
+    .filter((d) => !view.domainFilter || d.domain.includes(view.domainFilter))
+    .sort((a, b) => {
+      const x = a[key] ?? '';
+      const y = b[key] ?? '';
+      return (typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y))) * dir;
+    });
+
+  if (rows.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="empty-state">No domains yet</td></tr>';
+    return;
+  }
+
+  for (const d of rows) {
+    const cat = categories.find((c) => c.id === d.category);
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="domain-cell"></td>
+      <td><span class="cat-dot" style="background:${cat?.color || 'var(--text-dim)'}"></span>${cat?.label || d.category || '—'}</td>
+      <td class="num">${formatMinutes(d.totalMinutes || 0)}</td>
+      <td class="num ${(d.totalXp || 0) >= 0 ? 'positive' : 'negative'}">${formatSigned(d.totalXp || 0)}</td>
+      <td class="num">${d.visits || 0}</td>
+      <td class="num">${d.ambientMinutes ? formatMinutes(d.ambientMinutes) : '—'}</td>
+      <td>${d.lastVisit ? new Date(d.lastVisit).toLocaleDateString() : '—'}</td>
+    `;
+    tr.querySelector('.domain-cell').textContent = d.domain;
+    tbody.appendChild(tr);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Session Timeline
+ * ──────────────────────────────────────────────────────── */
+
+function renderTimeline() {
+  const container = $('#timeline');
+  container.innerHTML = '';
+  const sessions = data.sessions || [];
+  if (sessions.length === 0) {
+    container.innerHTML = '<div class="empty-state">No sessions in this range</div>';
+    return;
+  }
+
+  const byDay = new Map();
+  for (const s of sessions) {
+    const day = DateService.dayKey(s.startTime);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(s);
+  }
+
+  const categories = data.categories || [];
+  const startHour = DateService.getDayStartHour();
+
+  // Newest day first
+  for (const day of [...byDay.keys()].sort().reverse()) {
+    const list = byDay.get(day).sort((a, b) => a.startTime - b.startTime);
+    const dayStart = DateService.parseISO(day).getTime() + startHour * 3600000;
+    const totalMin = Math.round(list.reduce((sum, s) => sum + (s.duration || 0), 0) / 60);
+    const totalXp = list.reduce((sum, s) => sum + (s.xpEarned || 0), 0);
+
+    const block = document.createElement('div');
+    block.className = 'timeline-day';
+    block.innerHTML = `
+      <div class="timeline-head">
+        <span class="timeline-date">${day}</span>
+        <span class="timeline-meta">${list.length} sessions · ${formatMinutes(totalMin)} · ${formatSigned(totalXp)} XP</span>
+      </div>
+      <div class="timeline-track"></div>
+      <div class="timeline-hours">
+        ${[0, 6, 12, 18].map((i) => `<span style="left:${(i / 24) * 100}%">${(startHour + i) % 24}:00</span>`).join('')}
+      </div>
+      <div class="timeline-list"></div>
+    `;
+
+    const track = block.querySelector('.timeline-track');
+    const rows = block.querySelector('.timeline-list');
+    for (const s of list) {
+      const cat = categories.find((c) => c.id === s.category);
+      const time = new Date(s.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const durMin = Math.max(1, Math.round((s.duration || 0) / 60));
+      const label = `${s.host || s.domain || 'unknown'} — ${time}, ${durMin}m, ${formatSigned(s.xpEarned || 0)} XP`;
+
+      // Blocks show wall-clock span; duration is credited time within it
+      const spanEnd = s.endTime || s.startTime + (s.duration || 0) * 1000;
+      const seg = document.createElement('div');
+      seg.className = `timeline-seg ${s.live ? 'live' : ''}`;
+      seg.style.left = `${Math.max(0, (s.startTime - dayStart) / DAY_MS) * 100}%`;
+      seg.style.width = `${Math.max(0.3, ((spanEnd - s.startTime) / DAY_MS) * 100)}%`;
+      seg.style.background = cat?.color || 'var(--text-dim)';
+      seg.title = s.reason ? `${label}\n${s.reason}` : label;
+      track.appendChild(seg);
+
+      const row = document.createElement('div');
+      row.className = 'timeline-row';
+      row.style.borderLeftColor = cat?.color || 'var(--text-dim)';
+      row.innerHTML = `
+        <span class="timeline-time">${time}</span>
+        <span class="timeline-host"></span>
+        <span class="timeline-cat">${cat?.label || s.category || ''}</span>
+        <span class="timeline-dur">${durMin}m</span>
+        <span class="timeline-xp ${(s.xpEarned || 0) >= 0 ? 'positive' : 'negative'}">${formatSigned(s.xpEarned || 0)} XP</span>
+      `;
+      row.querySelector('.timeline-host').textContent = `${s.host || s.domain || 'unknown'}${s.live ? ' (now)' : ''}`;
+      rows.appendChild(row);
+    }
+
+    container.appendChild(block);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Achievement Gallery
+ * ──────────────────────────────────────────────────────── */
+
+function setupAchievementFilters() {
+  $('#ach-status').addEventListener('change', (e) => {
+    view.status = e.target.value;
+    renderAchievements();
+  });
+}
+
+function renderTierFilters() {
+  const container = $('#tier-filters');
+  container.innerHTML = '';
+  const tiers = data.achievementTiers || {};
+  const all = Object.values(tiers).reduce((acc, t) => ({ done: acc.done + t.done, total: acc.total + t.total }), { done: 0, total: 0 });
+
+  for (const [tier, info] of [['all', all], ...Object.entries(tiers)]) {
+    const btn = document.createElement('button');
+    btn.className = `chip ${view.tier === tier ? 'active' : ''}`;
+    btn.dataset.tier = tier;
+    btn.textContent = `${tier === 'all' ? 'All' : tier[0].toUpperCase() + tier.slice(1)} ${info.done}/${info.total}`;
+    btn.addEventListener('click', () => {
+      view.tier = tier;
+      renderAchievements();
+    });
+    container.appendChild(btn);
+  }
+}
+
+function renderAchievements() {
+  renderTierFilters();
+  const container = $('#ach-gallery');
+  container.innerHTML = '';
+
+  const list = (data.achievements || []).filter((a) =>
+    (view.tier === 'all' || a.tier === view.tier)
+    && (view.status === 'all' || (view.status === 'unlocked') === !!a.unlocked));
+
+  if (list.length === 0) {
+    container.innerHTML = '<div class="empty-state">Nothing here yet</div>';
+    return;
+  }
+
+  for (const ach of list) {
+    const card = document.createElement('div');
+    const isHidden = ach.hidden && !ach.unlocked;
+    card.className = `ach-card ${ach.unlocked ? 'unlocked' : 'locked'} ${isHidden ? 'hidden-ach' : ''}`;
+    card.dataset.tier = ach.tier || 'beginner';
+    card.innerHTML = `
+      <div class="ach-icon">${ach.icon || '❓'}</div>
+      <div class="ach-name">${ach.title || '???'}</div>
+      <div class="ach-desc">${ach.desc || 'Hidden achievement'}</div>
+      <div class="ach-foot">
+        <span class="ach-tier-badge">${ach.tier || ''}</span>
+        ${ach.xpReward ? `<span class="ach-xp-badge">+${ach.xpReward} XP</span>` : ''}
+      </div>
+      ${ach.unlocked && ach.unlockedAt ? `<div class="ach-date">Unlocked ${new Date(ach.unlockedAt).toLocaleDateString()}</div>` : ''}
+    `;
+    container.appendChild(card);
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  XP History
+ * ──────────────────────────────────────────────────────── */
+
+function setupXpHistory() {
+  const select = $('#xp-source');
+  for (const [source, { label, icon }] of Object.entries(XpLedger.SOURCE_LABELS)) {
+    const opt = document.createElement('option');
+    opt.value = source;
+    opt.textContent = `${icon} ${label}`;
+    select.appendChild(opt);
+  }
+  select.addEventListener('change', (e) => {
+    view.xpSource = e.target.value;
+    renderXpHistory();
+  });
+
+  $('#btn-xp-verify').addEventListener('click', () => replayXp(false));
+  $('#btn-xp-rescore').addEventListener('click', () => replayXp(true));
+}
+
+function renderXpHistory() {
+  const tbody = $('#xp-rows');
+  const sources = $('#xp-sources');
+  tbody.innerHTML = '';
+  sources.innerHTML = '';
+  if (!xpHistory) {
+    tbody.innerHTML = '<tr><td colspan="6" class="empty-state">XP history unavailable</td></tr>';
+    return;
+  }
+
+  $('#xp-note').textContent = xpHistory.total > xpHistory.events.length
+    ? `latest ${formatNum(xpHistory.events.length)} of ${formatNum(xpHistory.total)} events`
+    : `${formatNum(xpHistory.total)} events`;
+
+  for (const [source, totals] of Object.entries(xpHistory.summary)) {
+    const { label, icon } = XpLedger.SOURCE_LABELS[source] || { label: source, icon: '•' };
+    const chip = document.createElement('span');
+    chip.className = 'xp-source-chip';
+    const parts = [totals.gained ? `+${formatNum(totals.gained)}` : '', totals.lost ? `−${formatNum(totals.lost)}` : ''].filter(Boolean);
+    chip.textContent = `${icon} ${label} ${parts.join(' / ') || '0'} XP · ${formatNum(totals.count)}×`;
+    sources.appendChild(chip);
+  }
+
+  const events = xpHistory.events.filter((e) => view.xpSource === 'all' || e.source === view.xpSource);
+  if (events.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="empty-state">No XP changes in this range</td></tr>';
+    return;
+  }
+
+  const categories = data?.categories || [];
+  for (const event of events) {
+    const { label, icon } = XpLedger.SOURCE_LABELS[event.source] || { label: event.source, icon: '•' };
+    const cat = categories.find((c) => c.id === event.category);
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="xp-time">${new Date(event.at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
+      <td>${icon} ${label}</td>
+      <td class="xp-where"></td>
+      <td class="xp-how"></td>
+      <td class="num ${event.delta >= 0 ? 'positive' : 'negative'}">${event.source === XpLedger.SOURCES.OPENING ? '' : formatSigned(event.delta)}</td>
+      <td class="num">${formatNum(event.balance ?? 0)}</td>
+    `;
+    const where = tr.querySelector('.xp-where');
+    where.textContent = event.domain || describeRef(event);
+    if (cat) where.insertAdjacentHTML('afterbegin', `<span class="cat-dot" style="background:${cat.color}"></span>`);
+    if (event.url) where.title = event.url;
+    tr.querySelector('.xp-how').textContent = describeModifiers(event);
+    tbody.appendChild(tr);
+  }
+}
+
+/** What a bonus or reset was for */
+function describeRef(event) {
+  switch (event.source) {
+    case XpLedger.SOURCES.ACHIEVEMENT:
+      return (data?.achievements || []).find((a) => a.id === event.ref)?.title || event.ref;
+    case XpLedger.SOURCES.GOAL:
+      return event.ref === 'week' ? 'Weekly goal' : 'Daily goal';
+    case XpLedger.SOURCES.PRESTIGE:
+      return `Prestige ${event.ref}`;
+    case XpLedger.SOURCES.OPENING:
+      return event.ref ? `Corrected by ${event.ref}` : 'Ledger started';
+    default:
+      return event.ref || '';
+  }
+}
+
+/** The modifiers an event was worked out from, in words */
+function describeModifiers(event) {
+  const m = event.modifiers;
+  if (event.source === XpLedger.SOURCES.OPENING) {
+    return `Level ${event.state?.level ?? 1} · ${formatNum(event.state?.totalXpEarned ?? 0)} XP earned`;
+  }
+  if (!m) return '';
+  if (event.source === XpLedger.SOURCES.DECAY) return `${m.days} day${m.days === 1 ? '' : 's'} inactive × ${m.percentPerDay}%`;
+  if (event.source === XpLedger.SOURCES.FOCUS_BONUS) return `${m.minutes}-minute session`;
+  if (event.source !== XpLedger.SOURCES.TICK) return '';
+
+  const seconds = `${Math.round(m.seconds)}s`;
+  if (m.escalation != null) {
+    return m.overSeconds > 0
+      ? `Over ${m.budgetMinutes}m budget · ${m.rate}/min × ${m.escalation} · ${Math.round(m.overSeconds)}s over`
+      : `Within ${m.budgetMinutes}m budget · ${seconds}`;
+  }
+  const parts = [`${m.rate}/min`];
+  if (m.combo !== 1) parts.push(`×${m.combo} combo`);
+  if (m.timeOfDay) parts.push(`+${Math.round(m.timeOfDay * 100)}% time of day`);
+  if (m.streakBonus) parts.push(`+${Math.round(m.streakBonus * 100)}% streak`);
+  if (m.capped) parts.push('capped');
+  parts.push(m.credited < m.seconds ? `${Math.round(m.credited)}s of ${seconds} engaged` : seconds);
+  return parts.join(' · ');
+}
+
+/**
+ * Replay the ledger — as recorded to verify the stored XP, or
+ * under the current rules to rescore it — and offer to save
+ * the result when it differs.
+ */
+async function replayXp(rescore, apply = false) {
+  const box = $('#xp-audit');
+  const res = await send({ type: 'REPLAY_XP', rescore, apply });
+  box.hidden = false;
+  if (!res || res.error) {
+    box.className = 'xp-audit bad';
+    box.textContent = 'Replay failed.';
+    return;
+  }
+  if (res.applied) {
+    await refresh();
+    box.className = 'xp-audit ok';
+    box.textContent = `Saved: ${formatNum(res.replayed.xp)} XP, level ${res.replayed.level}.`;
+    return;
+  }
+
+  box.className = `xp-audit ${res.consistent ? 'ok' : 'bad'}`;
+  const what = rescore ? 'Under the current rules' : 'Replayed as recorded';
+  box.innerHTML = `<span>${res.consistent ? '✓' : '⚠️'} ${what}, ${formatNum(res.events)} events give `
+    + `${formatNum(res.replayed.xp)} XP at level ${res.replayed.level} `
+    + `(${formatNum(res.replayed.totalXpEarned)} earned)${res.consistent ? ' — matches your stats.' : '.'}</span>`;
+  if (res.consistent) return;
+
+  const list = document.createElement('ul');
+  for (const diff of res.differences) {
+    const li = document.createElement('li');
+    li.textContent = diff.field === 'achievements'
+      ? `Achievements — only stored: ${diff.stored.join(', ') || 'none'}; only in the ledger: ${diff.replayed.join(', ') || 'none'}`
+      : `${diff.field}: stored ${formatNum(diff.stored)}, ledger ${formatNum(diff.replayed)}`;
+    list.appendChild(li);
+  }
+  if (res.firstMismatch) {
+    const { label } = XpLedger.SOURCE_LABELS[res.firstMismatch.source] || { label: res.firstMismatch.source };
+    const li = document.createElement('li');
+    li.textContent = `First disagreement: ${label} at ${new Date(res.firstMismatch.at).toLocaleString()} `
+      + `recorded ${formatNum(res.firstMismatch.recorded)} XP, replay gives ${formatNum(res.firstMismatch.replayed)}`;
+    list.appendChild(li);
+  }
+
+  const btn = document.createElement('button');
+  btn.className = 'chip';
+  btn.textContent = 'Use these values';
+  btn.addEventListener('click', () => {
+    if (confirm('Replace your stored XP, level, lifetime XP and achievements with the replayed values?')) {
+      replayXp(rescore, true);
+    }
+  });
+  box.appendChild(btn);
+  box.appendChild(list);
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Utilities
+ * ──────────────────────────────────────────────────────── */
+
+function formatNum(n) {
+  if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
+  if (n >= 10_000)    return `${(n / 1_000).toFixed(1)}K`;
+  return n.toLocaleString();
+}
+
+function formatSigned(n) {
+  return `${n >= 0 ? '+' : '−'}${formatNum(Math.abs(Math.round(n)))}`;
+}
+
+function formatMinutes(min) {
+  const m = Math.round(min);
+  return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+}
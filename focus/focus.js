@@ -0,0 +1,135 @@
+/**
+ * ============================================================
+ *  XPulse — Focus Mode Interstitial Controller
+ * ============================================================
+ *  Blocked requests land here with the original URL in the
+ *  fragment.  Shows the session's remaining time, the combo and
+ *  the bonus at stake, and lets the user pay XP to continue.
+ *  With ?reason=budget the page explains a used-up daily budget
+ *  instead; there is no bypass for those.
+ *  The page is web-accessible (the redirect needs it), so it
+ *  refuses to run in a frame and only ever navigates to http(s)
+ *  URLs.
+ * ============================================================
+ */
+
+const $ = (sel) => document.querySelector(sel);
+
+/** The fragment if it is an http(s) URL, else '' */
+function parseBlockedUrl(raw) {
+  try {
+    const url = new URL(raw);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+  } catch {
+    return '';
+  }
+}
+
+const framed = window.top !== window;
+const blockedUrl = parseBlockedUrl(location.hash.slice(1));
+const reason = new URLSearchParams(location.search).get('reason');
+const REFRESH_MS = 5000;
+
+let focus = null;
+let fetchedAt = 0;
+
+function send(message) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (res) => {
+      if (chrome.runtime.lastError) resolve(null);
+      else resolve(res);
+    });
+  });
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Render
+ * ──────────────────────────────────────────────────────── */
+
+function formatClock(ms) {
+  const total = Math.ceil(ms / 1000);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function render() {
+  if (!focus) return;
+  const remaining = Math.max(0, focus.remainingMs - (Date.now() - fetchedAt));
+  $('#timer').textContent = formatClock(remaining);
+  $('#blocked').textContent = `${focus.domain} is blocked while you focus.`;
+  $('#combo').textContent = `${focus.comboMultiplier.toFixed(1)}x`;
+  $('#xp').textContent = Math.floor(focus.xp).toLocaleString();
+  $('#bonus').textContent = `+${focus.bonus}`;
+
+  const bypass = $('#btn-bypass');
+  bypass.textContent = `Pay ${focus.bypassCost} XP to continue`;
+  bypass.disabled = focus.xp < focus.bypassCost;
+  bypass.title = focus.bonus > 0 ? `Bypassing also forfeits the +${focus.bonus} XP completion bonus` : '';
+}
+
+function renderBudget(budget) {
+  document.title = 'XPulse — Budget Used Up';
+  $('.logo-glow').textContent = '⌛';
+  $('.brand').textContent = 'Budget Used Up';
+  $('#blocked').textContent = `You've used your ${budget.minutes} minutes of ${budget.label} for today.`;
+  $('#note').textContent = 'It opens again when the day rolls over.';
+  $('#note').classList.add('info');
+  for (const el of [$('#timer'), $('.timer-label'), $('.stakes'), $('#btn-bypass')]) el.hidden = true;
+}
+
+async function refreshBudget() {
+  const res = await send({ type: 'GET_BUDGET_STATE', url: blockedUrl });
+  if (!res) return;
+
+  // New day, or the budget was raised or removed
+  if (!res.blocked) {
+    if (blockedUrl) location.replace(blockedUrl);
+    return;
+  }
+  renderBudget(res);
+}
+
+async function refresh() {
+  if (reason === 'budget') return refreshBudget();
+  const res = await send({ type: 'GET_FOCUS_STATE', url: blockedUrl });
+  if (!res) return;
+
+  // Session over, or this domain was bypassed from another tab
+  if (!res.active || !res.domain) {
+    if (blockedUrl) location.replace(blockedUrl);
+    return;
+  }
+  focus = res;
+  fetchedAt = Date.now();
+  render();
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Actions
+ * ──────────────────────────────────────────────────────── */
+
+$('#btn-back').addEventListener('click', async () => {
+  if (history.length > 1) {
+    history.back();
+  } else {
+    const tab = await chrome.tabs.getCurrent();
+    if (tab) chrome.tabs.remove(tab.id);
+  }
+});
+
+$('#btn-bypass').addEventListener('click', async () => {
+  if (!focus || !blockedUrl) return;
+  const res = await send({ type: 'FOCUS_BYPASS', url: blockedUrl });
+  if (res?.ok) {
+    location.replace(blockedUrl);
+  } else {
+    $('#note').textContent = res?.error || 'Could not bypass';
+  }
+});
+
+if (framed) {
+  document.body.replaceChildren();
+} else {
+  refresh();
+  setInterval(render, 1000);
+  setInterval(refresh, REFRESH_MS);
+}
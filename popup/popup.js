@@ -5,16 +5,22 @@
  *  Renders all state from background into the tabbed dashboard:
  *    - Level ring, XP, combo, rank, prestige
  *    - Focus score with letter grade
+ *    - Focus Mode start / stop with countdown
  *    - Today's breakdown bars
  *    - 7-day weekly chart with trend
  *    - Milestone progress
  *    - Hourly heatmap
  *    - Top domains & distractors
  *    - Session history
+ *    - Daily and weekly quests with rerolls
  *    - Achievement grid with tier progress
+ *    - Prestige reset with perk choice
+ *    - Links into the full-page dashboard
  * ============================================================
  */
 
+import DateService from '../utils/dateService.js';
+
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
 
@@ -42,6 +48,7 @@ async function refresh() {
   const s = await fetchState();
   if (!s || s.error) return;
   state = s;
+  DateService.configure(state.settings);
   renderAll();
 }
 
@@ -84,7 +91,7 @@ function setupButtons() {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `xpulse-export-${new Date().toISOString().slice(0, 10)}.json`;
+        a.download = `xpulse-export-${DateService.todayISO()}.json`;
         a.click();
         URL.revokeObjectURL(url);
       }
@@ -101,6 +108,34 @@ function setupButtons() {
     chrome.runtime.sendMessage({ type: 'FORCE_TICK' }, () => refresh());
   });
 
+  $('#btn-focus-start')?.addEventListener('click', () => {
+    const minutes = parseInt($('#focus-minutes').value, 10);
+    chrome.runtime.sendMessage({ type: 'FOCUS_START', minutes }, () => refresh());
+  });
+
+  $('#btn-focus-stop')?.addEventListener('click', () => {
+    if (confirm('Stop Focus Mode early? The completion bonus is only paid for a full session.')) {
+      chrome.runtime.sendMessage({ type: 'FOCUS_STOP' }, () => refresh());
+    }
+  });
+
+  $('#btn-pomodoro-start')?.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'POMODORO_START' }, () => refresh());
+  });
+
+  $('#btn-pomodoro-pause')?.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'POMODORO_PAUSE' }, () => refresh());
+  });
+
+  $('#btn-pomodoro-skip')?.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'POMODORO_SKIP' }, () => refresh());
+  });
+
+  $('#btn-dashboard')?.addEventListener('click', () => openDashboard());
+  $$('[data-dashboard]').forEach((btn) => {
+    btn.addEventListener('click', () => openDashboard(btn.dataset.dashboard));
+  });
+
   $('#btn-settings')?.addEventListener('click', () => {
     if (chrome.runtime.openOptionsPage) {
       chrome.runtime.openOptionsPage();
@@ -108,6 +143,12 @@ function setupButtons() {
   });
 }
 
+/** Open the full-page dashboard, scrolled to a section */
+function openDashboard(section = '') {
+  const url = chrome.runtime.getURL(`dashboard/dashboard.html${section ? `#${section}` : ''}`);
+  chrome.tabs.create({ url });
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Master Render
  * ──────────────────────────────────────────────────────── */
@@ -116,12 +157,20 @@ function renderAll() {
   renderHeader();
   renderLevelCard();
   renderStatsRow();
+  renderCurrentPage();
+  renderFocus();
+  renderPomodoro();
+  renderGoal();
+  renderBudgets();
   renderBreakdown();
   renderWeeklyChart();
   renderMilestone();
   renderHeatmap();
   renderDomains();
+  renderIntents();
   renderSessions();
+  renderQuests();
+  renderPrestige();
   renderTierProgress();
   renderAchievements();
 }
@@ -138,9 +187,10 @@ function renderHeader() {
   $('#rank-badge').textContent = rank.title || 'Recruit';
 
   const prestigeEl = $('#prestige-badge');
-  if (prestige.label && prestige.level > 0) {
-    prestigeEl.textContent = `${prestige.icon || '⭐'} P${prestige.level}`;
-    prestigeEl.title = prestige.label;
+  if (prestige.prestige > 0) {
+    prestigeEl.textContent = `${prestige.icon || '⭐'} P${prestige.prestige}`;
+    prestigeEl.title = `${prestige.title} prestige`;
+    prestigeEl.style.borderColor = prestige.border;
   } else {
     prestigeEl.textContent = '';
   }
@@ -181,11 +231,22 @@ function renderLevelCard() {
     else comboEl.style.color = '';
   }
   const comboMin = $('#combo-minutes');
-  if (comboMin && state.comboMinutes > 0) {
-    comboMin.textContent = `(${state.comboMinutes}m)`;
+  if (comboMin && state.comboMinutes >= 1) {
+    comboMin.textContent = `(${Math.floor(state.comboMinutes)}m)`;
   } else if (comboMin) {
     comboMin.textContent = '';
   }
+
+  // Distracting time inside the grace window puts the combo at risk
+  const display = $('#combo-display');
+  const graceUsed = state.comboGraceUsed || 0;
+  const atRisk = state.comboMinutes >= 1 && graceUsed > 0;
+  if (display) {
+    display.classList.toggle('at-risk', atRisk);
+    display.title = atRisk && state.comboGrace
+      ? `Combo at risk: ${graceUsed.toFixed(1)} of ${state.comboGrace.minutes} distracting min used in the last ${state.comboGrace.windowMinutes} min`
+      : '';
+  }
 }
 
 /* ──────────────────────────────────────────────────────────
@@ -205,33 +266,114 @@ function renderStatsRow() {
 
   $('#streak-count').textContent = state.currentStreak || 0;
 
+  // Freezes remaining, and whether today is a declared rest day
+  const freezesEl = $('#streak-freezes');
+  if (freezesEl) {
+    const freezes = state.streakFreezes || 0;
+    freezesEl.textContent = `❄️${freezes}${state.isRestDay ? ' 💤' : ''}`;
+    freezesEl.title = `${freezes} of ${state.maxStreakFreezes || 3} streak freezes remaining`
+      + (state.isRestDay ? ' · today is a rest day' : '');
+  }
+
   const totalMin = (state.dailyProductiveMin || 0) + (state.dailyDistractingMin || 0) + (state.dailyNeutralMin || 0);
-  $('#total-minutes').textContent = totalMin;
+  $('#total-minutes').textContent = Math.round(totalMin);
 
   $('#highest-combo').textContent = `${(state.highestCombo || 1.0).toFixed(1)}x`;
 }
 
+/* ──────────────────────────────────────────────────────────
+ *  Current Page
+ * ──────────────────────────────────────────────────────── */
+
+function renderCurrentPage() {
+  const section = $('#current-page-section');
+  if (!section) return;
+
+  const page = state.currentPage;
+  if (!page || !/^https?:/.test(page.url)) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = '';
+
+  let host = page.url;
+  try { host = new URL(page.url).hostname.replace(/^www\./, ''); } catch { /* keep raw url */ }
+  $('#current-page-host').textContent = host;
+  $('#current-page-reason').textContent = page.reason || '';
+
+  const select = $('#current-page-select');
+  select.innerHTML = '';
+  const auto = document.createElement('option');
+  auto.value = '';
+  auto.textContent = 'Auto';
+  select.appendChild(auto);
+  (state.categories || []).forEach((cat) => {
+    const opt = document.createElement('option');
+    opt.value = cat.id;
+    opt.textContent = cat.label;
+    select.appendChild(opt);
+  });
+  select.value = page.source === 'override' ? page.category : '';
+
+  const cat = (state.categories || []).find((c) => c.id === page.category);
+  select.style.borderColor = cat ? cat.color : '';
+
+  select.onchange = () => {
+    chrome.runtime.sendMessage(
+      { type: 'SET_URL_OVERRIDE', url: page.url, category: select.value || null },
+      () => refresh()
+    );
+  };
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Breakdown Bars
  * ──────────────────────────────────────────────────────── */
 
 function renderBreakdown() {
-  const prod = state.dailyProductiveXp || 0;
-  const dist = state.dailyDistractingXp || 0;
-  const neut = state.dailyNeutralXp || 0;
-  const max  = Math.max(prod, dist, neut, 1);
-
-  setBarWidth('#bar-productive', prod, max);
-  setBarWidth('#bar-distracting', dist, max);
-  setBarWidth('#bar-neutral', neut, max);
-
-  $('#val-productive').textContent = `${prod} XP`;
-  $('#val-distracting').textContent = `${dist} XP`;
-  $('#val-neutral').textContent = `${neut} XP`;
+  const container = $('#breakdown-bars');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const categories = state.categories || [];
+  const dailyXp = state.dailyCategoryXp || {};
+  const max = Math.max(...categories.map((c) => dailyXp[c.id] || 0), 1);
+
+  categories.forEach((cat) => {
+    const value = dailyXp[cat.id] || 0;
+    const row = document.createElement('div');
+    row.className = 'bar-row';
+    row.innerHTML = `
+      <span class="bar-label"></span>
+      <div class="bar-track"><div class="bar-fill"></div></div>
+      <span class="bar-value">${value} XP</span>
+    `;
+    const label = row.querySelector('.bar-label');
+    label.textContent = cat.label;
+    label.style.color = cat.color;
+    const fill = row.querySelector('.bar-fill');
+    fill.style.background = cat.color;
+    fill.style.boxShadow = `0 0 8px ${cat.color}4D`;
+    container.appendChild(row);
+    setBarWidth(fill, value, max);
+  });
+
+  // Ambient media time neither earns nor penalises, so it sits apart
+  const ambientEl = $('#ambient-note');
+  if (ambientEl) {
+    const ambientMin = Object.values(state.dailyAmbientMin || {}).reduce((a, b) => a + b, 0);
+    ambientEl.textContent = ambientMin >= 1 ? `🎧 Ambient media: ${Math.round(ambientMin)}m (no XP)` : '';
+  }
+
+  // XP lost to inactivity decay when the day began
+  const decayEl = $('#decay-note');
+  if (decayEl) {
+    const decay = state.dailyDecayXp || 0;
+    decayEl.textContent = decay > 0 ? `🍂 Inactivity decay: −${decay} XP` : '';
+  }
 }
 
-function setBarWidth(sel, value, max) {
-  const el = $(sel);
+function setBarWidth(el, value, max) {
   if (el) el.style.width = `${Math.min((value / max) * 100, 100)}%`;
 }
 
@@ -258,17 +400,21 @@ function renderWeeklyChart() {
 
   days.forEach((day) => {
     const xp = day.productive || 0;
-    const date = new Date(day.date);
-    const label = dayLabels[date.getDay()] || '?';
+    const label = dayLabels[DateService.weekdayOf(day.date)] || '?';
     const height = Math.max((Math.abs(xp) / maxXp) * 60, 2);
     const isPositive = xp >= 0;
 
     const bar = document.createElement('div');
     bar.className = 'week-bar';
+    const notes = [];
+    if (day.protection === 'freeze') notes.push('Streak kept by a freeze');
+    if (day.protection === 'rest') notes.push('Rest day');
+    if (day.decay > 0) notes.push(`Decay: −${day.decay} XP`);
+    if (notes.length > 0) bar.title = notes.join(' · ');
     bar.innerHTML = `
       <div class="week-bar-xp">${xp >= 0 ? '+' : ''}${xp}</div>
       <div class="week-bar-fill ${isPositive ? 'positive' : 'negative'}" style="height:${height}px"></div>
-      <div class="week-bar-day">${label}</div>
+      <div class="week-bar-day">${label}${day.protection ? (day.protection === 'freeze' ? ' ❄️' : ' 💤') : ''}</div>
     `;
     container.appendChild(bar);
   });
@@ -284,6 +430,135 @@ function renderWeeklyChart() {
   }
 }
 
+/* ──────────────────────────────────────────────────────────
+ *  Focus Mode
+ * ──────────────────────────────────────────────────────── */
+
+function renderFocus() {
+  const focus = state.focus;
+  if (!focus) return;
+
+  const select = $('#focus-minutes');
+  if (select && select.options.length === 0) {
+    const durations = [...new Set([...focus.durations, focus.defaultMinutes])].sort((a, b) => a - b);
+    for (const minutes of durations) {
+      const opt = document.createElement('option');
+      opt.value = minutes;
+      opt.textContent = `${minutes} min`;
+      opt.selected = minutes === focus.defaultMinutes;
+      select.appendChild(opt);
+    }
+  }
+
+  $('#focus-idle').hidden = focus.active;
+  $('#focus-running').hidden = !focus.active;
+
+  if (focus.active) {
+    const remaining = Math.max(0, Math.ceil((focus.endsAt - Date.now()) / 1000));
+    $('#focus-timer').textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+    $('#focus-status').textContent = focus.bypassed > 0
+      ? `${focus.bypassed} bypass${focus.bypassed === 1 ? '' : 'es'} · no bonus`
+      : `+${focus.bonus} XP on completion`;
+  } else {
+    $('#focus-status').textContent = focus.completed ? `${focus.completed} completed` : '';
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Pomodoro
+ * ──────────────────────────────────────────────────────── */
+
+function renderPomodoro() {
+  const pomodoro = state.pomodoro;
+  if (!pomodoro) return;
+
+  const running = pomodoro.status === 'running';
+  const onBreak = pomodoro.phase !== 'work';
+  const remainingMs = running
+    ? Math.max(0, pomodoro.endsAt - Date.now())
+    : pomodoro.remainingMs ?? pomodoro.durations[pomodoro.phase] * 60000;
+  const remaining = Math.ceil(remainingMs / 1000);
+  $('#pomodoro-timer').textContent = `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`;
+
+  const notes = [pomodoro.labels[pomodoro.phase]];
+  if (pomodoro.status === 'paused') notes.push('paused');
+  if (onBreak && running) notes.push('combo frozen');
+  $('#pomodoro-phase').textContent = notes.join(' · ');
+  $('#pomodoro-clock').classList.toggle('on-break', onBreak);
+
+  $('#btn-pomodoro-start').hidden = running;
+  $('#btn-pomodoro-start').textContent = pomodoro.status === 'paused' ? '▶ Resume' : '▶ Start';
+  $('#btn-pomodoro-pause').hidden = !running;
+  $('#pomodoro-today').textContent = pomodoro.today > 0 ? `🍅 × ${pomodoro.today} today` : '';
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Daily Goal
+ * ──────────────────────────────────────────────────────── */
+
+function renderGoal() {
+  const daily = state.dailyGoal;
+  if (!daily) return;
+
+  const circumference = 163.36;
+  const ring = $('#goal-ring');
+  if (ring) ring.style.strokeDashoffset = circumference - (daily.percent / 100) * circumference;
+  $('.goal-card')?.classList.toggle('reached', daily.reached);
+
+  $('#goal-percent').textContent = `${daily.percent}%`;
+  $('#goal-label').textContent = `${formatNum(Math.floor(daily.xp))} / ${formatNum(daily.goal)} XP`;
+  $('#goal-remaining').textContent = daily.reached
+    ? 'Goal reached — bonus earned!'
+    : `${formatNum(Math.ceil(daily.remaining))} XP to go`;
+
+  const streak = state.goalStreak || 0;
+  $('#goal-streak').textContent = streak > 0 ? `🎯 ${streak}-day run` : '';
+
+  const weekly = state.weeklyGoal;
+  const weekEl = $('#goal-week');
+  if (weekEl) weekEl.hidden = !weekly;
+  if (weekly) {
+    $('#goal-week-fill').style.width = `${weekly.percent}%`;
+    $('#goal-week-label').textContent = weekly.reached
+      ? `Week: ${formatNum(weekly.goal)} XP goal reached 🏅`
+      : `Week: ${formatNum(Math.floor(weekly.xp))} / ${formatNum(weekly.goal)} XP`;
+  }
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Daily Budgets
+ * ──────────────────────────────────────────────────────── */
+
+function renderBudgets() {
+  const budgets = state.budgets || [];
+  const section = $('#budget-section');
+  if (section) section.hidden = budgets.length === 0;
+  const list = $('#budget-list');
+  if (!list) return;
+  list.innerHTML = '';
+
+  for (const budget of budgets) {
+    const row = document.createElement('div');
+    row.className = `budget-row ${budget.exceeded ? 'exceeded' : ''}`;
+    const percent = budget.minutes > 0 ? Math.min(100, (budget.used / budget.minutes) * 100) : 100;
+    const left = budget.exceeded
+      ? (budget.block ? 'Blocked until tomorrow' : `${budget.used - budget.minutes} min over`)
+      : `${budget.remaining} min left`;
+    row.innerHTML = `
+      <div class="budget-row-head">
+        <span class="budget-label"></span>
+        <span class="budget-left">${left}</span>
+      </div>
+      <div class="milestone-bar-track">
+        <div class="milestone-bar-fill budget-fill" style="width: ${percent}%"></div>
+      </div>
+    `;
+    row.querySelector('.budget-label').textContent = `${budget.type === 'category' ? '🏷️' : '🌐'} ${budget.label}`;
+    row.title = `${budget.used} of ${budget.minutes} min used today`;
+    list.appendChild(row);
+  }
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Milestone
  * ──────────────────────────────────────────────────────── */
@@ -308,11 +583,20 @@ function renderHeatmap() {
   if (!container) return;
   container.innerHTML = '';
 
-  const maxXp = Math.max(...heatmap.map((h) => (h.productive || 0) + (h.neutral || 0)), 1);
-
-  for (let h = 0; h < 24; h++) {
-    const data = heatmap[h] || { totalTicks: 0, productive: 0, neutral: 0 };
-    const cellXp = (data.productive || 0) + (data.neutral || 0);
+  // Intensity counts XP from XP-earning categories only
+  const earningIds = (state.categories || []).filter((c) => c.xpRate > 0).map((c) => c.id);
+  const slotXp = (slot) => {
+    const xp = slot?.xp || slot || {};
+    return earningIds.reduce((sum, id) => sum + (xp[id] || 0), 0);
+  };
+  const maxXp = Math.max(...heatmap.map(slotXp), 1);
+
+  // Hours run in day order, starting at the day-start hour
+  const startHour = DateService.getDayStartHour();
+  for (let i = 0; i < 24; i++) {
+    const h = (startHour + i) % 24;
+    const data = heatmap[h] || { minutes: 0 };
+    const cellXp = slotXp(data);
     const intensity = cellXp > 0 ? Math.min(Math.ceil((cellXp / maxXp) * 5), 5) : 0;
 
     const wrapper = document.createElement('div');
@@ -322,11 +606,15 @@ function renderHeatmap() {
 
     const cell = document.createElement('div');
     cell.className = `heatmap-cell ${intensity > 0 ? `active-${intensity}` : ''}`;
-    cell.title = `${h}:00 — ${cellXp} XP (${data.totalTicks || 0} ticks)`;
+    cell.title = `${h}:00 — ${cellXp} XP (${Math.round(data.minutes ?? data.totalTicks ?? 0)} min)`;
+    if (data.pomodoros > 0) {
+      cell.classList.add('has-pomodoro');
+      cell.title += ` · 🍅 ${data.pomodoros}`;
+    }
 
     const label = document.createElement('div');
     label.className = 'heatmap-label';
-    label.textContent = h % 3 === 0 ? `${h}` : '';
+    label.textContent = i % 3 === 0 ? `${h}` : '';
 
     wrapper.appendChild(cell);
     wrapper.appendChild(label);
@@ -372,6 +660,48 @@ function renderDomainList(sel, domains, isDistractor) {
   });
 }
 
+/* ──────────────────────────────────────────────────────────
+ *  Intentional Visits
+ * ──────────────────────────────────────────────────────── */
+
+function renderIntents() {
+  const intents = state.intents || { total: 0, reasons: [], domains: [] };
+  const section = $('#intent-section');
+  if (section) section.hidden = intents.total === 0;
+  const reasons = $('#intent-reasons');
+  const domains = $('#intent-domains');
+  if (!reasons || !domains) return;
+  reasons.innerHTML = '';
+  domains.innerHTML = '';
+
+  for (const r of intents.reasons) {
+    const row = document.createElement('div');
+    row.className = 'budget-row';
+    row.innerHTML = `
+      <div class="budget-row-head">
+        <span class="budget-label">${r.icon} ${r.label}</span>
+        <span class="budget-left">${r.count}×</span>
+      </div>
+      <div class="milestone-bar-track">
+        <div class="milestone-bar-fill budget-fill" style="width: ${(r.count / intents.total) * 100}%"></div>
+      </div>
+    `;
+    reasons.appendChild(row);
+  }
+
+  intents.domains.forEach((d, i) => {
+    const row = document.createElement('div');
+    row.className = 'domain-row';
+    row.innerHTML = `
+      <div class="domain-rank">${i + 1}</div>
+      <div class="domain-name">${d.domain}</div>
+      <div class="domain-xp">${Math.round((d.work / d.count) * 100)}% work</div>
+      <div class="domain-visits">${d.count} asked</div>
+    `;
+    domains.appendChild(row);
+  });
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Sessions
  * ──────────────────────────────────────────────────────── */
@@ -393,11 +723,14 @@ function renderSessions() {
   reversed.forEach((s) => {
     const row = document.createElement('div');
     row.className = `session-row ${s.category || 'neutral'}`;
+    const cat = (state.categories || []).find((c) => c.id === s.category);
+    if (cat) row.style.borderLeftColor = cat.color;
+    if (s.reason) row.title = s.reason;
     const time = s.startTime ? new Date(s.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '--:--';
     const durMin = Math.floor((s.duration || 0) / 60);
     row.innerHTML = `
       <div>
-        <div class="session-domain">${s.domain || 'unknown'}</div>
+        <div class="session-domain">${s.host || s.domain || 'unknown'}</div>
       </div>
       <div class="session-meta">
         <span>${time}</span>
@@ -435,6 +768,99 @@ function renderTierProgress() {
   });
 }
 
+/* ──────────────────────────────────────────────────────────
+ *  Quests
+ * ──────────────────────────────────────────────────────── */
+
+function renderQuests() {
+  const quests = state.quests || {};
+  const rerollsLeft = quests.rerollsLeft || 0;
+
+  $('#quest-rerolls').textContent = `🎲 ${rerollsLeft} reroll${rerollsLeft === 1 ? '' : 's'} left`;
+  $('#quest-completed').textContent = quests.completed ? `${quests.completed} completed` : '';
+
+  renderQuestList('#quest-daily', 'daily', quests.daily || [], rerollsLeft);
+  renderQuestList('#quest-weekly', 'weekly', quests.weekly || [], rerollsLeft);
+}
+
+function renderQuestList(sel, scope, quests, rerollsLeft) {
+  const container = $(sel);
+  if (!container) return;
+  container.innerHTML = '';
+
+  if (quests.length === 0) {
+    container.innerHTML = '<div class="empty-state">New quests arrive with the next tick</div>';
+    return;
+  }
+
+  quests.forEach((q, index) => {
+    const card = document.createElement('div');
+    card.className = `quest-card ${q.status}`;
+    const status = q.status === 'completed' ? '✓ Done' : q.status === 'failed' ? '✗ Failed' : `${q.progress}%`;
+    card.innerHTML = `
+      <div class="quest-icon">${q.icon}</div>
+      <div class="quest-info">
+        <div class="quest-title">${q.title}</div>
+        <div class="quest-desc">${q.desc}</div>
+        <div class="milestone-bar-track">
+          <div class="milestone-bar-fill" style="width:${q.progress}%"></div>
+        </div>
+      </div>
+      <div class="quest-side">
+        <span class="quest-xp">+${q.xpReward} XP</span>
+        <span class="quest-status">${status}</span>
+      </div>
+    `;
+
+    if (q.status !== 'completed') {
+      const btn = document.createElement('button');
+      btn.className = 'quest-reroll';
+      btn.textContent = '🎲';
+      btn.title = 'Reroll this quest';
+      btn.disabled = rerollsLeft <= 0;
+      btn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ type: 'REROLL_QUEST', scope, index }, () => refresh());
+      });
+      card.querySelector('.quest-side').appendChild(btn);
+    }
+
+    container.appendChild(card);
+  });
+}
+
+/* ──────────────────────────────────────────────────────────
+ *  Prestige
+ * ──────────────────────────────────────────────────────── */
+
+function renderPrestige() {
+  const prestige = state.prestige || {};
+  const container = $('#perk-list');
+  if (!container) return;
+
+  $('#prestige-status').textContent = prestige.prestige > 0 ? `${prestige.icon} ${prestige.title} · P${prestige.prestige}` : '';
+  $('#prestige-note').textContent = state.canPrestige
+    ? 'Choose a permanent perk to prestige: level and XP reset to the start.'
+    : `Reach Level ${state.prestigeLevel || 25} to prestige and choose a permanent perk.`;
+
+  container.innerHTML = '';
+  (state.prestigePerks || []).forEach((perk) => {
+    const card = document.createElement('button');
+    card.className = 'perk-card';
+    card.disabled = !state.canPrestige;
+    card.innerHTML = `
+      <div class="perk-icon">${perk.icon}</div>
+      <div class="perk-title">${perk.title}</div>
+      <div class="perk-desc">${perk.desc}</div>
+      ${perk.count > 0 ? `<div class="perk-count">×${perk.count}</div>` : ''}
+    `;
+    card.addEventListener('click', () => {
+      if (!confirm(`Prestige with ${perk.title} (${perk.desc})? Your level and XP reset to the start; achievements and lifetime XP are kept.`)) return;
+      chrome.runtime.sendMessage({ type: 'PRESTIGE', perk: perk.id }, () => refresh());
+    });
+    container.appendChild(card);
+  });
+}
+
 /* ──────────────────────────────────────────────────────────
  *  Achievements
  * ──────────────────────────────────────────────────────── */
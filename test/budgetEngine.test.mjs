@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BudgetEngine from '../utils/budgetEngine.js';
+import XpEngine from '../utils/xpEngine.js';
+
+const budget = { id: 'b', type: 'domain', target: 'youtube.com', minutes: 10, block: false };
+
+test('consume splits a span at the budget', () => {
+  const spent = BudgetEngine.consume({ b: 9 }, budget, 120);
+  assert.equal(spent.withinSeconds, 60);
+  assert.equal(spent.overSeconds, 60);
+  assert.equal(spent.usedAfter, 11);
+  assert.equal(spent.crossed, true);
+  assert.deepEqual(spent.usage, { b: 11 });
+});
+
+test('a span past the budget is all over it', () => {
+  const spent = BudgetEngine.consume({ b: 12 }, budget, 60);
+  assert.equal(spent.withinSeconds, 0);
+  assert.equal(spent.overSeconds, 60);
+  assert.equal(spent.crossed, false);
+});
+
+test('the penalty escalates every ten minutes over, up to 3x', () => {
+  assert.equal(BudgetEngine.escalation(0), 1);
+  assert.equal(BudgetEngine.escalation(9.9), 1);
+  assert.equal(BudgetEngine.escalation(10), 1.5);
+  assert.equal(BudgetEngine.escalation(25), 2);
+  assert.equal(BudgetEngine.escalation(500), 3);
+});
+
+test('over-budget time costs the distracting rate, escalated', () => {
+  const categories = XpEngine.getCategories({});
+  const distracting = XpEngine.getCategory('distracting', categories).xpRate;
+  const productive = XpEngine.getCategory('productive', categories);
+  // Twenty minutes over when the span starts
+  const spent = BudgetEngine.consume({ b: 30 }, budget, 60);
+  assert.equal(BudgetEngine.overBudgetXp(budget, spent, productive, categories), distracting * 2);
+});
+
+test('normalizeBudgets drops invalid and repeated budgets', () => {
+  const budgets = BudgetEngine.normalizeBudgets([
+    { type: 'domain', target: 'https://www.YouTube.com/feed', minutes: 30 },
+    { type: 'domain', target: 'youtube.com', minutes: 5 },
+    { type: 'bogus', target: 'x.com', minutes: 5 },
+    { type: 'category', target: 'distracting', minutes: -1 }
+  ]);
+  assert.equal(budgets.length, 1);
+  assert.equal(budgets[0].target, 'youtube.com');
+  assert.equal(budgets[0].minutes, 30);
+});
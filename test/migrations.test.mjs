@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Migrations from '../utils/migrations.js';
+
+const NOW = Date.UTC(2026, 0, 5, 12);
+
+test('an unversioned export is brought up to the current schema', () => {
+  const state = {
+    xp: 120,
+    level: 2,
+    totalXpEarned: 300,
+    domainStats: {
+      'gist.github.com': { visits: 2, totalMinutes: 5, totalXp: 10, category: 'productive', lastVisit: '2026-01-04T10:00:00.000Z' },
+      'github.com':      { visits: 1, totalMinutes: 3, totalXp: 6,  category: 'productive', lastVisit: '2026-01-03T10:00:00.000Z' }
+    },
+    todayUniqueDomains: ['gist.github.com', 'github.com'],
+    weeklyStats: [{ date: '2026-01-03' }],
+    sessions: [{ id: 's1', domain: 'github.com', startTime: NOW }]
+  };
+  const result = Migrations.run(state, {}, { now: NOW });
+
+  assert.equal(result.from, 0);
+  assert.equal(result.state.schemaVersion, Migrations.SCHEMA_VERSION);
+  assert.equal(result.applied.length, Migrations.MIGRATIONS.length);
+  assert.deepEqual(Object.keys(result.state.domainStats), ['github.com']);
+  assert.equal(result.state.domainStats['github.com'].totalMinutes, 8);
+  assert.deepEqual(result.state.todayUniqueDomains, ['github.com']);
+  assert.deepEqual(result.history.days.map((d) => d.date), ['2026-01-03']);
+  assert.deepEqual(result.history.sessions.map((s) => s.id), ['s1']);
+});
+
+test('the XP ledger opens with the balance, ahead of generated keys', () => {
+  const { history } = Migrations.run({ xp: 120, level: 2, totalXpEarned: 300 }, {}, { now: NOW });
+  const [opening] = history.xpEvents;
+  assert.equal(opening.source, 'opening');
+  assert.equal(opening.seq, 0);
+  assert.equal(opening.balance, 120);
+  assert.deepEqual(opening.state, { level: 2, totalXpEarned: 300, achievements: {} });
+});
+
+test('the suffix fix regroups every domain-keyed record', () => {
+  const stats = (minutes) => ({ visits: 1, totalMinutes: minutes, totalXp: 0, category: 'neutral', lastVisit: null });
+  const state = {
+    schemaVersion: 5,
+    domainStats: { 'app.netlify.com': stats(2), 'netlify.com': stats(3) },
+    todayDomainStats: { 'app.netlify.com': stats(1) },
+    currentSession: { domain: 'app.netlify.com' },
+    sessions: [{ id: 's1', domain: 'app.netlify.com', startTime: NOW }]
+  };
+  const history = {
+    domainDays: [
+      { date: '2026-01-04', domain: 'app.netlify.com', ...stats(4) },
+      { date: '2026-01-04', domain: 'netlify.com', ...stats(5) },
+      { date: '2026-01-03', domain: 'app.netlify.com', ...stats(6) }
+    ],
+    sessions: [{ id: 's0', domain: 'app.netlify.com', startTime: NOW - 1 }]
+  };
+  const result = Migrations.run(state, history, { now: NOW });
+
+  assert.deepEqual(result.applied, ['Regroup domains after suffix list fixes']);
+  assert.equal(result.state.domainStats['netlify.com'].totalMinutes, 5);
+  assert.deepEqual(Object.keys(result.state.todayDomainStats), ['netlify.com']);
+  assert.equal(result.state.currentSession.domain, 'netlify.com');
+  assert.equal(result.state.sessions[0].domain, 'netlify.com');
+  assert.deepEqual(
+    result.history.domainDays.map(({ date, domain, totalMinutes }) => [date, domain, totalMinutes]),
+    [['2026-01-04', 'netlify.com', 9], ['2026-01-03', 'netlify.com', 6]]
+  );
+  assert.equal(result.history.sessions[0].domain, 'netlify.com');
+});
+
+test('only the stores a pending migration rewrites are read in', () => {
+  assert.deepEqual(Migrations.storesToRewrite(5), ['domainDays', 'sessions']);
+  assert.deepEqual(Migrations.storesToRewrite(Migrations.SCHEMA_VERSION), []);
+});
+
+test('state from a newer version is refused', () => {
+  assert.throws(() => Migrations.run({ schemaVersion: Migrations.SCHEMA_VERSION + 1 }), /newer version/);
+});
+
+test('run leaves its inputs untouched', () => {
+  const state = { xp: 1, level: 1, domainStats: { 'gist.github.com': { visits: 1 } } };
+  const history = { sessions: [] };
+  Migrations.run(state, history, { now: NOW });
+  assert.deepEqual(state, { xp: 1, level: 1, domainStats: { 'gist.github.com': { visits: 1 } } });
+  assert.deepEqual(history, { sessions: [] });
+});
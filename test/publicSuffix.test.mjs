@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import PublicSuffix from '../utils/publicSuffix.js';
+
+test('hosts group by registrable domain', () => {
+  assert.equal(PublicSuffix.getRegistrableDomain('mail.google.com'), 'google.com');
+  assert.equal(PublicSuffix.getRegistrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+  assert.equal(PublicSuffix.getRegistrableDomain('WWW.Example.COM.'), 'example.com');
+});
+
+test('hosting suffixes keep each site apart', () => {
+  assert.equal(PublicSuffix.getRegistrableDomain('alice.github.io'), 'alice.github.io');
+  assert.equal(PublicSuffix.getRegistrableDomain('demo.netlify.app'), 'demo.netlify.app');
+});
+
+test('company domains on a hosting provider are not suffixes', () => {
+  assert.equal(PublicSuffix.getRegistrableDomain('app.netlify.com'), 'netlify.com');
+  assert.equal(PublicSuffix.getRegistrableDomain('blog.wordpress.com'), 'wordpress.com');
+});
+
+test('a bare suffix has no registrable domain', () => {
+  assert.equal(PublicSuffix.parse('co.uk').domain, null);
+  assert.equal(PublicSuffix.getRegistrableDomain('co.uk'), 'co.uk');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import StreakEngine from '../utils/streakEngine.js';
+import DateService from '../utils/dateService.js';
+
+const EVERY_DAY = { restWeekdays: [0, 1, 2, 3, 4, 5, 6] };
+
+test('rest days come from weekdays, dates and ranges', () => {
+  const monday = '2026-01-05';
+  assert.equal(StreakEngine.isRestDay(monday, { restWeekdays: [1] }), true);
+  assert.equal(StreakEngine.isRestDay(monday, { restDates: [monday] }), true);
+  assert.equal(StreakEngine.isRestDay(monday, { restRanges: [{ start: '2026-01-01', end: '2026-01-07' }] }), true);
+  assert.equal(StreakEngine.isRestDay(monday, { restWeekdays: [0, 6] }), false);
+});
+
+test('qualifying on a rest day leaves the streak as it was', () => {
+  const state = {
+    currentStreak: 4,
+    longestStreak: 4,
+    lastActiveDate: DateService.yesterdayISO(),
+    lastProtectedDate: null
+  };
+  assert.deepEqual(StreakEngine.markTodayQualified(state, EVERY_DAY), state);
+});
+
+test('qualifying the day after an active day extends the streak', () => {
+  const state = { currentStreak: 4, longestStreak: 4, lastActiveDate: DateService.yesterdayISO(), lastProtectedDate: null };
+  const next = StreakEngine.markTodayQualified(state, {});
+  assert.equal(next.currentStreak, 5);
+  assert.equal(next.longestStreak, 5);
+  assert.equal(next.lastActiveDate, DateService.todayISO());
+});
+
+test('rest days bridge a gap without spending freezes', () => {
+  const state = { currentStreak: 3, longestStreak: 3, lastActiveDate: '2026-01-02', streakFreezes: 0 };
+  // Saturday and Sunday off, evaluated on Monday
+  const result = StreakEngine.evaluateStreak(state, { restWeekdays: [0, 6] }, '2026-01-05');
+  assert.equal(result.currentStreak, 3);
+  assert.equal(result.streakFreezes, 0);
+  assert.deepEqual(result.protections.map((p) => p.type), ['rest', 'rest']);
+});
+
+test('a gap with too few freezes breaks the streak', () => {
+  const state = { currentStreak: 3, longestStreak: 3, lastActiveDate: '2026-01-02', streakFreezes: 1 };
+  const result = StreakEngine.evaluateStreak(state, {}, '2026-01-05');
+  assert.equal(result.currentStreak, 0);
+  assert.equal(result.longestStreak, 3);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import TimeLedger from '../utils/timeLedger.js';
+
+const MIN = 60 * 1000;
+const total = (entries) => entries.reduce((sum, e) => sum + e.seconds, 0);
+
+test('drain credits the open segment up to now and keeps it running', () => {
+  const t0 = Date.UTC(2026, 0, 5, 9, 10);
+  const ledger = TimeLedger.openSegment(TimeLedger.createLedger(), { url: 'https://a.com/', tabId: 1 }, t0);
+  const { ledger: next, entries } = TimeLedger.drain(ledger, t0 + 2 * MIN);
+  assert.equal(total(entries), 120);
+  assert.deepEqual(next.open, { url: 'https://a.com/', tabId: 1, start: t0 + 2 * MIN });
+  assert.deepEqual(next.entries, []);
+});
+
+test('a sleep gap closed by a tab switch is capped like an open one', () => {
+  const t0 = Date.UTC(2026, 0, 5, 9, 10);
+  let ledger = TimeLedger.openSegment(TimeLedger.createLedger(), { url: 'https://a.com/', tabId: 1 }, t0);
+  // Asleep for three hours, then the first thing after waking is a tab switch
+  ledger = TimeLedger.openSegment(ledger, { url: 'https://b.com/', tabId: 2 }, t0 + 180 * MIN);
+  const { entries } = TimeLedger.drain(ledger, t0 + 181 * MIN, { maxOpenMs: 2 * MIN });
+  const byUrl = (url) => total(entries.filter((e) => e.url === url));
+  assert.equal(byUrl('https://a.com/'), 120);
+  assert.equal(byUrl('https://b.com/'), 60);
+});
+
+test('an open segment keeps only its last maxOpenMs', () => {
+  const t0 = Date.UTC(2026, 0, 5, 9, 10);
+  const ledger = TimeLedger.openSegment(TimeLedger.createLedger(), { url: 'https://a.com/', tabId: 1 }, t0);
+  const { entries } = TimeLedger.drain(ledger, t0 + 180 * MIN, { maxOpenMs: 2 * MIN });
+  assert.equal(total(entries), 120);
+  assert.equal(entries[0].start, t0 + 178 * MIN);
+});
+
+test('reopening the same url on the same tab keeps the segment', () => {
+  const ledger = TimeLedger.openSegment(TimeLedger.createLedger(), { url: 'https://a.com/', tabId: 1 }, 1000);
+  assert.equal(TimeLedger.openSegment(ledger, { url: 'https://a.com/', tabId: 1 }, 5000), ledger);
+});
+
+test('drained entries never straddle an hour', () => {
+  const t0 = Date.UTC(2026, 0, 5, 9, 50);
+  const ledger = TimeLedger.openSegment(TimeLedger.createLedger(), { url: 'https://a.com/', tabId: 1 }, t0);
+  const { entries } = TimeLedger.drain(ledger, t0 + 140 * MIN);
+  assert.equal(total(entries), 140 * 60);
+  for (const e of entries) {
+    assert.equal(new Date(e.start).getHours(), new Date(e.end - 1).getHours());
+  }
+});
+
+test('subtractCovered removes time already timed on the same tab', () => {
+  const entries = [{ url: 'm', tabId: 1, start: 0, end: 10 * MIN }];
+  const covering = [{ tabId: 1, start: 2 * MIN, end: 5 * MIN }, { tabId: 2, start: 0, end: 10 * MIN }];
+  const left = TimeLedger.subtractCovered(entries, covering);
+  assert.equal(total(left), 7 * 60);
+  assert.equal(left.length, 2);
+});
+
+test('settleXp carries the fraction per category', () => {
+  let carry = {};
+  let xp = 0;
+  for (let i = 0; i < 3; i++) {
+    const settled = TimeLedger.settleXp(carry, 'productive', 10 / 3);
+    carry = settled.carry;
+    xp += settled.xp;
+  }
+  assert.equal(xp, 10);
+  assert.ok(Math.abs(carry.productive) < 1e-9);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import XpLedger from '../utils/xpLedger.js';
+import XpEngine from '../utils/xpEngine.js';
+import PrestigeEngine from '../utils/prestigeEngine.js';
+
+const { SOURCES } = XpLedger;
+const AT = Date.UTC(2026, 0, 5, 12);
+
+function log() {
+  return [
+    XpLedger.openingEvent({ xp: 40, level: 1, totalXpEarned: 40, achievements: {} }, { at: AT }),
+    XpLedger.createEvent({ source: SOURCES.TICK, delta: 10, balance: 50, at: AT + 60000, category: 'productive' }),
+    XpLedger.createEvent({ source: SOURCES.DECAY, delta: -5, balance: 45, at: AT + 120000 }),
+    XpLedger.createEvent({ source: SOURCES.FOCUS_BYPASS, delta: -50, balance: 0, at: AT + 180000 })
+  ];
+}
+
+test('replaying the recorded deltas rebuilds the balance', () => {
+  const replayed = XpLedger.replay(log());
+  assert.equal(replayed.xp, 0);
+  assert.equal(replayed.totalXpEarned, 50);
+  assert.equal(replayed.events, 4);
+  assert.equal(replayed.firstMismatch, null);
+  assert.deepEqual(XpLedger.audit(replayed, { xp: 0, level: 1, totalXpEarned: 50, achievements: {} }).differences, []);
+});
+
+test('the first balance that disagrees is reported', () => {
+  const events = log();
+  events[2].balance = 44;
+  assert.deepEqual(XpLedger.replay(events).firstMismatch, { at: AT + 120000, source: SOURCES.DECAY, recorded: 44, replayed: 45 });
+});
+
+test('audit lists where the stored state and the replay differ', () => {
+  const audit = XpLedger.audit(XpLedger.replay(log()), { xp: 30, level: 1, totalXpEarned: 50, achievements: {} });
+  assert.equal(audit.ok, false);
+  assert.deepEqual(audit.differences, [{ field: 'xp', stored: 30, replayed: 0 }]);
+});
+
+test('a prestige resets the balance and level', () => {
+  const events = [
+    XpLedger.openingEvent({ xp: 60, level: 1, totalXpEarned: 60 }, { at: AT }),
+    XpLedger.createEvent({ source: SOURCES.PRESTIGE, delta: -60, balance: 0, at: AT + 1 })
+  ];
+  const replayed = XpLedger.replay(events);
+  assert.equal(replayed.xp, 0);
+  assert.equal(replayed.totalXpEarned, 60);
+});
+
+test('a rescore keeps the prestige boost each tick was earned under', () => {
+  const categories = XpEngine.getCategories({});
+  const modifiers = { credited: 60, combo: 1, streakDays: 0 };
+  const tick = { source: SOURCES.TICK, category: 'productive', at: AT, modifiers };
+  const boosted = { ...tick, modifiers: { ...modifiers, boost: 1.1 } };
+
+  assert.equal(XpLedger.rescoreTick(tick, categories), XpEngine.calculateSpanXp('productive', 60, 1, 0, categories, AT));
+  const withBoost = PrestigeEngine.scaleProductive(categories, 1.1, XpEngine.getCategoryClass);
+  assert.equal(XpLedger.rescoreTick(boosted, categories), XpEngine.calculateSpanXp('productive', 60, 1, 0, withBoost, AT));
+});
+
+test('a rescore applies the current rates to recorded ticks', () => {
+  const categories = XpEngine.getCategories({}).map((c) => (c.id === 'productive' ? { ...c, xpRate: 1 } : c));
+  const events = [
+    XpLedger.openingEvent({ xp: 0, level: 1, totalXpEarned: 0 }, { at: AT }),
+    XpLedger.createEvent({
+      source: SOURCES.TICK, delta: 10, balance: 10, at: AT, category: 'productive',
+      modifiers: { credited: 60, combo: 1, streakDays: 0 }
+    })
+  ];
+  const expected = Math.trunc(XpEngine.calculateSpanXp('productive', 60, 1, 0, categories, AT));
+  assert.equal(XpLedger.replay(events, { categories }).xp, expected);
+});
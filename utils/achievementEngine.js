@@ -56,6 +56,24 @@ const ACHIEVEMENTS = [
     xpReward: 30,
     condition: (s) => s.longestSessionMinutes >= 30
   },
+  {
+    id: 'first_goal',
+    title: 'On Target',
+    desc: 'Hit your daily XP goal.',
+    tier: 'beginner',
+    icon: '🎯',
+    xpReward: 25,
+    condition: (s) => (s.goalsHit || 0) >= 1
+  },
+  {
+    id: 'first_pomodoro',
+    title: 'Tomato Timer',
+    desc: 'Complete your first pomodoro.',
+    tier: 'beginner',
+    icon: '🍅',
+    xpReward: 20,
+    condition: (s) => (s.pomodorosCompleted || 0) >= 1
+  },
 
   // ── Intermediate (Tier 2) ─────────────────────────────
   {
@@ -112,6 +130,24 @@ const ACHIEVEMENTS = [
     xpReward: 40,
     condition: (s) => s.uniqueProductiveDomains >= 5
   },
+  {
+    id: 'goal_streak_7',
+    title: 'Goal Getter',
+    desc: 'Hit your daily XP goal 7 days in a row.',
+    tier: 'intermediate',
+    icon: '🏹',
+    xpReward: 75,
+    condition: (s) => (s.goalStreak || 0) >= 7
+  },
+  {
+    id: 'pomodoro_25',
+    title: 'Tomato Farmer',
+    desc: 'Complete 25 pomodoros.',
+    tier: 'intermediate',
+    icon: '🧺',
+    xpReward: 75,
+    condition: (s) => (s.pomodorosCompleted || 0) >= 25
+  },
 
   // ── Advanced (Tier 3) ─────────────────────────────────
   {
@@ -177,6 +213,15 @@ const ACHIEVEMENTS = [
     xpReward: 125,
     condition: (s) => s.longestSessionMinutes >= 60
   },
+  {
+    id: 'pomodoro_100',
+    title: 'Pomodoro Pro',
+    desc: 'Complete 100 pomodoros.',
+    tier: 'advanced',
+    icon: '⏲️',
+    xpReward: 150,
+    condition: (s) => (s.pomodorosCompleted || 0) >= 100
+  },
   {
     id: 'combo_max',
     title: 'ULTRA COMBO',
@@ -186,6 +231,15 @@ const ACHIEVEMENTS = [
     xpReward: 150,
     condition: (s) => (s.comboMultiplier || 1) >= 2.5
   },
+  {
+    id: 'weekly_goals_4',
+    title: 'Month of Targets',
+    desc: 'Hit your weekly XP goal 4 times.',
+    tier: 'advanced',
+    icon: '🏅',
+    xpReward: 150,
+    condition: (s) => (s.weeklyGoalsHit || 0) >= 4
+  },
 
   // ── Elite (Tier 4) ────────────────────────────────────
   {
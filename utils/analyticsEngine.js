@@ -8,6 +8,8 @@
  * ============================================================
  */
 
+import DateService from './dateService.js';
+
 /* ─── Focus Score Algorithm ─────────────────────────────── */
 
 /**
@@ -56,27 +58,50 @@ function focusGrade(score) {
 
 /**
  * Create a new browsing session record.
+ * @param {string} domain - registrable domain (analytics key)
+ * @param {string} category
+ * @param {string} [host] - full hostname, e.g. "docs.foo.co.uk"
+ * @param {Object} [explanation] - { source, reason, url } from classification
+ * @param {number} [startTime] - epoch ms the session began
  */
-function createSession(domain, category) {
+function createSession(domain, category, host = domain, explanation = {}, startTime = Date.now()) {
   return {
-    id: `sess_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    id: `sess_${startTime}_${Math.random().toString(36).slice(2, 6)}`,
     domain,
+    host,
+    url: explanation.url || null,
     category,
-    startTime: Date.now(),
+    source: explanation.source || null,
+    reason: explanation.reason || null,
+    startTime,
     endTime: null,
-    duration: 0,          // seconds
+    duration: 0,          // seconds, accumulated from the time ledger
     xpEarned: 0,
-    ticks: 0
+    ticks: 0              // ledger entries credited
   };
 }
 
 /**
- * Finalize a session — compute duration.
+ * Credit a ledger entry to a session.
+ */
+function addSessionTime(session, seconds, xpDelta, endTime) {
+  session.duration = Math.round((session.duration + seconds) * 1000) / 1000;
+  session.xpEarned += xpDelta;
+  session.ticks += 1;
+  session.endTime = endTime;
+  return session;
+}
+
+/**
+ * Finalize a session.  Duration is the ledger time credited to it;
+ * sessions that never received ledger time fall back to wall time.
  */
-function endSession(session) {
+function endSession(session, endTime = Date.now()) {
   if (!session) return null;
-  session.endTime = Date.now();
-  session.duration = Math.round((session.endTime - session.startTime) / 1000);
+  session.endTime = session.endTime || endTime;
+  session.duration = session.duration
+    ? Math.round(session.duration)
+    : Math.round((session.endTime - session.startTime) / 1000);
   return session;
 }
 
@@ -84,36 +109,101 @@ function endSession(session) {
 
 /**
  * Generate an empty 24-hour heatmap for a day.
- * Each slot tracks { productive, distracting, neutral } XP.
+ * Each slot tracks XP per category id, tracked minutes and
+ * completed pomodoros: { hour, xp: { productive, … }, minutes, pomodoros }.
+ * @param {Array} categories - active category definitions
  */
-function emptyHourlyHeatmap() {
+function emptyHourlyHeatmap(categories = []) {
   const map = [];
   for (let h = 0; h < 24; h++) {
-    map.push({ hour: h, productive: 0, distracting: 0, neutral: 0, totalTicks: 0 });
+    const xp = {};
+    for (const c of categories) xp[c.id] = 0;
+    map.push({ hour: h, xp, minutes: 0, pomodoros: 0 });
   }
   return map;
 }
 
 /**
- * Add a tick to the hourly heatmap.
+ * Upgrade a slot from older layouts: the original fixed keys
+ * ({ productive, distracting, neutral }) become the per-category
+ * map, and one-minute tick counts become minutes.
+ */
+function normalizeHeatmapSlot(slot) {
+  if (slot.xp && slot.minutes !== undefined) return slot;
+  const { hour, totalTicks, minutes, xp, pomodoros, ...legacy } = slot;
+  return { hour, xp: { ...(xp || legacy) }, minutes: minutes ?? totalTicks ?? 0, pomodoros: pomodoros ?? 0 };
+}
+
+/**
+ * Add time to the hourly heatmap.
+ * @param {Array} heatmap
+ * @param {string} category
+ * @param {number} xpDelta
+ * @param {Object} [span] - { seconds, at } from the time ledger;
+ *   defaults to one minute ending now
+ */
+function recordHourlyTick(heatmap, category, xpDelta, { seconds = 60, at = Date.now() } = {}) {
+  const hour = DateService.localHour(at);
+  if (!heatmap[hour]) return heatmap;
+  const slot = normalizeHeatmapSlot(heatmap[hour]);
+  slot.xp[category] = (slot.xp[category] || 0) + Math.abs(xpDelta);
+  slot.minutes = Math.round((slot.minutes + seconds / 60) * 100) / 100;
+  heatmap[hour] = slot;
+  return heatmap;
+}
+
+/**
+ * Count a completed pomodoro in the hour it finished.
  */
-function recordHourlyTick(heatmap, category, xpDelta) {
-  const hour = new Date().getHours();
+function recordHourlyPomodoro(heatmap, at = Date.now()) {
+  const hour = DateService.localHour(at);
   if (!heatmap[hour]) return heatmap;
-  heatmap[hour][category] += Math.abs(xpDelta);
-  heatmap[hour].totalTicks += 1;
+  const slot = normalizeHeatmapSlot(heatmap[hour]);
+  heatmap[hour] = { ...slot, pomodoros: (slot.pomodoros || 0) + 1 };
   return heatmap;
 }
 
+/**
+ * Add heatmaps hour by hour — several days into one, or two
+ * parts of a day archived separately.
+ * @param {Array<Array>} heatmaps
+ * @returns {Array} 24 slots
+ */
+function sumHeatmaps(heatmaps) {
+  const total = emptyHourlyHeatmap();
+  for (const heatmap of heatmaps) {
+    for (const raw of heatmap || []) {
+      const slot = normalizeHeatmapSlot(raw);
+      const into = total[slot.hour];
+      if (!into) continue;
+      for (const [id, xp] of Object.entries(slot.xp)) into.xp[id] = (into.xp[id] || 0) + xp;
+      into.minutes = Math.round((into.minutes + slot.minutes) * 100) / 100;
+      into.pomodoros += slot.pomodoros || 0;
+    }
+  }
+  return total;
+}
+
+/**
+ * Sum a slot's XP across the given category ids.
+ */
+function slotXp(slot, categoryIds) {
+  const { xp } = normalizeHeatmapSlot(slot);
+  return categoryIds.reduce((sum, id) => sum + (xp[id] || 0), 0);
+}
+
 /**
  * Get peak productive hour from heatmap.
+ * @param {Array} heatmap
+ * @param {Array} productiveIds - ids of combo-building categories
  */
-function getPeakHour(heatmap) {
+function getPeakHour(heatmap, productiveIds = ['productive']) {
   let maxProd = 0;
   let peakHour = 0;
   for (const slot of heatmap) {
-    if (slot.productive > maxProd) {
-      maxProd = slot.productive;
+    const xp = slotXp(slot, productiveIds);
+    if (xp > maxProd) {
+      maxProd = xp;
       peakHour = slot.hour;
     }
   }
@@ -125,12 +215,14 @@ function getPeakHour(heatmap) {
 /**
  * Update domain visit frequency map.
  * @param {Object} domainStats - { domain: { visits, totalMinutes, totalXp, category, lastVisit } }
- * @param {string} domain
+ * @param {string} domain - registrable domain (see XpEngine.extractDomainInfo)
  * @param {string} category
  * @param {number} xpDelta
+ * @param {Object} [span] - { seconds, at, newVisit } from the time ledger;
+ *   newVisit is false when the time continues an existing session
  * @returns {Object} updated domainStats
  */
-function recordDomainVisit(domainStats, domain, category, xpDelta) {
+function recordDomainVisit(domainStats, domain, category, xpDelta, { seconds = 60, at = Date.now(), newVisit = true } = {}) {
   if (!domainStats[domain]) {
     domainStats[domain] = {
       visits: 0,
@@ -140,13 +232,51 @@ function recordDomainVisit(domainStats, domain, category, xpDelta) {
       lastVisit: null
     };
   }
-  domainStats[domain].visits += 1;
-  domainStats[domain].totalMinutes += 1;
+  if (newVisit) domainStats[domain].visits += 1;
+  domainStats[domain].totalMinutes = Math.round((domainStats[domain].totalMinutes + seconds / 60) * 100) / 100;
   domainStats[domain].totalXp += xpDelta;
-  domainStats[domain].lastVisit = new Date().toISOString();
+  domainStats[domain].lastVisit = new Date(at).toISOString();
+  return domainStats;
+}
+
+/**
+ * Record ambient media time (background audio) for a domain —
+ * kept apart from totalMinutes, which counts foreground time.
+ */
+function recordAmbientTime(domainStats, domain, category, seconds) {
+  if (!domainStats[domain]) {
+    domainStats[domain] = { visits: 0, totalMinutes: 0, totalXp: 0, category, lastVisit: null };
+  }
+  const stats = domainStats[domain];
+  stats.ambientMinutes = Math.round(((stats.ambientMinutes || 0) + seconds / 60) * 100) / 100;
   return domainStats;
 }
 
+/**
+ * Add domain stats maps together, e.g. per-day stats over a
+ * range.  Category and last visit come from the latest visit.
+ * @param {Array<Object>} statsMaps - [{ domain: stats }]
+ * @returns {Object} { domain: stats }
+ */
+function sumDomainStats(statsMaps) {
+  const total = {};
+  for (const map of statsMaps) {
+    for (const [domain, stats] of Object.entries(map || {})) {
+      const prev = total[domain] || { visits: 0, totalMinutes: 0, totalXp: 0, ambientMinutes: 0, category: stats.category, lastVisit: null };
+      const newer = (stats.lastVisit || '') >= (prev.lastVisit || '');
+      total[domain] = {
+        visits:         prev.visits + (stats.visits || 0),
+        totalMinutes:   Math.round((prev.totalMinutes + (stats.totalMinutes || 0)) * 100) / 100,
+        totalXp:        prev.totalXp + (stats.totalXp || 0),
+        ambientMinutes: Math.round((prev.ambientMinutes + (stats.ambientMinutes || 0)) * 100) / 100,
+        category:       newer ? stats.category : prev.category,
+        lastVisit:      newer ? stats.lastVisit : prev.lastVisit
+      };
+    }
+  }
+  return total;
+}
+
 /**
  * Get top N domains by minutes spent.
  */
@@ -159,15 +289,57 @@ function getTopDomains(domainStats, n = 5) {
 
 /**
  * Get top distractors.
+ * @param {Array} distractingIds - ids of combo-breaking categories
  */
-function getTopDistractors(domainStats, n = 5) {
+function getTopDistractors(domainStats, n = 5, distractingIds = ['distracting']) {
   return Object.entries(domainStats)
-    .filter(([, s]) => s.category === 'distracting')
+    .filter(([, s]) => distractingIds.includes(s.category))
     .map(([domain, stats]) => ({ domain, ...stats }))
     .sort((a, b) => b.totalMinutes - a.totalMinutes)
     .slice(0, n);
 }
 
+/* ─── Day Records ───────────────────────────────────────── */
+
+/**
+ * Sort archived day records by date, folding records that share
+ * a date (e.g. after the day-start hour changed) into one.
+ */
+function mergeDayRecords(days) {
+  const byDate = new Map();
+  for (const day of days) {
+    const prev = byDate.get(day.date);
+    byDate.set(day.date, prev ? mergeDayRecord(prev, day) : day);
+  }
+  return [...byDate.values()].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+/**
+ * Add two records of the same date together.
+ */
+function mergeDayRecord(a, b) {
+  const sumMap = (x = {}, y = {}) => {
+    const out = { ...x };
+    for (const [k, v] of Object.entries(y)) out[k] = (out[k] || 0) + v;
+    return out;
+  };
+  const categories = { ...(a.categories || {}) };
+  for (const [id, c] of Object.entries(b.categories || {})) {
+    categories[id] = {
+      xp: (categories[id]?.xp || 0) + c.xp,
+      minutes: (categories[id]?.minutes || 0) + c.minutes
+    };
+  }
+  const merged = { ...a, ...b, categories, ambient: sumMap(a.ambient, b.ambient) };
+  for (const key of ['productive', 'distracting', 'neutral', 'productiveMin', 'distractingMin', 'neutralMin', 'decay', 'pomodoros']) {
+    merged[key] = (a[key] || 0) + (b[key] || 0);
+  }
+  merged.goalHit = !!(a.goalHit || b.goalHit);
+  merged.focusScore = Math.max(a.focusScore || 0, b.focusScore || 0);
+  merged.bestCombo = Math.max(a.bestCombo || 1, b.bestCombo || 1);
+  return merged;
+}
+
 /* ─── Productivity Trend (7-day moving average) ─────────── */
 
 /**
@@ -253,11 +425,20 @@ const AnalyticsEngine = {
   calculateFocusScore,
   focusGrade,
   createSession,
+  addSessionTime,
   endSession,
   emptyHourlyHeatmap,
+  normalizeHeatmapSlot,
   recordHourlyTick,
+  recordHourlyPomodoro,
+  sumHeatmaps,
+  slotXp,
   getPeakHour,
   recordDomainVisit,
+  recordAmbientTime,
+  sumDomainStats,
+  mergeDayRecords,
+  mergeDayRecord,
   getTopDomains,
   getTopDistractors,
   computeTrend,
@@ -0,0 +1,262 @@
+/**
+ * ============================================================
+ *  Budget Engine — Per-Domain & Per-Category Daily Budgets
+ * ============================================================
+ *  A budget allows a number of minutes a day on a domain or in
+ *  a category.  Time within the budget is neutral: no XP either
+ *  way and the combo holds.  Past it every minute is penalised,
+ *  harder the further over, and the budget may block the site
+ *  for the rest of the day.  Usage lives in the daily bucket.
+ *  Pure-function module — the service worker installs the rules.
+ * ============================================================
+ */
+
+import XpEngine from './xpEngine.js';
+import PublicSuffix from './publicSuffix.js';
+import FocusEngine from './focusEngine.js';
+
+const BUDGET_TYPES = Object.freeze({ DOMAIN: 'domain', CATEGORY: 'category' });
+
+/** Minutes over budget per escalation step */
+const ESCALATION_STEP_MINUTES = 10;
+
+/** Penalty multiplier added per step, up to MAX_ESCALATION */
+const ESCALATION_STEP = 0.5;
+const MAX_ESCALATION = 3;
+
+/** Dynamic rule id of the budget block rule (Focus Mode uses 1) */
+const BUDGET_RULE_ID = 2;
+
+/* ─── Budgets ───────────────────────────────────────────── */
+
+/**
+ * Sanitise settings.budgets: known types, valid domains, whole
+ * positive minutes, one budget per target.
+ * @returns {Array<{ id, type, target, minutes, block }>}
+ */
+function normalizeBudgets(list) {
+  const result = [];
+  const seen = new Set();
+
+  for (const raw of Array.isArray(list) ? list : []) {
+    if (!raw || !Object.values(BUDGET_TYPES).includes(raw.type)) continue;
+    const target = raw.type === BUDGET_TYPES.DOMAIN
+      ? FocusEngine.normalizeDomain(raw.target)
+      : String(raw.target || '').trim();
+    const minutes = Math.round(Number(raw.minutes));
+    if (!target || !Number.isFinite(minutes) || minutes < 0) continue;
+
+    const key = `${raw.type}:${target}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    result.push({
+      id: raw.id || `budget_${raw.type}_${target}`,
+      type: raw.type,
+      target,
+      minutes,
+      block: !!raw.block
+    });
+  }
+  return result;
+}
+
+/**
+ * The budget that applies to a host in a category — the most
+ * specific domain budget, else the category's budget.
+ */
+function budgetFor(budgets, host, category) {
+  for (const key of PublicSuffix.getLookupChain(host)) {
+    const match = budgets.find((b) => b.type === BUDGET_TYPES.DOMAIN && b.target === key);
+    if (match) return match;
+  }
+  return budgets.find((b) => b.type === BUDGET_TYPES.CATEGORY && b.target === category) || null;
+}
+
+/* ─── Usage & Penalties ─────────────────────────────────── */
+
+/**
+ * Spend a span against a budget.
+ *
+ * @param {Object} usage - { budgetId: minutes } for today
+ * @param {Object} budget
+ * @param {number} seconds - the span's engagement-weighted seconds
+ * @returns {{ usage, withinSeconds, overSeconds, usedBefore, usedAfter, crossed }}
+ *   crossed is true when this span used up the last of the budget
+ */
+function consume(usage, budget, seconds) {
+  const usedBefore = usage[budget.id] || 0;
+  const usedAfter = Math.round((usedBefore + seconds / 60) * 100) / 100;
+  const leftSeconds = Math.max(0, (budget.minutes - usedBefore) * 60);
+  const withinSeconds = Math.min(seconds, leftSeconds);
+
+  return {
+    usage: { ...usage, [budget.id]: usedAfter },
+    withinSeconds,
+    overSeconds: seconds - withinSeconds,
+    usedBefore,
+    usedAfter,
+    crossed: usedBefore < budget.minutes && usedAfter >= budget.minutes
+  };
+}
+
+/** Penalty multiplier once `overMinutes` past the budget: 1x, 1.5x, 2x … */
+function escalation(overMinutes) {
+  const steps = Math.floor(Math.max(0, overMinutes) / ESCALATION_STEP_MINUTES);
+  return Math.min(MAX_ESCALATION, 1 + steps * ESCALATION_STEP);
+}
+
+/**
+ * XP for the over-budget part of a span: the category's own rate
+ * when it is a penalty, the distracting rate otherwise, scaled by
+ * the escalation reached at the start of the span.
+ *
+ * @param {Object} spent - consume() result
+ * @returns {number} XP (≤ 0)
+ */
+function overBudgetXp(budget, spent, categoryDef, categories) {
+  if (spent.overSeconds <= 0) return 0;
+  const { rate, escalation: multiplier } = overBudgetModifiers(budget, spent, categoryDef, categories);
+  return rate * multiplier * (spent.overSeconds / 60);
+}
+
+/** The rate and escalation overBudgetXp applied, for the XP ledger */
+function overBudgetModifiers(budget, spent, categoryDef, categories) {
+  return {
+    rate: Math.min(categoryDef.xpRate, XpEngine.getCategory('distracting', categories).xpRate, 0),
+    escalation: escalation(Math.max(0, spent.usedBefore - budget.minutes)),
+    budgetMinutes: budget.minutes,
+    overSeconds: spent.overSeconds
+  };
+}
+
+/* ─── Blocking ──────────────────────────────────────────── */
+
+/**
+ * Domains a category budget can block: the built-in list for a
+ * built-in category, legacy domain overrides and plain-domain
+ * glob rules.  Path and content rules cannot be blocked by domain.
+ */
+function categoryDomains(category, settings = {}) {
+  const domains = [];
+  if (category === 'distracting') domains.push(...XpEngine.DISTRACTING_DOMAINS);
+  if (category === 'productive') domains.push(...XpEngine.PRODUCTIVE_DOMAINS);
+  for (const [d, c] of Object.entries(settings.customCategories || {})) {
+    if (c === category) domains.push(d);
+  }
+  for (const rule of settings.classificationRules || []) {
+    if (rule.enabled !== false && rule.type === 'glob' && rule.category === category && !/[/*?]/.test(rule.pattern)) {
+      domains.push(rule.pattern);
+    }
+  }
+  return domains;
+}
+
+/** Normalised domains a budget covers */
+function budgetDomains(budget, settings = {}) {
+  const targets = budget.type === BUDGET_TYPES.DOMAIN ? [budget.target] : categoryDomains(budget.target, settings);
+  return targets.map(FocusEngine.normalizeDomain).filter(Boolean);
+}
+
+function isUsedUp(budget, usage) {
+  return (usage[budget.id] || 0) >= budget.minutes;
+}
+
+/**
+ * Domains to block: those of every used-up budget set to block.
+ * @returns {Array<string>} sorted, de-duplicated
+ */
+function blockedDomains(budgets, usage, settings = {}) {
+  const domains = new Set();
+  for (const budget of budgets) {
+    if (budget.block && isUsedUp(budget, usage)) {
+      for (const d of budgetDomains(budget, settings)) domains.add(d);
+    }
+  }
+  return [...domains].sort();
+}
+
+/**
+ * The used-up budget blocking a URL, or null.
+ */
+function blockingBudgetFor(url, budgets, usage, settings = {}) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  const chain = PublicSuffix.getLookupChain(host);
+  return budgets.find((budget) => budget.block && isUsedUp(budget, usage)
+    && budgetDomains(budget, settings).some((d) => chain.includes(d))) || null;
+}
+
+/**
+ * Dynamic rule redirecting blocked domains to the interstitial,
+ * which shows the budget instead of a focus session.
+ *
+ * @param {Array<string>} domains - blockedDomains() result
+ * @param {string} pageUrl - chrome.runtime.getURL(FocusEngine.BLOCK_PAGE)
+ */
+function buildRules(domains, pageUrl) {
+  if (domains.length === 0) return [];
+  const condition = {
+    regexFilter: '^https?://.*',
+    requestDomains: domains,
+    resourceTypes: ['main_frame']
+  };
+  const allowed = FocusEngine.allowedSubdomains(domains);
+  if (allowed.length > 0) condition.excludedRequestDomains = allowed;
+
+  return [{
+    id: BUDGET_RULE_ID,
+    priority: 1,
+    action: { type: 'redirect', redirect: { regexSubstitution: `${pageUrl}?reason=budget#\\0` } },
+    condition
+  }];
+}
+
+/* ─── Display ───────────────────────────────────────────── */
+
+/**
+ * Budgets with today's usage, for the popup.
+ * @returns {Array<{ id, type, target, label, minutes, used, remaining, exceeded, block }>}
+ */
+function describe(budgets, usage = {}, categories = []) {
+  return budgets.map((budget) => {
+    const used = usage[budget.id] || 0;
+    return {
+      ...budget,
+      label: budget.type === BUDGET_TYPES.CATEGORY
+        ? (categories.find((c) => c.id === budget.target)?.label || budget.target)
+        : budget.target,
+      used: Math.floor(used),
+      remaining: Math.max(0, Math.ceil(budget.minutes - used)),
+      exceeded: isUsedUp(budget, usage)
+    };
+  });
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const BudgetEngine = {
+  BUDGET_TYPES,
+  ESCALATION_STEP_MINUTES,
+  BUDGET_RULE_ID,
+  normalizeBudgets,
+  budgetFor,
+  consume,
+  escalation,
+  overBudgetXp,
+  overBudgetModifiers,
+  blockedDomains,
+  blockingBudgetFor,
+  buildRules,
+  describe
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.BudgetEngine = BudgetEngine;
+}
+
+export default BudgetEngine;
@@ -0,0 +1,165 @@
+/**
+ * ============================================================
+ *  Content Classifier — Keyword Scoring for Page Metadata
+ * ============================================================
+ *  Scores a page's title, <meta> keywords/description, og:type
+ *  and language against local keyword lists so pages on
+ *  unlisted or general-purpose hosts can be reclassified.
+ *  Runs entirely offline.  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+/* ─── Keyword Lists ─────────────────────────────────────── */
+
+const PRODUCTIVE_KEYWORDS = [
+  'programming', 'developer', 'development', 'software', 'engineering',
+  'code', 'coding', 'algorithm', 'data structure', 'compiler', 'debugging',
+  'javascript', 'typescript', 'python', 'rust', 'golang', 'java', 'kotlin',
+  'c++', 'sql', 'database', 'api', 'backend', 'frontend', 'devops',
+  'kubernetes', 'docker', 'linux', 'git', 'architecture', 'framework',
+  'tutorial', 'guide', 'documentation', 'reference', 'how to', 'course',
+  'lecture', 'learn', 'learning', 'research', 'paper', 'study', 'science',
+  'mathematics', 'statistics', 'machine learning', 'productivity',
+  'career', 'interview', 'design system', 'accessibility', 'security'
+];
+
+const DISTRACTING_KEYWORDS = [
+  'celebrity', 'gossip', 'scandal', 'rumor', 'rumour', 'red carpet',
+  'meme', 'memes', 'funny', 'viral', 'prank', 'reaction', 'clickbait',
+  'you won\'t believe', 'shocking', 'horoscope', 'quiz', 'dating',
+  'reality tv', 'kardashian', 'influencer', 'fashion', 'outfit',
+  'trailer', 'episode', 'season finale', 'binge', 'streaming',
+  'gaming', 'let\'s play', 'lootbox', 'deal', 'sale', 'discount',
+  'shopping', 'unboxing', 'sports betting', 'casino', 'lottery'
+];
+
+/** Where a keyword was found and how much it counts */
+const FIELD_WEIGHTS = Object.freeze({
+  title:       2.0,
+  keywords:    1.5,
+  description: 1.0
+});
+
+/** og:type nudges — video/music pages lean distracting */
+const OG_TYPE_WEIGHTS = Object.freeze({
+  'video.movie':   -2,
+  'video.episode': -2,
+  'video.tv_show': -2,
+  'music.song':    -1,
+  'article':        0,
+  'book':           1
+});
+
+/** Net score needed before a page is reclassified */
+const SCORE_THRESHOLD = 2;
+
+/* ─── Helpers ───────────────────────────────────────────── */
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Whole-word match, so "code" does not hit "barcode" */
+function containsKeyword(text, keyword) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword)}($|[^a-z0-9])`, 'i').test(text);
+}
+
+/**
+ * Cache key for a URL — hash fragments never change the page.
+ */
+function urlKey(url) {
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}${u.search}`;
+  } catch {
+    return url || '';
+  }
+}
+
+/* ─── Classifier ────────────────────────────────────────── */
+
+/**
+ * Score page metadata.
+ *
+ * @param {Object} meta - { title, keywords, description, ogType, lang }
+ * @returns {{ category, score, reason, matched }}
+ *   category is 'productive', 'distracting' or null (inconclusive)
+ */
+function classifyContent(meta = {}) {
+  let score = 0;
+  const matched = [];
+
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const text = (meta[field] || '').toString().toLowerCase();
+    if (!text) continue;
+
+    for (const kw of PRODUCTIVE_KEYWORDS) {
+      if (containsKeyword(text, kw)) {
+        score += weight;
+        matched.push(`+${kw}`);
+      }
+    }
+    for (const kw of DISTRACTING_KEYWORDS) {
+      if (containsKeyword(text, kw)) {
+        score -= weight;
+        matched.push(`-${kw}`);
+      }
+    }
+  }
+
+  const ogWeight = OG_TYPE_WEIGHTS[(meta.ogType || '').toLowerCase()] || 0;
+  if (ogWeight !== 0) {
+    score += ogWeight;
+    matched.push(`og:${meta.ogType}`);
+  }
+
+  const unique = [...new Set(matched)];
+  const top = unique.slice(0, 4).join(', ');
+  const lang = meta.lang ? ` [${meta.lang}]` : '';
+
+  if (score >= SCORE_THRESHOLD) {
+    return { category: 'productive', score, reason: `Content: ${top}${lang}`, matched: unique };
+  }
+  if (score <= -SCORE_THRESHOLD) {
+    return { category: 'distracting', score, reason: `Content: ${top}${lang}`, matched: unique };
+  }
+  return { category: null, score, reason: 'Content: inconclusive', matched: unique };
+}
+
+/* ─── Cache ─────────────────────────────────────────────── */
+
+const CACHE_LIMIT = 500;
+
+/**
+ * Store a result in the per-URL cache, evicting the oldest
+ * entries beyond CACHE_LIMIT.
+ */
+function cacheResult(cache, url, result, now = Date.now()) {
+  const next = { ...cache, [urlKey(url)]: { ...result, timestamp: now } };
+  const keys = Object.keys(next);
+  if (keys.length > CACHE_LIMIT) {
+    keys
+      .sort((a, b) => next[a].timestamp - next[b].timestamp)
+      .slice(0, keys.length - CACHE_LIMIT)
+      .forEach((k) => delete next[k]);
+  }
+  return next;
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const ContentClassifier = {
+  PRODUCTIVE_KEYWORDS,
+  DISTRACTING_KEYWORDS,
+  SCORE_THRESHOLD,
+  CACHE_LIMIT,
+  urlKey,
+  classifyContent,
+  cacheResult
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.ContentClassifier = ContentClassifier;
+}
+
+export default ContentClassifier;
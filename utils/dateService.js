@@ -0,0 +1,135 @@
+/**
+ * ============================================================
+ *  Date Service — Local Calendar Days for XPulse
+ * ============================================================
+ *  The one place that decides which day a moment belongs to.
+ *  Days follow the local timezone and start at a configurable
+ *  hour (settings.dayStartHour), so work past midnight can still
+ *  count towards the evening before.  Every date key XPulse
+ *  stores — daily bucket, streaks, archives, early-bird and
+ *  night-owl lists — comes from here.
+ *  No storage I/O; the service worker calls configure() with the
+ *  current settings.
+ * ============================================================
+ */
+
+const DEFAULT_DAY_START_HOUR = 0;
+
+/** Latest hour a day may start at */
+const MAX_DAY_START_HOUR = 12;
+
+let dayStartHour = DEFAULT_DAY_START_HOUR;
+
+/* ─── Configuration ─────────────────────────────────────── */
+
+/**
+ * Apply the day boundary from settings.
+ * @param {Object} settings - { dayStartHour }
+ */
+function configure(settings = {}) {
+  const hour = Math.floor(Number(settings.dayStartHour ?? DEFAULT_DAY_START_HOUR));
+  dayStartHour = Number.isFinite(hour)
+    ? Math.min(MAX_DAY_START_HOUR, Math.max(0, hour))
+    : DEFAULT_DAY_START_HOUR;
+}
+
+function getDayStartHour() {
+  return dayStartHour;
+}
+
+/* ─── ISO Dates ─────────────────────────────────────────── */
+
+/** Format a Date's local calendar date as YYYY-MM-DD */
+function formatISO(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/** Local midnight of an ISO date — never parsed as UTC */
+function parseISO(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/** Shift an ISO date by whole days */
+function addDaysISO(iso, days) {
+  const date = parseISO(iso);
+  date.setDate(date.getDate() + days);
+  return formatISO(date);
+}
+
+/** Weekday of an ISO date, 0 = Sunday … 6 = Saturday */
+function weekdayOf(iso) {
+  return parseISO(iso).getDay();
+}
+
+/** Monday of the week containing `iso` */
+function weekStartISO(iso) {
+  return addDaysISO(iso, -((weekdayOf(iso) + 6) % 7));
+}
+
+/* ─── Day Keys ──────────────────────────────────────────── */
+
+/**
+ * The day a moment belongs to.  Before the day-start hour, the
+ * moment still belongs to the previous calendar day.
+ * @param {number|Date} [at]
+ */
+function dayKey(at = Date.now()) {
+  const date = new Date(at);
+  const iso = formatISO(date);
+  return date.getHours() < dayStartHour ? addDaysISO(iso, -1) : iso;
+}
+
+function todayISO(at = Date.now()) {
+  return dayKey(at);
+}
+
+function yesterdayISO(at = Date.now()) {
+  return addDaysISO(dayKey(at), -1);
+}
+
+/* ─── Clock ─────────────────────────────────────────────── */
+
+/** Local wall-clock hour (0–23) — heatmap slots and time bonuses */
+function localHour(at = Date.now()) {
+  return new Date(at).getHours();
+}
+
+/**
+ * Local wall-clock weekday and time, for schedules that follow
+ * the clock rather than the day boundary.
+ * @returns {{ weekday, hour, minutes }} minutes since midnight
+ */
+function clockParts(at = Date.now()) {
+  const date = new Date(at);
+  return {
+    weekday: date.getDay(),
+    hour: date.getHours(),
+    minutes: date.getHours() * 60 + date.getMinutes()
+  };
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const DateService = {
+  DEFAULT_DAY_START_HOUR,
+  MAX_DAY_START_HOUR,
+  configure,
+  getDayStartHour,
+  formatISO,
+  parseISO,
+  addDaysISO,
+  weekdayOf,
+  weekStartISO,
+  dayKey,
+  todayISO,
+  yesterdayISO,
+  localHour,
+  clockParts
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.DateService = DateService;
+}
+
+export default DateService;
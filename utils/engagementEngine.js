@@ -0,0 +1,240 @@
+/**
+ * ============================================================
+ *  Engagement Engine — Per-Tab Interaction Weighting for XPulse
+ * ============================================================
+ *  Tracks each tab's visibility and last real interaction from
+ *  content-script signals, and weights tracked time by how
+ *  engaged the user was:
+ *    - typing / scrolling / clicking recently → full credit
+ *    - reading without input, within the passive-reading
+ *      allowance → reduced credit
+ *    - past the allowance, or tab hidden      → no credit
+ *  Pointer movement alone only proves presence, so a jiggled
+ *  mouse does not keep a page earning.
+ *  Playing video/audio (tab.audible or a content-script probe)
+ *  counts as engagement or as "ambient" time, per category.
+ *  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+/* ─── Signal Kinds ──────────────────────────────────────── */
+
+/** Events that count as real engagement */
+const ENGAGED_KINDS = Object.freeze(['keydown', 'scroll', 'click', 'touchstart', 'wheel']);
+
+/** Time after an interaction that counts as fully engaged */
+const ENGAGED_WINDOW_MS = 60 * 1000;
+
+/** How long per-tab history is kept */
+const HISTORY_MS = 60 * 60 * 1000;
+
+const DEFAULT_PASSIVE_MINUTES = 5;
+const DEFAULT_PASSIVE_WEIGHT  = 0.5;
+
+/* ─── Tab Records ───────────────────────────────────────── */
+
+/**
+ * Tab record shape (runtime map { tabId: record }):
+ *  {
+ *    interactions: [epochMs, …],            // engaged input times
+ *    visibility:   [{ at, visible }, …],    // visibility changes
+ *    media:        [{ at, playing }, …],    // playback changes
+ *    mediaSources: { audible, element },    // what reports playback
+ *    lastPresence: epochMs | null           // any content signal
+ *  }
+ */
+function emptyTabRecord() {
+  return {
+    interactions: [],
+    visibility: [],
+    media: [],
+    mediaSources: { audible: false, element: false },
+    lastPresence: null
+  };
+}
+
+function prune(record, now) {
+  const cutoff = now - HISTORY_MS;
+  // Keep the last change before the cutoff so state at the cutoff is known
+  const trim = (changes) => {
+    const kept = changes.filter((c) => c.at >= cutoff);
+    const before = changes.filter((c) => c.at < cutoff).pop();
+    return before ? [before, ...kept] : kept;
+  };
+  return {
+    ...record,
+    interactions: record.interactions.filter((t) => t >= cutoff),
+    visibility: trim(record.visibility),
+    media: trim(record.media)
+  };
+}
+
+/**
+ * Record a USER_ACTIVITY signal.
+ * @param {Object} record
+ * @param {Array<string>|undefined} kinds - DOM event types seen;
+ *   missing kinds (older content scripts) count as engaged
+ * @param {number} at
+ */
+function recordActivity(record, kinds, at) {
+  const next = { ...emptyTabRecord(), ...record };
+  next.lastPresence = at;
+  const engaged = !Array.isArray(kinds) || kinds.some((k) => ENGAGED_KINDS.includes(k));
+  if (engaged) next.interactions = [...next.interactions, at];
+  return prune(next, at);
+}
+
+/**
+ * Record a TAB_VISIBLE signal.
+ * @param {boolean} [fromContent] - false when the background infers
+ *   visibility (e.g. on tab switch); only content signals prove the
+ *   content script is running in the tab
+ */
+function recordVisibility(record, visible, at, fromContent = true) {
+  const next = { ...emptyTabRecord(), ...record };
+  if (fromContent) next.lastPresence = at;
+  const last = next.visibility[next.visibility.length - 1];
+  if (!last || last.visible !== visible) {
+    next.visibility = [...next.visibility, { at, visible }];
+  }
+  return prune(next, at);
+}
+
+/**
+ * Record a playback change.  Media counts as playing while the tab
+ * is audible or the content script sees a playing element (which
+ * also covers muted video).
+ * @param {Object} sources - { audible } from chrome.tabs and/or
+ *   { element } from the content-script probe
+ */
+function recordMedia(record, sources, at) {
+  const next = { ...emptyTabRecord(), ...record };
+  next.mediaSources = { ...next.mediaSources, ...sources };
+  if ('element' in sources) next.lastPresence = at;
+  const playing = !!(next.mediaSources.audible || next.mediaSources.element);
+  const last = next.media[next.media.length - 1];
+  if (last ? last.playing !== playing : playing) {
+    next.media = [...next.media, { at, playing }];
+  }
+  return prune(next, at);
+}
+
+/** Is media playing in the tab right now? */
+function isMediaPlaying(record) {
+  const last = record?.media?.[record.media.length - 1];
+  return !!last?.playing;
+}
+
+/* ─── Weighting ─────────────────────────────────────────── */
+
+function lastBefore(times, t) {
+  let found = null;
+  for (const x of times) {
+    if (x <= t) found = x;
+    else break;
+  }
+  return found;
+}
+
+/**
+ * Visibility at time t, and when the tab last became visible.
+ */
+function visibilityAt(record, t) {
+  let visible = true;
+  let since = null;
+  for (const v of record.visibility) {
+    if (v.at > t) break;
+    if (v.visible && (since === null || !visible)) since = v.at;
+    visible = v.visible;
+  }
+  return { visible, since };
+}
+
+function playingAt(record, t) {
+  let playing = false;
+  for (const m of record.media || []) {
+    if (m.at > t) break;
+    playing = m.playing;
+  }
+  return playing;
+}
+
+/**
+ * Weight of a single moment.  Bringing a tab into view starts the
+ * passive-reading allowance just like an interaction does, but
+ * only real input earns full credit.
+ */
+function weightAt(record, t, { passiveMs, passiveWeight }) {
+  const { visible, since } = visibilityAt(record, t);
+  if (!visible) return 0;
+
+  const last = lastBefore(record.interactions, t);
+  if (last !== null && t - last <= ENGAGED_WINDOW_MS) return 1;
+
+  const anchor = Math.max(last ?? -Infinity, since ?? -Infinity);
+  if (anchor === -Infinity) return 0;
+  const passiveUntil = anchor + (anchor === last ? ENGAGED_WINDOW_MS : 0) + passiveMs;
+  return t <= passiveUntil ? passiveWeight : 0;
+}
+
+/**
+ * Measure engagement over a ledger span.
+ *
+ * While media plays, the category's media effect decides: 'engaged'
+ * gives full weight, 'ambient' gives none and counts the time as
+ * ambient instead.  Otherwise tabs that never reported a content
+ * signal (pages the content script cannot run on) fall back to
+ * full weight, leaving chrome.idle as the only check.
+ *
+ * @param {Object|undefined} record - tab record
+ * @param {number} start - span start, epoch ms
+ * @param {number} end - span end, epoch ms
+ * @param {Object} settings - passiveReadingMinutes, passiveReadingWeight
+ * @param {string} [mediaEffect] - category media effect
+ * @returns {{ weight: number, ambientShare: number }} both 0–1
+ */
+function measureSpan(record, start, end, settings = {}, mediaEffect = 'engaged') {
+  if (!record || end <= start) return { weight: 1, ambientShare: 0 };
+
+  const options = {
+    passiveMs: (settings.passiveReadingMinutes ?? DEFAULT_PASSIVE_MINUTES) * 60 * 1000,
+    passiveWeight: Math.min(1, Math.max(0, settings.passiveReadingWeight ?? DEFAULT_PASSIVE_WEIGHT))
+  };
+  const hasContent = record.lastPresence !== null;
+
+  // Sample once a second — spans are at most a few minutes long
+  let total = 0;
+  let ambient = 0;
+  let samples = 0;
+  for (let t = start; t < end; t += 1000) {
+    samples += 1;
+    if (playingAt(record, t)) {
+      if (mediaEffect === 'ambient') ambient += 1;
+      else total += 1;
+    } else {
+      total += hasContent ? weightAt(record, t, options) : 1;
+    }
+  }
+  return { weight: total / samples, ambientShare: ambient / samples };
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const EngagementEngine = {
+  ENGAGED_KINDS,
+  ENGAGED_WINDOW_MS,
+  DEFAULT_PASSIVE_MINUTES,
+  DEFAULT_PASSIVE_WEIGHT,
+  emptyTabRecord,
+  recordActivity,
+  recordVisibility,
+  recordMedia,
+  isMediaPlaying,
+  measureSpan
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.EngagementEngine = EngagementEngine;
+}
+
+export default EngagementEngine;
@@ -0,0 +1,188 @@
+/**
+ * ============================================================
+ *  Focus Engine — Focus Mode Sessions & Site Blocking
+ * ============================================================
+ *  A focus session blocks distracting domains (and the user's
+ *  own block list) for a chosen duration.  Blocked requests are
+ *  redirected by one declarativeNetRequest dynamic rule to the
+ *  extension's interstitial page, where the user may bypass a
+ *  domain by paying XP.  Finishing without a bypass earns a bonus.
+ *  Pure-function module — the service worker installs the rules.
+ * ============================================================
+ */
+
+import XpEngine from './xpEngine.js';
+import PublicSuffix from './publicSuffix.js';
+
+const FOCUS_DURATIONS = [15, 25, 45, 60, 90];
+const DEFAULT_FOCUS_MINUTES = 25;
+const DEFAULT_BYPASS_COST = 25;
+
+/** Completion bonus per focused minute, only without bypasses */
+const BONUS_XP_PER_MINUTE = 2;
+
+/** Dynamic rule id of the block rule */
+const BLOCK_RULE_ID = 1;
+
+/** Interstitial page, relative to the extension root */
+const BLOCK_PAGE = 'focus/focus.html';
+
+const VALID_DOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+/* ─── Block List ────────────────────────────────────────── */
+
+/**
+ * Normalise a block-list entry ("https://www.Reddit.com/r/x" →
+ * "reddit.com").  Returns null for anything that is not a domain.
+ */
+function normalizeDomain(entry) {
+  const host = PublicSuffix.normalizeHost(String(entry || '').trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+    .split(/[/?#:]/)[0]);
+  return VALID_DOMAIN.test(host) ? host : null;
+}
+
+/**
+ * Domains a focus session blocks: the built-in distracting list
+ * and custom domains mapped to a distracting category (unless
+ * settings.focusBlockDistracting is off), plus settings.focusBlockList.
+ * @returns {Array<string>} sorted, de-duplicated
+ */
+function blockedDomains(settings = {}) {
+  const domains = new Set();
+  if (settings.focusBlockDistracting !== false) {
+    const categories = XpEngine.getCategories(settings);
+    const distracting = new Set(categories.filter((c) => XpEngine.getCategoryClass(c) === 'distracting').map((c) => c.id));
+    for (const d of XpEngine.DISTRACTING_DOMAINS) domains.add(d);
+    for (const [d, category] of Object.entries(settings.customCategories || {})) {
+      if (distracting.has(category)) domains.add(d);
+    }
+  }
+  for (const d of settings.focusBlockList || []) domains.add(d);
+
+  return [...domains].map(normalizeDomain).filter(Boolean)
+    .filter((d, i, all) => all.indexOf(d) === i)
+    .sort();
+}
+
+/**
+ * Productive subdomains of blocked domains ("aws.amazon.com" under
+ * "amazon.com") — left reachable, as classification would.
+ */
+function allowedSubdomains(domains) {
+  return [...XpEngine.PRODUCTIVE_DOMAINS]
+    .filter((d) => domains.some((blocked) => d.endsWith(`.${blocked}`)))
+    .sort();
+}
+
+/* ─── Sessions ──────────────────────────────────────────── */
+
+/**
+ * @returns {{ startedAt, endsAt, minutes, domains, allowed, bypassed, bypassXp }}
+ */
+function startSession(settings, minutes = DEFAULT_FOCUS_MINUTES, now = Date.now()) {
+  const length = Math.max(1, Math.round(Number(minutes) || DEFAULT_FOCUS_MINUTES));
+  const domains = blockedDomains(settings);
+  return {
+    startedAt: now,
+    endsAt: now + length * 60000,
+    minutes: length,
+    domains,
+    allowed: allowedSubdomains(domains),
+    bypassed: [],
+    bypassXp: 0
+  };
+}
+
+function isActive(session, now = Date.now()) {
+  return !!session && now < session.endsAt;
+}
+
+function remainingMs(session, now = Date.now()) {
+  return session ? Math.max(0, session.endsAt - now) : 0;
+}
+
+/**
+ * The blocked domain a URL falls under, or null when the URL is
+ * not blocked (or its domain was bypassed).
+ */
+function blockedDomainFor(url, session) {
+  if (!session) return null;
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+  const allowed = session.allowed || [];
+  const match = PublicSuffix.getLookupChain(host).find((d) => session.domains.includes(d) || allowed.includes(d));
+  return match && !allowed.includes(match) && !session.bypassed.includes(match) ? match : null;
+}
+
+/**
+ * Record a paid bypass for a domain.
+ */
+function bypass(session, domain, cost) {
+  if (!session || session.bypassed.includes(domain)) return session;
+  return { ...session, bypassed: [...session.bypassed, domain], bypassXp: session.bypassXp + cost };
+}
+
+/** Bonus for finishing the session — nothing once a bypass was paid */
+function completionBonus(session) {
+  return session && session.bypassed.length === 0 ? session.minutes * BONUS_XP_PER_MINUTE : 0;
+}
+
+/* ─── declarativeNetRequest ─────────────────────────────── */
+
+/**
+ * Dynamic rules for a session: one main-frame redirect to the
+ * interstitial, carrying the original URL in the fragment.
+ *
+ * @param {Object|null} session
+ * @param {string} pageUrl - chrome.runtime.getURL(BLOCK_PAGE)
+ * @returns {Array} rules to install (empty when nothing is blocked)
+ */
+function buildRules(session, pageUrl) {
+  if (!session || session.domains.length === 0) return [];
+  const condition = {
+    regexFilter: '^https?://.*',
+    requestDomains: session.domains,
+    resourceTypes: ['main_frame']
+  };
+  const excluded = [...(session.allowed || []), ...session.bypassed];
+  if (excluded.length > 0) condition.excludedRequestDomains = excluded;
+
+  return [{
+    id: BLOCK_RULE_ID,
+    priority: 1,
+    action: { type: 'redirect', redirect: { regexSubstitution: `${pageUrl}#\\0` } },
+    condition
+  }];
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const FocusEngine = {
+  FOCUS_DURATIONS,
+  DEFAULT_FOCUS_MINUTES,
+  DEFAULT_BYPASS_COST,
+  BONUS_XP_PER_MINUTE,
+  BLOCK_RULE_ID,
+  BLOCK_PAGE,
+  normalizeDomain,
+  blockedDomains,
+  allowedSubdomains,
+  startSession,
+  isActive,
+  remainingMs,
+  blockedDomainFor,
+  bypass,
+  completionBonus,
+  buildRules
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.FocusEngine = FocusEngine;
+}
+
+export default FocusEngine;
@@ -0,0 +1,127 @@
+/**
+ * ============================================================
+ *  Goal Engine — Daily & Weekly XP Goals for XPulse
+ * ============================================================
+ *  Tracks productive XP against settings.dailyXpGoal, the
+ *  weekly goal (the sum of the week's daily goals, rest days
+ *  excluded) and the run of consecutive goal-hit days.
+ *  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+import DateService from './dateService.js';
+import StreakEngine from './streakEngine.js';
+
+const DEFAULT_DAILY_GOAL = 200;
+const DEFAULT_GOAL_BONUS = 50;
+const DEFAULT_WEEKLY_GOAL_BONUS = 150;
+
+/* ─── Progress ──────────────────────────────────────────── */
+
+/**
+ * @param {number} xp - productive XP so far
+ * @param {number} goal
+ * @returns {{ xp, goal, remaining, percent, reached }}
+ */
+function progress(xp, goal) {
+  const target = Math.max(1, goal || DEFAULT_DAILY_GOAL);
+  return {
+    xp,
+    goal: target,
+    remaining: Math.max(0, target - xp),
+    percent: Math.min(100, Math.max(0, Math.round((xp / target) * 100))),
+    reached: xp >= target
+  };
+}
+
+function dailyProgress(dailyProductiveXp, settings = {}) {
+  return progress(dailyProductiveXp, settings.dailyXpGoal);
+}
+
+/**
+ * Weekly goal: one daily goal for every day of the week that is
+ * not a declared rest day.
+ */
+function weeklyGoal(weekStart, settings = {}) {
+  let days = 0;
+  for (let i = 0; i < 7; i++) {
+    if (!StreakEngine.isRestDay(DateService.addDaysISO(weekStart, i), settings)) days += 1;
+  }
+  return Math.max(1, days) * (settings.dailyXpGoal || DEFAULT_DAILY_GOAL);
+}
+
+/**
+ * Progress toward this week's goal from archived days plus today.
+ *
+ * @param {Array} archive - archived day records ({ date, productive })
+ * @param {number} todayXp - today's productive XP
+ * @param {Object} settings
+ * @param {string} [today]
+ * @returns {{ xp, goal, remaining, percent, reached, weekStart }}
+ */
+function weeklyProgress(archive, todayXp, settings = {}, today = DateService.todayISO()) {
+  const weekStart = DateService.weekStartISO(today);
+  const earlier = (archive || [])
+    .filter((d) => d.date >= weekStart && d.date < today)
+    .reduce((sum, d) => sum + (d.productive || 0), 0);
+  return { ...progress(earlier + todayXp, weeklyGoal(weekStart, settings)), weekStart };
+}
+
+/* ─── Goal Streak ───────────────────────────────────────── */
+
+/**
+ * The last day before `today` that is not a rest day.
+ */
+function previousGoalDay(today, settings = {}) {
+  let day = DateService.addDaysISO(today, -1);
+  for (let i = 0; i < 366 && StreakEngine.isRestDay(day, settings); i++) {
+    day = DateService.addDaysISO(day, -1);
+  }
+  return day;
+}
+
+/**
+ * Record today's goal hit.  The run continues from the previous
+ * non-rest day.
+ *
+ * @param {Object} state - { goalStreak, longestGoalStreak, lastGoalDate, goalsHit }
+ * @returns {Object} updated state
+ */
+function markGoalHit(state, settings = {}, today = DateService.todayISO()) {
+  if (state.lastGoalDate === today) return { ...state };
+  const continues = state.lastGoalDate === previousGoalDay(today, settings);
+  const goalStreak = continues ? (state.goalStreak || 0) + 1 : 1;
+  return {
+    goalStreak,
+    longestGoalStreak: Math.max(state.longestGoalStreak || 0, goalStreak),
+    lastGoalDate: today,
+    goalsHit: (state.goalsHit || 0) + 1
+  };
+}
+
+/**
+ * Goal streak as of `today` — 0 once a non-rest day was missed.
+ */
+function currentGoalStreak(state, settings = {}, today = DateService.todayISO()) {
+  const alive = state.lastGoalDate === today || state.lastGoalDate === previousGoalDay(today, settings);
+  return alive ? (state.goalStreak || 0) : 0;
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const GoalEngine = {
+  DEFAULT_DAILY_GOAL,
+  DEFAULT_GOAL_BONUS,
+  DEFAULT_WEEKLY_GOAL_BONUS,
+  dailyProgress,
+  weeklyGoal,
+  weeklyProgress,
+  markGoalHit,
+  currentGoalStreak
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.GoalEngine = GoalEngine;
+}
+
+export default GoalEngine;
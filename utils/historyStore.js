@@ -0,0 +1,274 @@
+/**
+ * ============================================================
+ *  HistoryStore — Long-Term History in IndexedDB
+ * ============================================================
+ *  chrome.storage.local keeps hot state only: the live day, the
+ *  last week of day records the engines read, the last sessions
+ *  for the popup.  Everything that only grows lives here, with
+ *  no caps:
+ *    days        — archived day records, keyed by ISO date
+ *    heatmaps    — each day's hourly heatmap, keyed by ISO date
+ *    domainDays  — per-day domain stats, keyed by [date, domain]
+ *    sessions    — every saved session, indexed by start time
+ *    xpEvents    — the XP ledger (XpLedger), append-only, by time
+ *  Records are written as they are; merging is up to callers.
+ * ============================================================
+ */
+
+const DB_NAME = 'xpulse-history';
+const DB_VERSION = 2;
+
+const STORES = Object.freeze({
+  DAYS:        'days',
+  HEATMAPS:    'heatmaps',
+  DOMAIN_DAYS: 'domainDays',
+  SESSIONS:    'sessions',
+  XP_EVENTS:   'xpEvents'
+});
+
+/* ─── IndexedDB Helpers ─────────────────────────────────── */
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Key range for inclusive bounds; either may be omitted.
+ * Compound [date, domain] keys pass `compound` so a date bound
+ * covers every domain on that date.
+ */
+function keyRange(lower, upper, compound = false) {
+  const lo = lower == null ? undefined : (compound ? [lower] : lower);
+  const hi = upper == null ? undefined : (compound ? [upper, []] : upper);
+  if (lo !== undefined && hi !== undefined) return IDBKeyRange.bound(lo, hi);
+  if (lo !== undefined) return IDBKeyRange.lowerBound(lo);
+  if (hi !== undefined) return IDBKeyRange.upperBound(hi);
+  return undefined;
+}
+
+class HistoryStore {
+  static open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => HistoryStore._upgrade(req.result);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      }).catch((err) => {
+        dbPromise = null;  // let the next call retry
+        throw err;
+      });
+    }
+    return dbPromise;
+  }
+
+  static _upgrade(db) {
+    if (!db.objectStoreNames.contains(STORES.DAYS)) {
+      db.createObjectStore(STORES.DAYS, { keyPath: 'date' });
+    }
+    if (!db.objectStoreNames.contains(STORES.HEATMAPS)) {
+      db.createObjectStore(STORES.HEATMAPS, { keyPath: 'date' });
+    }
+    if (!db.objectStoreNames.contains(STORES.DOMAIN_DAYS)) {
+      const domainDays = db.createObjectStore(STORES.DOMAIN_DAYS, { keyPath: ['date', 'domain'] });
+      domainDays.createIndex('domain', 'domain');
+    }
+    if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
+      const sessions = db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+      sessions.createIndex('startTime', 'startTime');
+    }
+    if (!db.objectStoreNames.contains(STORES.XP_EVENTS)) {
+      const xpEvents = db.createObjectStore(STORES.XP_EVENTS, { keyPath: 'seq', autoIncrement: true });
+      xpEvents.createIndex('at', 'at');
+    }
+  }
+
+  static async _getAll(store, range, index = null) {
+    const db = await HistoryStore.open();
+    const source = db.transaction(store, 'readonly').objectStore(store);
+    return promisify((index ? source.index(index) : source).getAll(range));
+  }
+
+  static async _write(stores, fn) {
+    const db = await HistoryStore.open();
+    const tx = db.transaction(stores, 'readwrite');
+    fn(tx);
+    return transactionDone(tx);
+  }
+
+  /* ─── Days ────────────────────────────────────────────── */
+
+  /**
+   * Store a finished day in one transaction.
+   * @param {Object} record - { day, heatmap, domains } where day is
+   *   the archived day record, heatmap its 24 slots and domains
+   *   { domain: stats } for that day
+   */
+  static async archiveDay({ day, heatmap = null, domains = {} }) {
+    return HistoryStore._write([STORES.DAYS, STORES.HEATMAPS, STORES.DOMAIN_DAYS], (tx) => {
+      tx.objectStore(STORES.DAYS).put(day);
+      if (heatmap) tx.objectStore(STORES.HEATMAPS).put({ date: day.date, slots: heatmap });
+      const domainDays = tx.objectStore(STORES.DOMAIN_DAYS);
+      for (const [domain, stats] of Object.entries(domains)) {
+        domainDays.put({ ...stats, date: day.date, domain });
+      }
+    });
+  }
+
+  /**
+   * Everything stored for one date.
+   * @returns {Promise<{ day, heatmap, domains }>} day and heatmap null when absent
+   */
+  static async getArchivedDay(date) {
+    const [days, heatmaps, domainDays] = await Promise.all([
+      HistoryStore.getDays(date, date),
+      HistoryStore.getHeatmaps(date, date),
+      HistoryStore.getDomainDays(date, date)
+    ]);
+    return {
+      day: days[0] || null,
+      heatmap: heatmaps[0]?.slots || null,
+      domains: Object.fromEntries(domainDays.map(({ date: _d, domain, ...stats }) => [domain, stats]))
+    };
+  }
+
+  /** Day records between ISO dates (inclusive), oldest first */
+  static async getDays(from, to) {
+    return HistoryStore._getAll(STORES.DAYS, keyRange(from, to));
+  }
+
+  /** @returns {Promise<Array<{ date, slots }>>} */
+  static async getHeatmaps(from, to) {
+    return HistoryStore._getAll(STORES.HEATMAPS, keyRange(from, to));
+  }
+
+  /** @returns {Promise<Array<{ date, domain, visits, totalMinutes, totalXp, … }>>} */
+  static async getDomainDays(from, to) {
+    return HistoryStore._getAll(STORES.DOMAIN_DAYS, keyRange(from, to, true));
+  }
+
+  /** Every day stored for one domain, oldest first */
+  static async getDomainHistory(domain) {
+    return HistoryStore._getAll(STORES.DOMAIN_DAYS, IDBKeyRange.only(domain), 'domain');
+  }
+
+  /** Oldest archived date, or null when nothing is stored */
+  static async earliestDate() {
+    const db = await HistoryStore.open();
+    const cursor = await promisify(db.transaction(STORES.DAYS, 'readonly').objectStore(STORES.DAYS).openCursor());
+    return cursor ? cursor.key : null;
+  }
+
+  /**
+   * Merge extra fields into stored day records by date,
+   * e.g. { '2024-05-04': { protection: 'freeze' } }.
+   */
+  static async annotateDays(annotations) {
+    const dates = Object.keys(annotations);
+    if (dates.length === 0) return;
+    const db = await HistoryStore.open();
+    const tx = db.transaction(STORES.DAYS, 'readwrite');
+    const store = tx.objectStore(STORES.DAYS);
+    for (const date of dates) {
+      const req = store.get(date);
+      req.onsuccess = () => {
+        if (req.result) store.put({ ...req.result, ...annotations[date] });
+      };
+    }
+    return transactionDone(tx);
+  }
+
+  /* ─── Sessions ────────────────────────────────────────── */
+
+  static async putSession(session) {
+    return HistoryStore._write(STORES.SESSIONS, (tx) => tx.objectStore(STORES.SESSIONS).put(session));
+  }
+
+  /** Sessions that started in [fromMs, toMs), oldest first */
+  static async getSessions(fromMs, toMs) {
+    const range = fromMs != null && toMs != null
+      ? IDBKeyRange.bound(fromMs, toMs, false, true)
+      : keyRange(fromMs, toMs);
+    return HistoryStore._getAll(STORES.SESSIONS, range, 'startTime');
+  }
+
+  /* ─── XP Ledger ───────────────────────────────────────── */
+
+  /** Append events in order; the store numbers them (`seq`) */
+  static async appendXpEvents(events) {
+    if (events.length === 0) return;
+    return HistoryStore._write(STORES.XP_EVENTS, (tx) => {
+      const store = tx.objectStore(STORES.XP_EVENTS);
+      for (const event of events) store.add(event);
+    });
+  }
+
+  /**
+   * Events at or after fromMs and before toMs, oldest first.
+   * Events written in one batch share a time, so order by `seq`.
+   */
+  static async getXpEvents(fromMs, toMs) {
+    const range = fromMs != null && toMs != null
+      ? IDBKeyRange.bound(fromMs, toMs, false, true)
+      : keyRange(fromMs, toMs);
+    const events = await HistoryStore._getAll(STORES.XP_EVENTS, range, 'at');
+    return events.sort((a, b) => a.seq - b.seq);
+  }
+
+  /** The whole ledger in write order, for replay */
+  static async getAllXpEvents() {
+    return HistoryStore._getAll(STORES.XP_EVENTS);
+  }
+
+  /* ─── Bulk ────────────────────────────────────────────── */
+
+  /**
+   * Write many records at once — used by migrations and to restore
+   * an export.  Stores named in `replace` are emptied first, in the
+   * same transaction, for records whose keys were rewritten.
+   * @param {Object} records - { days, heatmaps, domainDays, sessions, xpEvents }
+   * @param {Object} [options]
+   * @param {string[]} [options.replace]
+   */
+  static async importRecords({ days = [], heatmaps = [], domainDays = [], sessions = [], xpEvents = [] }, { replace = [] } = {}) {
+    return HistoryStore._write(Object.values(STORES), (tx) => {
+      for (const store of replace) tx.objectStore(store).clear();
+      for (const d of days) tx.objectStore(STORES.DAYS).put(d);
+      for (const h of heatmaps) tx.objectStore(STORES.HEATMAPS).put(h);
+      for (const d of domainDays) tx.objectStore(STORES.DOMAIN_DAYS).put(d);
+      for (const s of sessions) tx.objectStore(STORES.SESSIONS).put(s);
+      for (const e of xpEvents) tx.objectStore(STORES.XP_EVENTS).put(e);
+    });
+  }
+
+  /** Every record of the given stores (all by default), for export */
+  static async dump(stores = Object.values(STORES)) {
+    const records = await Promise.all(stores.map((store) => HistoryStore._getAll(store)));
+    return Object.fromEntries(stores.map((store, i) => [store, records[i]]));
+  }
+
+  static async clear() {
+    return HistoryStore._write(Object.values(STORES), (tx) => {
+      for (const store of Object.values(STORES)) tx.objectStore(store).clear();
+    });
+  }
+}
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.HistoryStore = HistoryStore;
+}
+
+export default HistoryStore;
@@ -0,0 +1,146 @@
+/**
+ * ============================================================
+ *  Intent Engine — Intentional-Visit Prompts for XPulse
+ * ============================================================
+ *  Optional friction before a distracting page: the content
+ *  script asks "Why are you here?" and the answer is logged.
+ *  A work-related answer reclassifies that URL as neutral for a
+ *  while; any answer quiets the prompt on its domain for a few
+ *  minutes so one visit is not asked about page after page.
+ *  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+const INTENT_REASONS = Object.freeze([
+  { id: 'work',    label: 'Work-related',       icon: '💼' },
+  { id: 'message', label: 'Checking a message', icon: '💬' },
+  { id: 'break',   label: 'Taking a break',     icon: '☕' },
+  { id: 'habit',   label: 'Just habit',         icon: '🔁' },
+  { id: 'bored',   label: 'Bored',              icon: '🥱' }
+]);
+
+const WORK_REASON = 'work';
+
+/** Category a work-related URL is scored as */
+const WORK_CATEGORY = 'neutral';
+
+const DEFAULT_PROMPT_SECONDS = 5;
+const DEFAULT_WORK_MINUTES = 30;
+
+/** No second prompt on a domain within this long of an answer */
+const QUIET_MS = 15 * 60 * 1000;
+
+/** Answers kept for analytics */
+const MAX_LOG_ENTRIES = 500;
+
+/* ─── Prompting ─────────────────────────────────────────── */
+
+/**
+ * Was the domain answered for recently enough to skip the prompt?
+ */
+function recentlyAnswered(log, domain, now = Date.now()) {
+  return (log || []).some((e) => e.domain === domain && now - e.at < QUIET_MS);
+}
+
+/**
+ * What leaving the focused state costs, for the prompt.
+ *
+ * @param {Object} params - { xpRate, comboMultiplier, comboMinutes, graceMinutes }
+ * @returns {{ xpPerMinute, comboMultiplier, comboMinutes, graceMinutes }}
+ */
+function stakes({ xpRate, comboMultiplier = 1, comboMinutes = 0, graceMinutes = 0 }) {
+  return {
+    xpPerMinute: Math.min(0, xpRate),
+    comboMultiplier,
+    comboMinutes: Math.floor(comboMinutes),
+    graceMinutes
+  };
+}
+
+/* ─── Answers ───────────────────────────────────────────── */
+
+/**
+ * Log an answer.
+ *
+ * @param {Array} log
+ * @param {Object} answer - { url, domain, reason }
+ * @returns {Array} new log, newest last, capped
+ */
+function record(log, { url, domain, reason }, at = Date.now()) {
+  const next = [...(log || []), { at, url, domain, reason }];
+  return next.length > MAX_LOG_ENTRIES ? next.slice(next.length - MAX_LOG_ENTRIES) : next;
+}
+
+/**
+ * Temporary overrides with a work-related URL added.
+ *
+ * @param {Object} overrides - { urlKey: { category, expiresAt } }
+ * @returns {Object} new map, expired entries dropped
+ */
+function grantWorkOverride(overrides, key, minutes = DEFAULT_WORK_MINUTES, now = Date.now()) {
+  return {
+    ...activeOverrides(overrides, now, true),
+    [key]: { category: WORK_CATEGORY, expiresAt: now + minutes * 60000 }
+  };
+}
+
+/**
+ * Overrides still in force at `now`.
+ * @param {boolean} [full] - keep the { category, expiresAt } records
+ *   instead of the { urlKey: category } map classification takes
+ */
+function activeOverrides(overrides, now = Date.now(), full = false) {
+  const active = {};
+  for (const [key, o] of Object.entries(overrides || {})) {
+    if (o.expiresAt > now) active[key] = full ? o : o.category;
+  }
+  return active;
+}
+
+/* ─── Analytics ─────────────────────────────────────────── */
+
+/**
+ * Answers since a time, by reason and by domain.
+ * @returns {{ total, reasons: [{ id, label, icon, count }], domains: [{ domain, count, work }] }}
+ */
+function summarize(log, since = 0) {
+  const entries = (log || []).filter((e) => e.at >= since);
+
+  const reasons = INTENT_REASONS
+    .map((r) => ({ ...r, count: entries.filter((e) => e.reason === r.id).length }))
+    .filter((r) => r.count > 0)
+    .sort((a, b) => b.count - a.count);
+
+  const byDomain = new Map();
+  for (const e of entries) {
+    const d = byDomain.get(e.domain) || { domain: e.domain, count: 0, work: 0 };
+    d.count += 1;
+    if (e.reason === WORK_REASON) d.work += 1;
+    byDomain.set(e.domain, d);
+  }
+  const domains = [...byDomain.values()].sort((a, b) => b.count - a.count).slice(0, 5);
+
+  return { total: entries.length, reasons, domains };
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const IntentEngine = {
+  INTENT_REASONS,
+  WORK_REASON,
+  WORK_CATEGORY,
+  DEFAULT_PROMPT_SECONDS,
+  DEFAULT_WORK_MINUTES,
+  recentlyAnswered,
+  stakes,
+  record,
+  grantWorkOverride,
+  activeOverrides,
+  summarize
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.IntentEngine = IntentEngine;
+}
+
+export default IntentEngine;
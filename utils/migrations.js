@@ -0,0 +1,227 @@
+/**
+ * ============================================================
+ *  Migrations — Versioned Storage Schema for XPulse
+ * ============================================================
+ *  Stored state carries a `schemaVersion`.  Each change to a
+ *  stored shape adds a migration here with the next version;
+ *  they run in order on whatever is behind, both on the live
+ *  store at startup and on an imported export.
+ *  A migration takes the state and the history records bound
+ *  for HistoryStore (days, heatmaps, domainDays, sessions,
+ *  xpEvents), may change both freely — run() works on copies —
+ *  and must not touch storage.  Throwing aborts the whole run.
+ *  Versions never change once released; fix forward instead.
+ *  Pure-function module — StorageManager does the I/O.
+ * ============================================================
+ */
+
+import PublicSuffix from './publicSuffix.js';
+import DateService from './dateService.js';
+import AnalyticsEngine from './analyticsEngine.js';
+import XpLedger from './xpLedger.js';
+
+const HISTORY_STORES = Object.freeze(['days', 'heatmaps', 'domainDays', 'sessions', 'xpEvents']);
+
+/* ─── Migrations ────────────────────────────────────────── */
+
+/** Fold a { domain: stats } map under registrable domains */
+function groupStats(domainStats) {
+  const grouped = {};
+  for (const [host, stats] of Object.entries(domainStats || {})) {
+    const key = PublicSuffix.getRegistrableDomain(host) || host;
+    const prev = grouped[key];
+    if (!prev) {
+      grouped[key] = { ...stats };
+      continue;
+    }
+    const newer = (stats.lastVisit || '') > (prev.lastVisit || '');
+    grouped[key] = {
+      visits:       (prev.visits || 0) + (stats.visits || 0),
+      totalMinutes: (prev.totalMinutes || 0) + (stats.totalMinutes || 0),
+      totalXp:      (prev.totalXp || 0) + (stats.totalXp || 0),
+      ambientMinutes: (prev.ambientMinutes || 0) + (stats.ambientMinutes || 0),
+      category:     newer ? stats.category : prev.category,
+      lastVisit:    newer ? stats.lastVisit : prev.lastVisit
+    };
+  }
+  return grouped;
+}
+
+/**
+ * Host-keyed domain stats from older versions fold into their
+ * registrable domain ("gist.github.com" → "github.com").
+ */
+function groupDomainsByRegistrable(state) {
+  state.domainStats = groupStats(state.domainStats);
+  state.todayUniqueDomains = [...new Set((state.todayUniqueDomains || []).map(PublicSuffix.getRegistrableDomain))];
+}
+
+/** When the state was last ticked: its latest domain visit */
+function lastActivity(state) {
+  const visits = Object.values(state.domainStats || {})
+    .map((stats) => Date.parse(stats?.lastVisit))
+    .filter(Number.isFinite);
+  return visits.length > 0 ? Math.max(...visits) : null;
+}
+
+/**
+ * UTC day keys become DateService day keys.  The live bucket was
+ * keyed by the UTC date of its last tick and is relabelled to that
+ * tick's local day — judged by the state's own last visit, since
+ * an export may be migrated days after it was taken.  Older
+ * buckets mostly covered the local day their UTC key names, so
+ * archives keep their dates; duplicates are folded.
+ */
+function localDayKeys(state, history, { now }) {
+  if ((state.dateKeyVersion ?? 0) < 1) {
+    const at = lastActivity(state) ?? now;
+    if (state.dailyDate === new Date(at).toISOString().slice(0, 10)) state.dailyDate = DateService.todayISO(at);
+    state.weeklyStats = AnalyticsEngine.mergeDayRecords(state.weeklyStats || []);
+    if (state.monthlyStats) state.monthlyStats = AnalyticsEngine.mergeDayRecords(state.monthlyStats);
+  }
+  delete state.dateKeyVersion;
+}
+
+/**
+ * Heatmap slots with fixed { productive, distracting, neutral }
+ * keys and tick counts become per-category XP and minutes.
+ */
+function perCategoryHeatmapSlots(state, history) {
+  if (Array.isArray(state.hourlyHeatmap)) {
+    state.hourlyHeatmap = state.hourlyHeatmap.map(AnalyticsEngine.normalizeHeatmapSlot);
+  }
+  history.heatmaps = history.heatmaps.map((h) => ({ ...h, slots: (h.slots || []).map(AnalyticsEngine.normalizeHeatmapSlot) }));
+}
+
+/**
+ * The capped history arrays move to HistoryStore: the 30-day
+ * monthlyStats archive (retired), the hot week and sessions.
+ * Heatmaps and domain stats were never kept per day, so history
+ * from before the move has day records and sessions only.
+ */
+function historyToIndexedDb(state, history) {
+  if (!state.historyMigrated) {
+    const archived = new Map();
+    for (const day of [...(state.monthlyStats || []), ...(state.weeklyStats || [])]) archived.set(day.date, day);
+    history.days = [...archived.values(), ...history.days];
+    history.sessions = [...(state.sessions || []).filter((s) => s?.id), ...history.sessions];
+  }
+  delete state.monthlyStats;
+  delete state.historyMigrated;
+}
+
+/**
+ * The XP ledger opens with the balance as it stands, so a replay
+ * has something to build on.  The event takes a fixed key ahead of
+ * the generated ones: a run retried after a rollback rewrites it
+ * rather than opening the ledger twice.
+ */
+function openXpLedger(state, history, { now }) {
+  if (!state.xpLedgerOpened) {
+    history.xpEvents = [{ ...XpLedger.openingEvent(state, { at: now }), seq: 0 }, ...history.xpEvents];
+  }
+  delete state.xpLedgerOpened;
+}
+
+/**
+ * Domains the bundled suffix list wrongly treated as suffixes
+ * (netlify.com, wordpress.com …) were split per host everywhere
+ * domains key records: lifetime and today's stats, the archived
+ * per-day stats and saved sessions.
+ */
+function regroupDomains(state, history) {
+  groupDomainsByRegistrable(state);
+  if (state.todayDomainStats) state.todayDomainStats = groupStats(state.todayDomainStats);
+  const registrable = (domain) => PublicSuffix.getRegistrableDomain(domain) || domain;
+  if (state.currentSession?.domain) state.currentSession.domain = registrable(state.currentSession.domain);
+
+  const byDate = new Map();
+  for (const { date, domain, ...stats } of history.domainDays) {
+    if (!byDate.has(date)) byDate.set(date, {});
+    byDate.get(date)[domain] = stats;
+  }
+  history.domainDays = [...byDate].flatMap(([date, stats]) =>
+    Object.entries(groupStats(stats)).map(([domain, grouped]) => ({ ...grouped, date, domain })));
+  const regroupSession = (s) => (s?.domain ? { ...s, domain: registrable(s.domain) } : s);
+  if (Array.isArray(state.sessions)) state.sessions = state.sessions.map(regroupSession);
+  history.sessions = history.sessions.map(regroupSession);
+}
+
+/**
+ * In order; `version` is the schemaVersion a migration leaves
+ * behind.  `stores` names the HistoryStore stores a migration
+ * rewrites: on the live store they are read in before it runs and
+ * written back whole afterwards.
+ */
+const MIGRATIONS = Object.freeze([
+  { version: 1, name: 'Group domain stats by registrable domain', migrate: groupDomainsByRegistrable },
+  { version: 2, name: 'Local-time day keys',                       migrate: localDayKeys },
+  { version: 3, name: 'Per-category heatmap slots',                migrate: perCategoryHeatmapSlots },
+  { version: 4, name: 'History in IndexedDB',                      migrate: historyToIndexedDb },
+  { version: 5, name: 'Open the XP ledger',                        migrate: openXpLedger },
+  { version: 6, name: 'Regroup domains after suffix list fixes',   migrate: regroupDomains, stores: ['domainDays', 'sessions'] }
+]);
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/* ─── Running ───────────────────────────────────────────── */
+
+/** Stored state from before versioning counts as version 0 */
+function versionOf(state) {
+  return Number.isInteger(state?.schemaVersion) ? state.schemaVersion : 0;
+}
+
+/** HistoryStore stores the migrations pending from `version` rewrite */
+function storesToRewrite(version) {
+  return [...new Set(MIGRATIONS.filter((m) => m.version > version).flatMap((m) => m.stores || []))];
+}
+
+/**
+ * Bring state (and history records) up to SCHEMA_VERSION.
+ * Throws on state from a newer version, or when a migration does.
+ *
+ * @param {Object} state
+ * @param {Object} [history] - { days, heatmaps, domainDays, sessions, xpEvents }
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @returns {{ state, history, from: number, applied: string[] }}
+ */
+function run(state, history = {}, { now = Date.now() } = {}) {
+  const from = versionOf(state);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Data is from a newer version of XPulse (schema ${from}, this version reads up to ${SCHEMA_VERSION})`);
+  }
+
+  const next = structuredClone(state);
+  const records = structuredClone(history);
+  for (const store of HISTORY_STORES) records[store] ??= [];
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+    try {
+      migration.migrate(next, records, { now });
+    } catch (e) {
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${e.message}`);
+    }
+    next.schemaVersion = migration.version;
+    applied.push(migration.name);
+  }
+  return { state: next, history: records, from, applied };
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const Migrations = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  versionOf,
+  storesToRewrite,
+  run
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.Migrations = Migrations;
+}
+
+export default Migrations;
@@ -15,12 +15,20 @@ const NOTIFICATION_TYPES = Object.freeze({
   XP_LOSS:         'xp_loss',
   LEVEL_UP:        'level_up',
   ACHIEVEMENT:     'achievement',
+  QUEST_COMPLETE:  'quest_complete',
   STREAK:          'streak',
+  STREAK_FREEZE:   'streak_freeze',
+  GOAL_REACHED:    'goal_reached',
   COMBO:           'combo',
+  COMBO_AT_RISK:   'combo_at_risk',
   MILESTONE:       'milestone',
   FOCUS_SCORE:     'focus_score',
   WARNING:         'warning',
-  SESSION_SUMMARY: 'session_summary'
+  SESSION_SUMMARY: 'session_summary',
+  FOCUS_COMPLETE:  'focus_complete',
+  POMODORO_DONE:   'pomodoro_done',
+  BREAK_OVER:      'break_over',
+  BUDGET_EXCEEDED: 'budget_exceeded'
 });
 
 /* ─── Notification Factory ──────────────────────────────── */
@@ -80,7 +88,17 @@ function buildPayload(type, data) {
         tier: data.tier
       };
 
-    case NOTIFICATION_TYPES.STREAK:
+    case NOTIFICATION_TYPES.QUEST_COMPLETE:
+      return {
+        title: `${data.icon} Quest complete: ${data.title}`,
+        subtitle: `${data.desc} · +${data.xpReward} XP`,
+        icon: data.icon || '🗺️',
+        color: '#38BDF8',
+        duration: 5000,
+        priority: 'high',
+        animate: 'slide'
+      };
+
       return {
         title: `🔥 ${data.days}-Day Streak!`,
         subtitle: data.days >= 7 ? "You're on fire!" : 'Keep it going!',
@@ -91,6 +109,37 @@ function buildPayload(type, data) {
         animate: 'bounce'
       };
 
+    case NOTIFICATION_TYPES.STREAK_FREEZE:
+      return data.earned
+        ? {
+            title: '❄️ Streak freeze earned',
+            subtitle: `${data.remaining} freeze${data.remaining === 1 ? '' : 's'} banked`,
+            icon: '❄️',
+            color: '#38BDF8',
+            duration: 4000,
+            priority: 'medium'
+          }
+        : {
+            title: `❄️ Streak saved — ${data.days}-day streak`,
+            subtitle: `Used ${data.used} freeze${data.used === 1 ? '' : 's'}, ${data.remaining} left`,
+            icon: '❄️',
+            color: '#38BDF8',
+            duration: 5000,
+            priority: 'high'
+          };
+
+    case NOTIFICATION_TYPES.GOAL_REACHED:
+      return {
+        title: data.scope === 'week' ? 'Weekly goal reached!' : 'Daily goal reached!',
+        subtitle: `${data.goal.toLocaleString()} XP${data.bonus > 0 ? ` · +${data.bonus} bonus XP` : ''}`
+          + (data.streak > 1 ? ` · ${data.streak}-day goal streak` : ''),
+        icon: data.scope === 'week' ? '🏅' : '🎯',
+        color: '#00C9A7',
+        duration: 5000,
+        priority: 'high',
+        animate: 'burst'
+      };
+
     case NOTIFICATION_TYPES.COMBO:
       return {
         title: `${data.multiplier}x COMBO!`,
@@ -102,6 +151,16 @@ function buildPayload(type, data) {
         animate: 'pulse'
       };
 
+    case NOTIFICATION_TYPES.COMBO_AT_RISK:
+      return {
+        title: `${data.multiplier}x combo at risk`,
+        subtitle: `${data.remaining} distracting min left before it breaks`,
+        icon: '⏳',
+        color: '#FB923C',
+        duration: 3500,
+        priority: 'medium'
+      };
+
     case NOTIFICATION_TYPES.MILESTONE:
       return {
         title: `${data.label}`,
@@ -143,6 +202,55 @@ function buildPayload(type, data) {
         priority: 'low'
       };
 
+    case NOTIFICATION_TYPES.FOCUS_COMPLETE:
+      return {
+        title: `🧘 ${data.minutes}-minute focus complete`,
+        subtitle: data.bonus > 0
+          ? `No bypasses · +${data.bonus} bonus XP`
+          : `${data.bypassed} bypass${data.bypassed === 1 ? '' : 'es'} · no bonus this time`,
+        icon: '🧘',
+        color: '#00C9A7',
+        duration: 5000,
+        priority: 'high',
+        animate: 'burst'
+      };
+
+    case NOTIFICATION_TYPES.POMODORO_DONE:
+      return {
+        title: `🍅 Pomodoro #${data.today} done!`,
+        subtitle: `${data.breakMinutes}-minute ${data.longBreak ? 'long ' : ''}break — distractions are free, combo frozen`,
+        icon: '🍅',
+        color: '#FF6347',
+        duration: 5000,
+        priority: 'high',
+        animate: 'burst'
+      };
+
+    case NOTIFICATION_TYPES.BREAK_OVER:
+      return {
+        title: '🍅 Break over',
+        subtitle: 'Start the next pomodoro when you are ready',
+        icon: '🍅',
+        color: '#FF6347',
+        duration: 4000,
+        priority: 'medium'
+      };
+
+    case NOTIFICATION_TYPES.BUDGET_EXCEEDED:
+      return {
+        title: data.escalated
+          ? `⌛ Still over your ${data.label} budget`
+          : `⌛ ${data.label} budget used up`,
+        subtitle: data.block
+          ? `${data.minutes} min a day — blocked until tomorrow`
+          : `Penalties now apply at ${data.multiplier}x`,
+        icon: '⌛',
+        color: '#FF6B6B',
+        duration: 5000,
+        priority: 'high',
+        animate: 'shake'
+      };
+
     default:
       return {
         title: 'XPulse',
@@ -0,0 +1,167 @@
+/**
+ * ============================================================
+ *  Pomodoro Engine — Work / Break Timer for XPulse
+ * ============================================================
+ *  A work → short break cycle with a long break after every
+ *  few pomodoros.  Breaks start on their own when a pomodoro
+ *  ends; the next pomodoro waits for the user.  Break time is
+ *  kept as spans so the tick can tell, per ledger entry, whether
+ *  it fell inside a break — distracting time there is not
+ *  penalised and the combo holds.
+ *  Pure-function module — the service worker drives the alarm.
+ * ============================================================
+ */
+
+const PHASES = Object.freeze({
+  WORK:        'work',
+  SHORT_BREAK: 'short_break',
+  LONG_BREAK:  'long_break'
+});
+
+const PHASE_LABELS = Object.freeze({
+  work:        'Focus',
+  short_break: 'Short Break',
+  long_break:  'Long Break'
+});
+
+const DEFAULT_DURATIONS = Object.freeze({ work: 25, short_break: 5, long_break: 15 });
+const DEFAULT_LONG_BREAK_EVERY = 4;
+
+/** Break spans older than this are dropped */
+const BREAK_SPAN_RETENTION_MS = 2 * 60 * 60 * 1000;
+
+/* ─── Configuration ─────────────────────────────────────── */
+
+/**
+ * Phase lengths in minutes and the long-break interval from settings.
+ * @returns {{ work, short_break, long_break, longBreakEvery }}
+ */
+function getConfig(settings = {}) {
+  const minutes = (value, fallback) => {
+    const n = Math.round(Number(value));
+    return Number.isFinite(n) && n >= 1 ? Math.min(n, 180) : fallback;
+  };
+  return {
+    work:        minutes(settings.pomodoroWorkMinutes, DEFAULT_DURATIONS.work),
+    short_break: minutes(settings.pomodoroShortBreakMinutes, DEFAULT_DURATIONS.short_break),
+    long_break:  minutes(settings.pomodoroLongBreakMinutes, DEFAULT_DURATIONS.long_break),
+    longBreakEvery: minutes(settings.pomodoroLongBreakEvery, DEFAULT_LONG_BREAK_EVERY)
+  };
+}
+
+/* ─── Timer State ───────────────────────────────────────── */
+
+/**
+ * @returns {{ phase, status, endsAt, remainingMs, cycle, breakSpans }}
+ *   status 'idle' | 'running' | 'paused'; cycle counts pomodoros
+ *   completed since the last long break
+ */
+function createTimer() {
+  return { phase: PHASES.WORK, status: 'idle', endsAt: null, remainingMs: null, cycle: 0, breakSpans: [] };
+}
+
+function isBreakPhase(phase) {
+  return phase === PHASES.SHORT_BREAK || phase === PHASES.LONG_BREAK;
+}
+
+/** Time left in the phase, or null when it has not started */
+function remainingMs(timer, now = Date.now()) {
+  if (timer?.status === 'running') return Math.max(0, timer.endsAt - now);
+  if (timer?.status === 'paused') return timer.remainingMs;
+  return null;
+}
+
+/** Close break spans at `now` and drop old ones */
+function closeBreakSpans(spans, now) {
+  return (spans || [])
+    .map((s) => (s.end > now ? { ...s, end: now } : s))
+    .filter((s) => s.end > now - BREAK_SPAN_RETENTION_MS && s.end > s.start);
+}
+
+/** Start the current phase, or resume it when paused */
+function start(timer, settings, now = Date.now()) {
+  const current = { ...createTimer(), ...(timer || {}) };
+  if (current.status === 'running') return current;
+
+  const length = current.status === 'paused'
+    ? current.remainingMs
+    : getConfig(settings)[current.phase] * 60000;
+  const endsAt = now + length;
+  const breakSpans = closeBreakSpans(current.breakSpans, now);
+  if (isBreakPhase(current.phase)) breakSpans.push({ start: now, end: endsAt });
+
+  return { ...current, status: 'running', endsAt, remainingMs: null, breakSpans };
+}
+
+function pause(timer, now = Date.now()) {
+  if (!timer || timer.status !== 'running') return timer;
+  return {
+    ...timer,
+    status: 'paused',
+    endsAt: null,
+    remainingMs: Math.max(0, timer.endsAt - now),
+    breakSpans: closeBreakSpans(timer.breakSpans, now)
+  };
+}
+
+/**
+ * Move on to the next phase.  A finished pomodoro is followed by a
+ * break that starts right away; after a break the next pomodoro
+ * waits for the user.
+ *
+ * @param {boolean} completed - the phase ran its full length
+ * @returns {{ timer, completedWork }}
+ */
+function advance(timer, settings, now = Date.now(), completed = true) {
+  const current = { ...createTimer(), ...(timer || {}) };
+  const config = getConfig(settings);
+  const completedWork = completed && current.phase === PHASES.WORK;
+
+  let next = { ...current, status: 'idle', endsAt: null, remainingMs: null, breakSpans: closeBreakSpans(current.breakSpans, now) };
+  if (current.phase === PHASES.WORK) {
+    const cycle = current.cycle + (completedWork ? 1 : 0);
+    const longBreak = cycle >= config.longBreakEvery;
+    next = start({
+      ...next,
+      phase: longBreak ? PHASES.LONG_BREAK : PHASES.SHORT_BREAK,
+      cycle: longBreak ? 0 : cycle
+    }, settings, now);
+  } else {
+    next.phase = PHASES.WORK;
+  }
+  return { timer: next, completedWork };
+}
+
+/** Skip the rest of the current phase without credit */
+function skip(timer, settings, now = Date.now()) {
+  return advance(timer, settings, now, false).timer;
+}
+
+/** Did `at` fall inside a break? */
+function isBreakAt(timer, at) {
+  return (timer?.breakSpans || []).some((s) => s.start <= at && at < s.end);
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const PomodoroEngine = {
+  PHASES,
+  PHASE_LABELS,
+  DEFAULT_DURATIONS,
+  DEFAULT_LONG_BREAK_EVERY,
+  getConfig,
+  createTimer,
+  isBreakPhase,
+  remainingMs,
+  start,
+  pause,
+  advance,
+  skip,
+  isBreakAt
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.PomodoroEngine = PomodoroEngine;
+}
+
+export default PomodoroEngine;
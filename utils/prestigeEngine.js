@@ -0,0 +1,138 @@
+/**
+ * ============================================================
+ *  Prestige Engine — Prestige Resets & Permanent Perks
+ * ============================================================
+ *  From Level 25 the user may prestige: level and XP go back to
+ *  the start, the stored prestige counter goes up, and they pick
+ *  one permanent perk.  Perks stack with every prestige.
+ *  Lifetime XP, level-up history and achievements are kept.
+ *  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+/** Level needed before a prestige is allowed */
+const PRESTIGE_LEVEL = 25;
+
+/* ─── Perks ─────────────────────────────────────────────── */
+
+const PRESTIGE_PERKS = Object.freeze({
+  xp_boost: {
+    id: 'xp_boost',
+    title: 'Sharper Mind',
+    desc: '+5% base productive XP',
+    icon: '📈',
+    step: 0.05
+  },
+  extra_freeze: {
+    id: 'extra_freeze',
+    title: 'Deep Freeze',
+    desc: '+1 streak freeze per week',
+    icon: '❄️',
+    step: 1
+  },
+  combo_grace: {
+    id: 'combo_grace',
+    title: 'Steady Hands',
+    desc: '+1 minute of combo grace',
+    icon: '⏳',
+    step: 1
+  }
+});
+
+/** Times a perk has been chosen */
+function perkCount(perks = {}, id) {
+  return Math.max(0, Math.floor(Number(perks?.[id]) || 0));
+}
+
+/** Multiplier the XP boost puts on productive base rates */
+function xpBoost(perks) {
+  return 1 + perkCount(perks, 'xp_boost') * PRESTIGE_PERKS.xp_boost.step;
+}
+
+/**
+ * Categories with a boost multiplier applied to the base rate of
+ * every productive category.
+ * @param {Array} categories - XpEngine.getCategories() result
+ * @param {number} factor - xpBoost() result
+ * @param {Function} classOf - XpEngine.getCategoryClass
+ */
+function scaleProductive(categories, factor, classOf) {
+  if (factor === 1) return categories;
+  return categories.map((c) => (classOf(c) === 'productive' ? { ...c, xpRate: c.xpRate * factor } : c));
+}
+
+/**
+ * Extra freezes granted each week.  The freeze bank grows by the
+ * same amount so they always fit.
+ */
+function extraFreezes(perks) {
+  return perkCount(perks, 'extra_freeze') * PRESTIGE_PERKS.extra_freeze.step;
+}
+
+/** Combo grace with the extra minutes applied */
+function comboGrace(grace, perks) {
+  return { ...grace, minutes: grace.minutes + perkCount(perks, 'combo_grace') * PRESTIGE_PERKS.combo_grace.step };
+}
+
+/* ─── Prestige ──────────────────────────────────────────── */
+
+function canPrestige(level) {
+  return level >= PRESTIGE_LEVEL;
+}
+
+/**
+ * Prestige with the chosen perk.
+ *
+ * @param {Object} state - { level, prestigeCount, prestigePerks, prestigeHistory }
+ * @param {string} perkId
+ * @returns {{ patch } | { error }} storage patch to apply
+ */
+function prestige(state, perkId, at = Date.now()) {
+  if (!PRESTIGE_PERKS[perkId]) return { error: 'Unknown perk' };
+  if (!canPrestige(state.level ?? 1)) return { error: `Reach Level ${PRESTIGE_LEVEL} to prestige` };
+
+  const prestigeCount = (state.prestigeCount ?? 0) + 1;
+  const perks = { ...(state.prestigePerks || {}) };
+  perks[perkId] = perkCount(perks, perkId) + 1;
+
+  return {
+    patch: {
+      xp: 0,
+      level: 1,
+      prestigeCount,
+      prestigePerks: perks,
+      prestigeHistory: [
+        ...(state.prestigeHistory || []),
+        { prestige: prestigeCount, perk: perkId, level: state.level, timestamp: new Date(at).toISOString() }
+      ]
+    }
+  };
+}
+
+/**
+ * Perks with their chosen counts, for display.
+ */
+function describePerks(perks = {}) {
+  return Object.values(PRESTIGE_PERKS).map(({ step, ...perk }) => ({ ...perk, count: perkCount(perks, perk.id) }));
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const PrestigeEngine = {
+  PRESTIGE_LEVEL,
+  PRESTIGE_PERKS,
+  perkCount,
+  xpBoost,
+  scaleProductive,
+  extraFreezes,
+  comboGrace,
+  canPrestige,
+  prestige,
+  describePerks
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.PrestigeEngine = PrestigeEngine;
+}
+
+export default PrestigeEngine;
@@ -0,0 +1,220 @@
+/**
+ * ============================================================
+ *  Public Suffix — Offline Registrable-Domain Matcher
+ * ============================================================
+ *  A curated subset of the Public Suffix List (publicsuffix.org),
+ *  not the full list: about 400 rules copied from it — common
+ *  generic and country-code TLDs, the second levels of some 30
+ *  country codes (co.uk, com.au, co.jp …), a few wildcard and
+ *  exception rules, and the hosting platforms most often seen
+ *  (github.io, vercel.app, netlify.app, pages.dev …).  Every rule
+ *  must appear on the real list; a suffix missing here falls back
+ *  to "*", its TLD.  Implements the standard PSL algorithm:
+ *  normal, wildcard (*.) and exception (!) rules, longest match
+ *  wins.
+ *  Pure-function module — no network, no storage I/O.
+ * ============================================================
+ */
+
+/* ─── Bundled Rules ─────────────────────────────────────── */
+
+const PUBLIC_SUFFIX_RULES = `
+  com net org edu gov mil int info biz name pro mobi asia tel travel jobs coop aero museum
+  io co ai app dev me tv cc ly gg sh fm am to ws xyz site online tech store blog cloud page
+  design art shop club live news space website fun top icu vip work link click today world
+  agency digital email network solutions systems studio media social zone rocks ninja guru
+
+  us ca mx br ar cl pe ve uy py bo ec gt cr pa do cu pr
+  uk ie fr de it es pt nl be lu ch at dk se no fi is pl cz sk hu ro bg gr tr ru ua by
+  lt lv ee si hr rs ba mk al md ge am az kz uz
+  cn jp kr tw hk mo sg my th vn ph id in pk lk
+  au nz fj
+  ng ke gh eg ma tn dz et tz ug zw
+  ae sa qa kw bh om il ir iq jo lb
+
+  co.uk org.uk me.uk ltd.uk plc.uk net.uk ac.uk gov.uk nhs.uk police.uk
+  com.au net.au org.au edu.au gov.au asn.au id.au
+  co.nz net.nz org.nz govt.nz ac.nz school.nz geek.nz kiwi.nz
+  co.jp ne.jp or.jp ac.jp ad.jp ed.jp go.jp gr.jp lg.jp
+  co.kr ne.kr or.kr re.kr pe.kr go.kr ac.kr
+  com.cn net.cn org.cn gov.cn edu.cn ac.cn
+  com.hk net.hk org.hk edu.hk gov.hk idv.hk
+  com.tw net.tw org.tw edu.tw gov.tw idv.tw
+  com.sg net.sg org.sg edu.sg gov.sg
+  com.my net.my org.my edu.my gov.my
+  co.th in.th ac.th go.th or.th
+  com.vn net.vn org.vn edu.vn gov.vn
+  com.ph net.ph org.ph edu.ph gov.ph
+  co.id or.id ac.id go.id web.id my.id
+  co.in net.in org.in firm.in gen.in ind.in ac.in edu.in res.in gov.in
+  com.pk net.pk org.pk edu.pk gov.pk
+  com.br net.br org.br gov.br edu.br art.br blog.br
+  com.ar net.ar org.ar gob.ar edu.ar
+  com.mx net.mx org.mx gob.mx edu.mx
+  com.co net.co org.co edu.co gov.co
+  com.pe net.pe org.pe gob.pe edu.pe
+  co.ve com.ve
+  com.tr net.tr org.tr gen.tr edu.tr gov.tr
+  com.ua net.ua org.ua in.ua kiev.ua
+  com.ru net.ru org.ru msk.ru spb.ru
+  com.pl net.pl org.pl edu.pl gov.pl
+  co.za net.za org.za gov.za ac.za web.za
+  com.ng org.ng gov.ng edu.ng
+  co.ke or.ke ac.ke go.ke
+  com.eg edu.eg gov.eg
+  co.il org.il ac.il gov.il net.il
+  com.sa net.sa org.sa edu.sa gov.sa
+  co.ae net.ae org.ae ac.ae gov.ae
+
+  *.ck !www.ck
+  *.bd
+  *.np
+  *.pg
+  *.kawasaki.jp !city.kawasaki.jp
+  *.sch.uk
+
+  github.io githubusercontent.com gitlab.io
+  herokuapp.com herokussl.com
+  vercel.app now.sh netlify.app
+  pages.dev workers.dev
+  firebaseapp.com web.app appspot.com
+  blogspot.com
+  azurewebsites.net cloudapp.net azurestaticapps.net
+  s3.amazonaws.com elasticbeanstalk.com
+  glitch.me repl.co replit.dev
+  fly.dev onrender.com
+  readthedocs.io
+  ngrok.io ngrok-free.app
+`.trim().split(/\s+/);
+
+/* ─── Rule Index ────────────────────────────────────────── */
+
+const NORMAL_RULES    = new Set();
+const WILDCARD_RULES  = new Set();   // stored without the leading "*."
+const EXCEPTION_RULES = new Set();   // stored without the leading "!"
+
+for (const rule of PUBLIC_SUFFIX_RULES) {
+  if (rule.startsWith('!'))       EXCEPTION_RULES.add(rule.slice(1));
+  else if (rule.startsWith('*.')) WILDCARD_RULES.add(rule.slice(2));
+  else                            NORMAL_RULES.add(rule);
+}
+
+/* ─── Matching ──────────────────────────────────────────── */
+
+/**
+ * Normalise a hostname: lowercase, drop a trailing dot and a
+ * leading "www." (kept consistent with XpEngine.extractDomain).
+ */
+function normalizeHost(hostname) {
+  if (!hostname) return '';
+  return hostname.toLowerCase().replace(/\.$/, '').replace(/^www\./, '');
+}
+
+function isIpAddress(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+/**
+ * Find the public suffix of a hostname.
+ *  "docs.foo.co.uk" → "co.uk"
+ *  "foo.github.io"  → "github.io"
+ *  "www.ck"         → "ck"   (exception rule)
+ */
+function getPublicSuffix(hostname) {
+  const host = normalizeHost(hostname);
+  if (!host) return null;
+  if (isIpAddress(host)) return null;
+
+  const labels = host.split('.');
+
+  // Walk from the longest candidate down so the first hit is the
+  // longest matching rule.
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+
+    // Exception rules win and remove their left-most label
+    if (EXCEPTION_RULES.has(candidate)) return labels.slice(i + 1).join('.');
+
+    if (NORMAL_RULES.has(candidate)) return candidate;
+
+    const parent = labels.slice(i + 1).join('.');
+    if (parent && WILDCARD_RULES.has(parent)) return candidate;
+  }
+
+  // Default rule "*": the TLD is the suffix
+  return labels[labels.length - 1];
+}
+
+/**
+ * Parse a hostname into host, registrable domain and suffix.
+ *
+ * @param {string} hostname
+ * @returns {{ host, domain, suffix, subdomain }}
+ *   domain is null when the host *is* a public suffix (e.g. "co.uk")
+ *   or an IP address.
+ */
+function parse(hostname) {
+  const host = normalizeHost(hostname);
+  if (!host) return { host: null, domain: null, suffix: null, subdomain: null };
+
+  if (isIpAddress(host) || !host.includes('.')) {
+    return { host, domain: host, suffix: null, subdomain: null };
+  }
+
+  const suffix = getPublicSuffix(host);
+  if (!suffix || suffix === host) {
+    return { host, domain: null, suffix, subdomain: null };
+  }
+
+  const hostLabels = host.split('.');
+  const suffixLabels = suffix.split('.');
+  const domain = hostLabels.slice(-(suffixLabels.length + 1)).join('.');
+  const subdomain = hostLabels.slice(0, -(suffixLabels.length + 1)).join('.') || null;
+
+  return { host, domain, suffix, subdomain };
+}
+
+/**
+ * Registrable domain for a hostname, falling back to the host
+ * itself when there is none (localhost, bare suffixes).
+ */
+function getRegistrableDomain(hostname) {
+  const parsed = parse(hostname);
+  return parsed.domain || parsed.host;
+}
+
+/**
+ * Candidate keys for list lookups, most specific first, stopping
+ * at the registrable domain:
+ *  "a.docs.foo.co.uk" → ["a.docs.foo.co.uk", "docs.foo.co.uk", "foo.co.uk"]
+ */
+function getLookupChain(hostname) {
+  const { host, domain } = parse(hostname);
+  if (!host) return [];
+  if (!domain) return [host];
+
+  const chain = [];
+  const labels = host.split('.');
+  const stop = domain.split('.').length;
+  for (let i = 0; labels.length - i >= stop; i++) {
+    chain.push(labels.slice(i).join('.'));
+  }
+  return chain;
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const PublicSuffix = {
+  PUBLIC_SUFFIX_RULES,
+  normalizeHost,
+  getPublicSuffix,
+  parse,
+  getRegistrableDomain,
+  getLookupChain
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.PublicSuffix = PublicSuffix;
+}
+
+export default PublicSuffix;
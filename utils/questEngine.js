@@ -0,0 +1,320 @@
+/**
+ * ============================================================
+ *  Quest Engine — Daily & Weekly Quests for XPulse
+ * ============================================================
+ *  Draws 3 daily and 1 weekly quest from templates, tracks
+ *  their progress against the same stats object processTick
+ *  builds for AchievementEngine.evaluate, and pays out XP on
+ *  completion.  One reroll per day swaps an unfinished quest.
+ *  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+import DateService from './dateService.js';
+
+const DAILY_QUEST_COUNT = 3;
+const WEEKLY_QUEST_COUNT = 1;
+const DAILY_REROLLS = 1;
+
+/* ─── Quest Templates ───────────────────────────────────── */
+//
+// requires:   [[stat, target], …] — all must be reached
+// limit:      [stat, max]         — the quest fails once stat > max
+// beforeHour: local clock hour    — the quest fails at this hour
+
+const QUEST_TEMPLATES = [
+  // ── Daily ─────────────────────────────────────────────
+  {
+    id: 'combo_before_noon',
+    scope: 'daily',
+    title: 'Early Momentum',
+    desc: 'Earn a 1.5x combo before noon.',
+    icon: '🌅',
+    xpReward: 50,
+    requires: [['comboMultiplier', 1.5]],
+    beforeHour: 12
+  },
+  {
+    id: 'domain_spread',
+    scope: 'daily',
+    title: 'Well Rounded',
+    desc: 'Spend 45 productive minutes on 3 different domains.',
+    icon: '🧭',
+    xpReward: 60,
+    requires: [['dailyProductiveMinutes', 45], ['uniqueProductiveDomains', 3]]
+  },
+  {
+    id: 'low_distraction',
+    scope: 'daily',
+    title: 'Tunnel Vision',
+    desc: 'Log 60 productive minutes while staying under 10 distracting minutes.',
+    icon: '🛡️',
+    xpReward: 60,
+    requires: [['dailyProductiveMinutes', 60]],
+    limit: ['dailyDistractingMinutes', 10]
+  },
+  {
+    id: 'xp_sprint',
+    scope: 'daily',
+    title: 'XP Sprint',
+    desc: 'Earn 150 productive XP today.',
+    icon: '🏃',
+    xpReward: 40,
+    requires: [['dailyProductiveXp', 150]]
+  },
+  {
+    id: 'double_combo',
+    scope: 'daily',
+    title: 'Double Down',
+    desc: 'Reach a 2.0x combo.',
+    icon: '⚡',
+    xpReward: 60,
+    requires: [['comboMultiplier', 2.0]]
+  },
+  {
+    id: 'sharp_focus',
+    scope: 'daily',
+    title: 'Sharp Focus',
+    desc: 'Reach a Focus Score of 75 with 30+ productive minutes.',
+    icon: '🎯',
+    xpReward: 50,
+    requires: [['focusScore', 75], ['dailyProductiveMinutes', 30]]
+  },
+  {
+    id: 'daily_goal',
+    scope: 'daily',
+    title: 'On Target',
+    desc: 'Reach your daily XP goal.',
+    icon: '🥅',
+    xpReward: 40,
+    requires: [['dailyGoalHit', 1]]
+  },
+
+  // ── Weekly ────────────────────────────────────────────
+  {
+    id: 'weekly_xp',
+    scope: 'weekly',
+    title: 'Weekly Grind',
+    desc: 'Earn 1,500 productive XP this week.',
+    icon: '📈',
+    xpReward: 150,
+    requires: [['weekProductiveXp', 1500]]
+  },
+  {
+    id: 'weekly_goal_days',
+    scope: 'weekly',
+    title: 'Consistency',
+    desc: 'Reach your daily goal on 4 days this week.',
+    icon: '📅',
+    xpReward: 200,
+    requires: [['weekGoalDays', 4]]
+  },
+  {
+    id: 'weekly_hours',
+    scope: 'weekly',
+    title: 'Ten Hours',
+    desc: 'Log 10 productive hours this week.',
+    icon: '⏳',
+    xpReward: 175,
+    requires: [['weekProductiveMinutes', 600]]
+  },
+  {
+    id: 'weekly_streak',
+    scope: 'weekly',
+    title: 'Keep the Fire',
+    desc: 'Reach a 5-day streak.',
+    icon: '🔥',
+    xpReward: 150,
+    requires: [['currentStreak', 5]]
+  }
+];
+
+const TEMPLATES_BY_ID = Object.fromEntries(QUEST_TEMPLATES.map((t) => [t.id, t]));
+
+/* ─── Quest Log ─────────────────────────────────────────── */
+
+/**
+ * Stored quest log.
+ * @returns {{ date, weekStart, daily, weekly, rerollsLeft, completed }}
+ */
+function emptyQuestLog() {
+  return { date: null, weekStart: null, daily: [], weekly: [], rerollsLeft: 0, completed: 0 };
+}
+
+function newQuest(templateId) {
+  return { templateId, status: 'active', progress: 0, completedAt: null };
+}
+
+/**
+ * Draw `count` quests of a scope, skipping excluded template ids.
+ * @param {Function} [rand] - () => [0, 1)
+ */
+function generate(scope, count, exclude = [], rand = Math.random) {
+  const pool = QUEST_TEMPLATES.filter((t) => t.scope === scope && !exclude.includes(t.id));
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    const [template] = pool.splice(Math.floor(rand() * pool.length), 1);
+    picked.push(newQuest(template.id));
+  }
+  return picked;
+}
+
+/**
+ * Start new daily quests on a new day and a new weekly quest on a
+ * new week.  Returns the same object when nothing changed.
+ */
+function refresh(log, today = DateService.todayISO(), rand = Math.random) {
+  const current = { ...emptyQuestLog(), ...(log || {}) };
+  const weekStart = DateService.weekStartISO(today);
+  if (current.date === today && current.weekStart === weekStart) return log;
+
+  const next = { ...current };
+  if (current.date !== today) {
+    next.date = today;
+    next.daily = generate('daily', DAILY_QUEST_COUNT, current.daily.map((q) => q.templateId), rand);
+    next.rerollsLeft = DAILY_REROLLS;
+  }
+  if (current.weekStart !== weekStart) {
+    next.weekStart = weekStart;
+    next.weekly = generate('weekly', WEEKLY_QUEST_COUNT, current.weekly.map((q) => q.templateId), rand);
+  }
+  return next;
+}
+
+/* ─── Evaluation ────────────────────────────────────────── */
+
+/**
+ * Progress of one template against stats, 0–100.  Each requirement
+ * counts equally.
+ */
+function progressOf(template, stats) {
+  const parts = template.requires.map(([stat, target]) =>
+    Math.min(1, Math.max(0, Number(stats[stat]) || 0) / target)
+  );
+  return Math.floor((parts.reduce((a, b) => a + b, 0) / parts.length) * 100);
+}
+
+function evaluateQuest(quest, stats) {
+  const template = TEMPLATES_BY_ID[quest.templateId];
+  if (!template || quest.status !== 'active') return quest;
+
+  if (template.limit && (Number(stats[template.limit[0]]) || 0) > template.limit[1]) {
+    return { ...quest, status: 'failed' };
+  }
+
+  const progress = progressOf(template, stats);
+  if (progress >= 100) {
+    return { ...quest, status: 'completed', progress: 100, completedAt: new Date().toISOString() };
+  }
+  if (template.beforeHour != null && stats.hour >= template.beforeHour) {
+    return { ...quest, status: 'failed', progress };
+  }
+  return { ...quest, progress };
+}
+
+/**
+ * Evaluate every active quest.
+ *
+ * @param {Object} log - quest log
+ * @param {Object} stats - processTick's achievement stats plus
+ *   hour, dailyProductiveMinutes, dailyDistractingMinutes,
+ *   dailyGoalHit and the weeklyTotals() fields
+ * @returns {{ updatedLog, newlyCompleted, bonusXp }}
+ */
+function evaluate(log, stats) {
+  const current = { ...emptyQuestLog(), ...(log || {}) };
+  const newlyCompleted = [];
+  let bonusXp = 0;
+
+  const run = (quests) => quests.map((quest) => {
+    const next = evaluateQuest(quest, stats);
+    if (next.status === 'completed' && quest.status !== 'completed') {
+      const template = TEMPLATES_BY_ID[quest.templateId];
+      newlyCompleted.push(template);
+      bonusXp += template.xpReward || 0;
+    }
+    return next;
+  });
+
+  const updatedLog = { ...current, daily: run(current.daily), weekly: run(current.weekly) };
+  updatedLog.completed = current.completed + newlyCompleted.length;
+  return { updatedLog, newlyCompleted, bonusXp };
+}
+
+/**
+ * This week's totals from archived days plus today.
+ *
+ * @param {Array} archive - archived day records
+ * @param {Object} todayTotals - { productive, productiveMin, goalHit }
+ * @returns {{ weekProductiveXp, weekProductiveMinutes, weekGoalDays }}
+ */
+function weeklyTotals(archive, todayTotals, today = DateService.todayISO()) {
+  const weekStart = DateService.weekStartISO(today);
+  const days = [...(archive || []).filter((d) => d.date >= weekStart && d.date < today), todayTotals];
+  return {
+    weekProductiveXp: days.reduce((sum, d) => sum + (d.productive || 0), 0),
+    weekProductiveMinutes: days.reduce((sum, d) => sum + (d.productiveMin || 0), 0),
+    weekGoalDays: days.filter((d) => d.goalHit).length
+  };
+}
+
+/* ─── Rerolls ───────────────────────────────────────────── */
+
+/**
+ * Replace an unfinished quest with a different one of its scope.
+ *
+ * @param {Object} log
+ * @param {'daily'|'weekly'} scope
+ * @param {number} index
+ * @returns {{ updatedLog } | { error }}
+ */
+function reroll(log, scope, index, rand = Math.random) {
+  const current = { ...emptyQuestLog(), ...(log || {}) };
+  const quests = current[scope];
+  if (!Array.isArray(quests) || !quests[index]) return { error: 'No such quest' };
+  if (current.rerollsLeft <= 0) return { error: 'No rerolls left today' };
+  if (quests[index].status === 'completed') return { error: 'Quest already completed' };
+
+  const [replacement] = generate(scope, 1, quests.map((q) => q.templateId), rand);
+  if (!replacement) return { error: 'No other quests available' };
+
+  const updated = quests.slice();
+  updated[index] = replacement;
+  return { updatedLog: { ...current, [scope]: updated, rerollsLeft: current.rerollsLeft - 1 } };
+}
+
+/* ─── Display ───────────────────────────────────────────── */
+
+/**
+ * Quests with their template's title, description and reward.
+ */
+function describe(quests = []) {
+  return quests
+    .filter((q) => TEMPLATES_BY_ID[q.templateId])
+    .map((q) => {
+      const { scope, title, desc, icon, xpReward } = TEMPLATES_BY_ID[q.templateId];
+      return { scope, title, desc, icon, xpReward, ...q };
+    });
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const QuestEngine = {
+  QUEST_TEMPLATES,
+  DAILY_QUEST_COUNT,
+  WEEKLY_QUEST_COUNT,
+  DAILY_REROLLS,
+  emptyQuestLog,
+  generate,
+  refresh,
+  evaluate,
+  weeklyTotals,
+  reroll,
+  describe
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.QuestEngine = QuestEngine;
+}
+
+export default QuestEngine;
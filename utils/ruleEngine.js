@@ -0,0 +1,281 @@
+/**
+ * ============================================================
+ *  Rule Engine — URL Pattern Classification for XPulse
+ * ============================================================
+ *  Matches full URLs (host + path + query) against user rules
+ *  written as wildcard globs or regular expressions.
+ *  Rules are ordered by priority; first match wins.
+ *  Schedule rules add a weekday + time-of-day window, evaluated
+ *  against an injected clock.
+ *  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+import DateService from './dateService.js';
+
+/* ─── Rule Types ────────────────────────────────────────── */
+
+const RULE_TYPES = Object.freeze({
+  GLOB:  'glob',
+  REGEX: 'regex'
+});
+
+/**
+ * Rule shape (stored in settings.classificationRules):
+ *  {
+ *    id:       'rule_…',
+ *    type:     'glob' | 'regex',
+ *    pattern:  'youtube.com/playlist?list=PL*',
+ *    category: 'productive',
+ *    priority: 0,          // higher runs first
+ *    enabled:  true
+ *  }
+ */
+function createRule({ type = RULE_TYPES.GLOB, pattern = '', category = 'neutral', priority = 0, enabled = true } = {}) {
+  return {
+    id: `rule_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    pattern: pattern.trim(),
+    category,
+    priority: Number(priority) || 0,
+    enabled
+  };
+}
+
+/* ─── Pattern Compilation ───────────────────────────────── */
+
+function escapeRegExp(str) {
+  return str.replace(/[.+^${}()|[\]\\?]/g, '\\$&');
+}
+
+/**
+ * Convert a glob segment into a regex source string.
+ * Only `*` is a wildcard — `?` stays literal so query strings
+ * like `playlist?list=PL*` can be written naturally.
+ */
+function globToSource(glob) {
+  return glob.split('*').map(escapeRegExp).join('.*');
+}
+
+/**
+ * Split a glob rule into host and path parts.
+ *  "reddit.com/r/programming" → { host: "reddit.com", path: "/r/programming" }
+ *  "*.github.com"             → { host: "*.github.com", path: null }
+ */
+function splitGlob(pattern) {
+  const cleaned = pattern.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '');
+  const slash = cleaned.search(/[/?]/);
+  if (slash === -1) return { host: cleaned, path: null };
+  const path = cleaned.slice(slash);
+  return { host: cleaned.slice(0, slash), path: path.startsWith('/') ? path : `/${path}` };
+}
+
+/**
+ * Compile a rule into a matcher function (urlInfo → boolean).
+ * Returns null for rules that cannot be compiled.
+ */
+function compileRule(rule) {
+  if (!rule || !rule.pattern) return null;
+
+  if (rule.type === RULE_TYPES.REGEX) {
+    let re;
+    try {
+      re = new RegExp(rule.pattern, 'i');
+    } catch {
+      return null;
+    }
+    return (info) => re.test(`${info.domain}${info.path}${info.query}`);
+  }
+
+  const { host, path } = splitGlob(rule.pattern);
+  if (!host) return null;
+
+  // "github.com" also matches subdomains like "gist.github.com";
+  // an explicit "*.github.com" matches subdomains only.
+  const hostRe = host.includes('*')
+    ? new RegExp(`^${globToSource(host)}$`)
+    : new RegExp(`^(?:.+\\.)?${escapeRegExp(host)}$`);
+
+  // Paths match as a prefix on a segment boundary unless the
+  // pattern ends in `*`, so "/r/programming" also covers
+  // "/r/programming/comments/…" but not "/r/programmingcirclejerk".
+  let pathRe = null;
+  if (path) {
+    const src = globToSource(path);
+    pathRe = path.endsWith('*')
+      ? new RegExp(`^${src}$`)
+      : new RegExp(`^${src}(?:[/?#].*)?$`);
+  }
+
+  return (info) => {
+    if (!hostRe.test(info.domain)) return false;
+    if (!pathRe) return true;
+    return pathRe.test(`${info.path}${info.query}`.toLowerCase());
+  };
+}
+
+/**
+ * Validate a rule before it is saved.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateRule(rule) {
+  if (!rule || !rule.pattern || !rule.pattern.trim()) return 'Pattern is required';
+  if (!Object.values(RULE_TYPES).includes(rule.type)) return `Unknown rule type "${rule.type}"`;
+  if (!rule.category) return 'Category is required';
+  if (rule.type === RULE_TYPES.REGEX) {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (e) {
+      return e.message;
+    }
+  }
+  return compileRule(rule) ? null : 'Pattern could not be compiled';
+}
+
+/* ─── Matching ──────────────────────────────────────────── */
+
+/**
+ * Order rules by priority (high → low).  Ties keep the order
+ * the user gave them, so the list in the options page reads
+ * top-to-bottom as evaluation order.
+ */
+function sortRules(rules = []) {
+  return rules
+    .map((rule, index) => ({ rule, index }))
+    .sort((a, b) => ((b.rule.priority || 0) - (a.rule.priority || 0)) || (a.index - b.index))
+    .map(({ rule }) => rule);
+}
+
+/**
+ * Find the first enabled rule matching the given URL info.
+ * @param {Array} rules
+ * @param {{ domain, path, query }} urlInfo  from XpEngine.extractUrlInfo
+ * @returns {Object|null} matching rule
+ */
+function findMatchingRule(rules, urlInfo) {
+  if (!urlInfo || !Array.isArray(rules) || rules.length === 0) return null;
+  for (const rule of sortRules(rules)) {
+    if (rule.enabled === false) continue;
+    const matcher = compileRule(rule);
+    if (matcher && matcher(urlInfo)) return rule;
+  }
+  return null;
+}
+
+/* ─── Schedules ─────────────────────────────────────────── */
+
+/**
+ * Schedule shape (stored in settings.scheduleRules):
+ *  {
+ *    id:       'sched_…',
+ *    type:     'glob' | 'regex',
+ *    pattern:  'slack.com',
+ *    category: 'distracting',
+ *    days:     [1, 2, 3, 4, 5],   // 0 = Sunday … 6 = Saturday
+ *    start:    '18:00',
+ *    end:      '23:59',           // end < start wraps past midnight
+ *    enabled:  true
+ *  }
+ */
+function createSchedule({ type = RULE_TYPES.GLOB, pattern = '', category = 'neutral', days = [1, 2, 3, 4, 5], start = '09:00', end = '18:00', enabled = true } = {}) {
+  return {
+    id: `sched_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    pattern: pattern.trim(),
+    category,
+    days: [...days],
+    start,
+    end,
+    enabled
+  };
+}
+
+/** "HH:MM" → minutes since midnight, or null when malformed */
+function parseClock(str) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(str || '');
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+/**
+ * Is the schedule's window open at the given time?
+ * Windows that wrap midnight (22:00 → 02:00) belong to the day
+ * they start on, so Friday 22:00–02:00 covers early Saturday.
+ *
+ * @param {Object} schedule
+ * @param {number|Date} now - injected clock value
+ */
+function isScheduleActive(schedule, now) {
+  const start = parseClock(schedule.start);
+  const end = parseClock(schedule.end);
+  if (start === null || end === null) return false;
+
+  const { weekday: day, minutes } = DateService.clockParts(now);
+  const days = schedule.days || [];
+
+  if (start <= end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+  // Wraps midnight: late part of today, or early part carried from yesterday
+  const yesterday = (day + 6) % 7;
+  return (days.includes(day) && minutes >= start)
+      || (days.includes(yesterday) && minutes < end);
+}
+
+/**
+ * Validate a schedule before it is saved.
+ * @returns {string|null} error message, or null when valid
+ */
+function validateSchedule(schedule) {
+  const ruleError = validateRule(schedule);
+  if (ruleError) return ruleError;
+  if (!Array.isArray(schedule.days) || schedule.days.length === 0) return 'Pick at least one day';
+  if (schedule.days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) return 'Days must be 0–6';
+  if (parseClock(schedule.start) === null) return `Invalid start time "${schedule.start}"`;
+  if (parseClock(schedule.end) === null) return `Invalid end time "${schedule.end}"`;
+  if (schedule.start === schedule.end) return 'Start and end times must differ';
+  return null;
+}
+
+/**
+ * Find the first enabled schedule whose pattern matches the URL
+ * and whose window is open at `now`.  Schedules are evaluated in
+ * list order.
+ */
+function findActiveSchedule(schedules, urlInfo, now) {
+  if (!urlInfo || !Array.isArray(schedules) || schedules.length === 0) return null;
+  for (const schedule of schedules) {
+    if (schedule.enabled === false) continue;
+    if (!isScheduleActive(schedule, now)) continue;
+    const matcher = compileRule(schedule);
+    if (matcher && matcher(urlInfo)) return schedule;
+  }
+  return null;
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const RuleEngine = {
+  RULE_TYPES,
+  createRule,
+  compileRule,
+  validateRule,
+  sortRules,
+  findMatchingRule,
+  createSchedule,
+  parseClock,
+  isScheduleActive,
+  validateSchedule,
+  findActiveSchedule
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.RuleEngine = RuleEngine;
+}
+
+export default RuleEngine;
@@ -5,9 +5,26 @@
  *  Wraps chrome.storage.local with typed accessors, default
  *  hydration, atomic batch writes, session tracking, hourly
  *  heatmaps, domain analytics, and JSON export.
+ *  Service-worker runtime state lives in chrome.storage.session
+ *  so it survives worker restarts but not a browser restart.
+ *  Day keys come from DateService (local time, configurable
+ *  day-start hour).
+ *  Only hot state stays here; finished days, their heatmaps and
+ *  domain breakdowns, and every session go to HistoryStore.
+ *  Stored state is versioned (`schemaVersion`); init brings it
+ *  up to date through Migrations, with a snapshot to roll back to.
  * ============================================================
  */
 
+import DateService from './dateService.js';
+import AnalyticsEngine from './analyticsEngine.js';
+import HistoryStore from './historyStore.js';
+import XpLedger from './xpLedger.js';
+import XpEngine from './xpEngine.js';
+import RuleEngine from './ruleEngine.js';
+import BudgetEngine from './budgetEngine.js';
+import Migrations from './migrations.js';
+
 const DEFAULT_STATE = Object.freeze({
   // ── Core XP & Level ──
   xp: 0,
@@ -19,6 +36,24 @@ const DEFAULT_STATE = Object.freeze({
   currentStreak: 0,
   longestStreak: 0,
   lastActiveDate: null,
+  lastProtectedDate: null,    // last missed day covered by a rest day or freeze
+  streakFreezes: 0,
+  lastFreezeGrantWeek: null,  // Monday of the week the weekly freeze was granted
+  streakCheckDate: null,      // last day the streak was evaluated
+
+  // ── Goals ──
+  dailyGoalHit: false,
+  goalStreak: 0,              // consecutive goal-hit days (rest days skipped)
+  longestGoalStreak: 0,
+  lastGoalDate: null,
+  goalsHit: 0,                // lifetime goal-hit days
+  weeklyGoalWeek: null,       // Monday of the last week the weekly goal was hit
+  weeklyGoalsHit: 0,
+
+  // ── XP Decay ──
+  decayCheckDate: null,       // last day decay was evaluated
+  lastDecayDate: null,        // last inactive day that decayed
+  dailyDecayXp: 0,            // XP lost to decay when today began
 
   // ── Daily Stats ──
   dailyProductiveXp: 0,
@@ -28,18 +63,30 @@ const DEFAULT_STATE = Object.freeze({
   dailyProductiveMinutes: 0,
   dailyDistractingMinutes: 0,
   dailyNeutralMinutes: 0,
+  dailyCategoryXp: {},        // { categoryId: xp }
+  dailyCategoryMinutes: {},   // { categoryId: minutes }
+  dailyAmbientMinutes: {},    // { categoryId: minutes } media and break time that neither earns nor penalises
+  dailyPomodoros: 0,
+  dailyBudgetUsage: {},       // { budgetId: minutes } spent against daily budgets
+
+  // ── Time Ledger ──
+  timeLedger: { open: null, entries: [] },   // see TimeLedger
+  mediaLedgers: {},           // { tabId: TimeLedger } for tabs playing media
+  xpCarry: {},                // { categoryId: fractional XP not yet awarded }
 
   // ── Combo System ──
   consecutiveProductiveMinutes: 0,
   currentComboMultiplier: 1.0,
   highestCombo: 1.0,
   consecutiveDistractingTicks: 0,
+  comboGraceLog: [],          // [{ start, end }] distracting spans in the grace window
 
   // ── Analytics ──
   hourlyHeatmap: null,
   domainStats: {},
   todayUniqueDomains: [],
-  sessions: [],
+  todayDomainStats: {},       // domainStats for today only, archived per day
+  sessions: [],               // the latest sessions; HistoryStore keeps all
   currentSession: null,
   focusScore: 0,
   todayFocusScores: [],
@@ -50,12 +97,36 @@ const DEFAULT_STATE = Object.freeze({
   nightOwlDates: [],
   longestSessionMinutes: 0,
 
+  // ── Classification ──
+  urlOverrides: {},          // { urlKey: categoryId } set from the popup
+  contentClassCache: {},     // { urlKey: ContentClassifier result }
+  intentOverrides: {},       // { urlKey: { category, expiresAt } } from work-related visits
+  intentLog: [],             // [{ at, url, domain, reason }] answers to the visit prompt
+
   // ── Achievements ──
   achievements: {},
 
+  // ── Prestige ──
+  prestigeCount: 0,
+  prestigePerks: {},          // { perkId: times chosen }, see PrestigeEngine
+  prestigeHistory: [],        // [{ prestige, perk, level, timestamp }]
+
+  // ── Focus Mode ──
+  focusSession: null,         // FocusEngine session while one is running
+  focusSessionsCompleted: 0,
+
+  // ── Pomodoro ──
+  pomodoro: null,             // PomodoroEngine timer, created on first start
+  pomodorosCompleted: 0,
+
+  // ── Daily Budgets ──
+  budgetBlocks: [],           // domains blocked by used-up budgets, see BudgetEngine
+
+  // ── Quests ──
+  quests: null,               // QuestEngine quest log, drawn on the first day roll
+
   // ── History ──
   weeklyStats: [],
-  monthlyStats: [],
   levelUpTimestamps: [],
   notificationHistory: [],
   milestoneHistory: [],
@@ -69,27 +140,218 @@ const DEFAULT_STATE = Object.freeze({
     showDistractionWarnings: true,
     soundEnabled: false,
     customCategories: {},
+    classificationRules: [],
+    scheduleRules: [],
+    categories: [],             // empty → XpEngine.DEFAULT_CATEGORIES
     focusGoal: 70,
-    dailyXpGoal: 200
+    dailyXpGoal: 200,
+    goalBonusXp: 50,            // bonus when the daily goal is hit
+    weeklyGoalEnabled: true,
+    weeklyGoalBonusXp: 150,     // bonus when the weekly goal is hit
+    passiveReadingMinutes: 5,   // reading without input that still earns
+    passiveReadingWeight: 0.5,  // share of XP earned while passively reading
+    dayStartHour: 0,            // hour the day rolls over, local time
+    comboTiers: [],             // empty → XpEngine.COMBO_TIERS
+    comboGraceMinutes: 2,       // distracting minutes a combo survives…
+    comboGraceWindowMinutes: 10, // …within this rolling window
+    decayEnabled: false,        // opt-in XP decay
+    decayGraceDays: 3,          // inactive days before decay starts
+    decayPercentPerDay: 10,     // % of current-level progress lost per day
+    weeklyStreakFreeze: true,   // grant one streak freeze per week
+    restWeekdays: [],           // 0 = Sunday … 6 = Saturday
+    restDates: [],              // ISO dates
+    restRanges: [],             // [{ start, end }] inclusive ISO dates
+    focusBlockDistracting: true, // Focus Mode blocks distracting domains…
+    focusBlockList: [],         // …and these
+    focusBypassCost: 25,        // XP paid to bypass a blocked domain
+    focusDefaultMinutes: 25,
+    pomodoroWorkMinutes: 25,
+    pomodoroShortBreakMinutes: 5,
+    pomodoroLongBreakMinutes: 15,
+    pomodoroLongBreakEvery: 4,  // pomodoros before a long break
+    pomodoroBadge: false,       // show the countdown on the toolbar badge
+    budgets: [],                // [{ id, type: 'domain'|'category', target, minutes, block }]
+    intentPromptEnabled: false, // ask "Why are you here?" on distracting pages
+    intentPromptSeconds: 5,     // countdown before an answer is accepted
+    intentWorkMinutes: 30       // how long a work-related page scores as neutral
   },
 
+  // ── Schema ──
+  schemaVersion: Migrations.SCHEMA_VERSION, // see Migrations
+
   // ── Session Bookkeeping ──
   sessionStartTime: null,
   lastTrackedDomain: null,
   lastTickTime: null
 });
 
+/** Live daily-bucket keys a day record is built from */
+const DAY_RECORD_KEYS = Object.freeze([
+  'dailyProductiveXp', 'dailyDistractingXp', 'dailyNeutralXp',
+  'dailyProductiveMinutes', 'dailyDistractingMinutes', 'dailyNeutralMinutes',
+  'dailyCategoryXp', 'dailyCategoryMinutes', 'dailyAmbientMinutes',
+  'dailyDecayXp', 'dailyPomodoros', 'dailyGoalHit', 'focusScore', 'highestCombo', 'settings'
+]);
+
+/**
+ * Keys that describe this browser right now — running timers,
+ * unsettled time, block rules.  An import leaves them as they are.
+ */
+const IMPORT_LOCAL_KEYS = Object.freeze([
+  'timeLedger', 'mediaLedgers', 'currentSession', 'focusSession', 'pomodoro', 'budgetBlocks',
+  'contentClassCache', 'intentOverrides', 'schemaBackup',
+  'sessionStartTime', 'lastTrackedDomain', 'lastTickTime'
+]);
+
+/** Lifetime counters a merge adds together */
+const MERGE_SUM_KEYS = Object.freeze([
+  'xp', 'totalXpEarned', 'totalMinutesTracked', 'goalsHit', 'weeklyGoalsHit',
+  'perfectWeekDays', 'focusSessionsCompleted', 'pomodorosCompleted'
+]);
+
+/** Personal bests a merge keeps the higher of */
+const MERGE_MAX_KEYS = Object.freeze(['longestStreak', 'longestGoalStreak', 'longestSessionMinutes']);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** What every record in an export's `history` must have */
+const HISTORY_RECORD_CHECKS = Object.freeze({
+  days:       (r) => ISO_DATE.test(r?.date),
+  heatmaps:   (r) => ISO_DATE.test(r?.date) && Array.isArray(r.slots),
+  domainDays: (r) => ISO_DATE.test(r?.date) && typeof r.domain === 'string',
+  sessions:   (r) => r?.id != null && Number.isFinite(r.startTime),
+  xpEvents:   (r) => Number.isFinite(r?.at) && typeof r.source === 'string' && Number.isFinite(r.delta)
+});
+
+const isDate = (v) => typeof v === 'string' && ISO_DATE.test(v);
+const isRecord = (v) => typeOf(v) === 'object';
+const isText = (v) => typeof v === 'string';
+
+/**
+ * What an imported key must look like beyond its type.  Keys whose
+ * default is null are checked here whenever they are not null.
+ */
+const STATE_VALUE_CHECKS = Object.freeze({
+  lastActiveDate: isDate,
+  lastProtectedDate: isDate,
+  lastFreezeGrantWeek: isDate,
+  streakCheckDate: isDate,
+  lastGoalDate: isDate,
+  weeklyGoalWeek: isDate,
+  decayCheckDate: isDate,
+  lastDecayDate: isDate,
+  dailyDate: isDate,
+  hourlyHeatmap: (h) => Array.isArray(h) && h.length === 24 && h.every(isRecord),
+  quests: (q) => isRecord(q) && Array.isArray(q.daily) && Array.isArray(q.weekly)
+});
+
+/** What each element of an imported list, or value of a map, must be */
+const STATE_ITEM_CHECKS = Object.freeze({
+  dailyCategoryXp: Number.isFinite,
+  dailyCategoryMinutes: Number.isFinite,
+  dailyAmbientMinutes: Number.isFinite,
+  dailyBudgetUsage: Number.isFinite,
+  xpCarry: Number.isFinite,
+  prestigePerks: Number.isInteger,
+  domainStats: isRecord,
+  todayDomainStats: isRecord,
+  urlOverrides: isText,
+  todayUniqueDomains: isText,
+  todayFocusScores: Number.isFinite,
+  earlyBirdDates: isDate,
+  nightOwlDates: isDate,
+  comboGraceLog: (s) => Number.isFinite(s?.start) && Number.isFinite(s?.end),
+  sessions: HISTORY_RECORD_CHECKS.sessions,
+  weeklyStats: HISTORY_RECORD_CHECKS.days,
+  levelUpTimestamps: (t) => Number.isInteger(t?.level) && !Number.isNaN(Date.parse(t.timestamp)),
+  prestigeHistory: isRecord,
+  intentLog: isRecord,
+  notificationHistory: isRecord,
+  milestoneHistory: isRecord
+});
+
+/** Settings entries an import drops, with a warning, when they don't hold up */
+const SETTINGS_ITEM_CHECKS = Object.freeze({
+  customCategories: isText,
+  categories: (c) => isRecord(c) && (isText(c.id) || isText(c.label)),
+  classificationRules: (r) => isText(r?.pattern) && !RuleEngine.validateRule(r),
+  scheduleRules: (r) => isText(r?.pattern) && !RuleEngine.validateSchedule(r),
+  restWeekdays: (d) => Number.isInteger(d) && d >= 0 && d <= 6,
+  restDates: isDate,
+  restRanges: (r) => isDate(r?.start) && isDate(r?.end) && r.start <= r.end,
+  focusBlockList: isText
+});
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/** Runtime state kept in chrome.storage.session */
+const RUNTIME_DEFAULTS = Object.freeze({
+  activeTabId: null,
+  activeTabUrl: null,
+  isUserActive: true,
+  recentNotifications: [],
+  tabEngagement: {}          // { tabId: EngagementEngine tab record }
+});
+
 class StorageManager {
   static async init() {
-    const existing = await StorageManager.getAll();
+    const { schemaBackup: _backup, ...stored } = await StorageManager.getAll();
+    DateService.configure({ ...DEFAULT_STATE.settings, ...(stored.settings || {}) });
+    // A fresh install starts on the current schema; anything else catches up
+    const existing = Object.keys(stored).length === 0
+      ? { schemaVersion: Migrations.SCHEMA_VERSION }
+      : await StorageManager._migrate(stored);
     const merged = { ...DEFAULT_STATE, ...existing };
     merged.settings = { ...DEFAULT_STATE.settings, ...(existing.settings || {}) };
     merged.achievements = { ...DEFAULT_STATE.achievements, ...(existing.achievements || {}) };
-    merged.domainStats = { ...DEFAULT_STATE.domainStats, ...(existing.domainStats || {}) };
+    // Not the default's: state a migration failed on stays behind, to retry next start
+    merged.schemaVersion = Migrations.versionOf(existing);
     await chrome.storage.local.set(merged);
     return merged;
   }
 
+  /**
+   * Run pending migrations on the stored state.  A snapshot of it
+   * is saved as `schemaBackup` first and dropped once the migrated
+   * state is written; if a migration or a write fails, storage is
+   * put back from the snapshot and the state is used as it was.
+   * History records go in one transaction and are keyed by date or
+   * id (the ledger's opening event included), and stores a migration
+   * rewrites are replaced whole, so a retry rewrites what an earlier
+   * attempt left rather than adding to it.
+   */
+  static async _migrate(stored) {
+    const version = Migrations.versionOf(stored);
+    if (version >= Migrations.SCHEMA_VERSION) {
+      if (version > Migrations.SCHEMA_VERSION) {
+        console.warn(`[XPulse] Storage schema ${version} is newer than this version (${Migrations.SCHEMA_VERSION})`);
+      }
+      return stored;
+    }
+
+    const backup = { fromVersion: version, takenAt: Date.now(), state: stored };
+    await chrome.storage.local.set({ schemaBackup: backup });
+    try {
+      const stores = Migrations.storesToRewrite(version);
+      const result = Migrations.run(stored, stores.length > 0 ? await HistoryStore.dump(stores) : {});
+      await HistoryStore.importRecords(result.history, { replace: stores });
+      const dropped = Object.keys(stored).filter((key) => !(key in result.state));
+      await chrome.storage.local.set(result.state);
+      await chrome.storage.local.remove([...dropped, 'schemaBackup']);
+      console.info(`[XPulse] Storage schema ${version} → ${result.state.schemaVersion}: ${result.applied.join('; ')}`);
+      return result.state;
+    } catch (e) {
+      console.error('[XPulse] Storage migration failed, rolling back', e);
+      await chrome.storage.local.clear();
+      await chrome.storage.local.set({ ...stored, schemaBackup: backup });
+      return stored;
+    }
+  }
+
   static async getAll() {
     return chrome.storage.local.get(null);
   }
@@ -106,6 +368,17 @@ class StorageManager {
     return chrome.storage.local.remove(keys);
   }
 
+  /* ─── Runtime State (chrome.storage.session) ──────────── */
+
+  static async getRuntime() {
+    const data = await chrome.storage.session.get(Object.keys(RUNTIME_DEFAULTS));
+    return { ...RUNTIME_DEFAULTS, ...data };
+  }
+
+  static async setRuntime(patch) {
+    return chrome.storage.session.set(patch);
+  }
+
   /* ─── Typed Accessors ─────────────────────────────────── */
 
   static async getXp()    { return (await StorageManager.get('xp')).xp ?? 0; }
@@ -122,6 +395,10 @@ class StorageManager {
 
   static async getSettings() {
     const { settings } = await StorageManager.get('settings');
+    return StorageManager.withDefaultSettings(settings);
+  }
+
+  static withDefaultSettings(settings) {
     return { ...DEFAULT_STATE.settings, ...(settings || {}) };
   }
 
@@ -144,7 +421,8 @@ class StorageManager {
       'focusScore', 'todayFocusScores', 'perfectWeekDays',
       'earlyBirdDays', 'nightOwlDays', 'longestSessionMinutes',
       'todayUniqueDomains', 'totalMinutesTracked',
-      'dailyProductiveMinutes', 'dailyDistractingMinutes', 'dailyNeutralMinutes'
+      'dailyProductiveMinutes', 'dailyDistractingMinutes', 'dailyNeutralMinutes',
+      'dailyCategoryXp', 'dailyCategoryMinutes', 'dailyAmbientMinutes'
     ];
     return StorageManager.get(keys);
   }
@@ -152,9 +430,11 @@ class StorageManager {
   /* ─── Daily Bucket ────────────────────────────────────── */
 
   static async ensureDailyBucket() {
-    const today = new Date().toISOString().slice(0, 10);
+    const today = DateService.todayISO();
     const { dailyDate } = await StorageManager.get('dailyDate');
-    if (dailyDate !== today) {
+    // A later day-start hour can put "today" before the live bucket;
+    // keep that bucket until its day is over
+    if (!dailyDate || today > dailyDate) {
       if (dailyDate) {
         await StorageManager._archiveDay(dailyDate);
       }
@@ -166,27 +446,55 @@ class StorageManager {
         dailyProductiveMinutes: 0,
         dailyDistractingMinutes: 0,
         dailyNeutralMinutes: 0,
+        dailyCategoryXp: {},
+        dailyCategoryMinutes: {},
+        dailyAmbientMinutes: {},
+        dailyDecayXp: 0,
+        dailyPomodoros: 0,
+        dailyBudgetUsage: {},
+        dailyGoalHit: false,
         hourlyHeatmap: null,
         todayUniqueDomains: [],
+        todayDomainStats: {},
         todayFocusScores: [],
         consecutiveProductiveMinutes: 0,
         currentComboMultiplier: 1.0,
         consecutiveDistractingTicks: 0,
-        currentSession: null,
+        comboGraceLog: [],
         focusScore: 0
       });
     }
   }
 
   static async _archiveDay(dateStr) {
-    const data = await StorageManager.get([
-      'weeklyStats', 'monthlyStats',
-      'dailyProductiveXp', 'dailyDistractingXp', 'dailyNeutralXp',
-      'dailyProductiveMinutes', 'dailyDistractingMinutes', 'dailyNeutralMinutes',
-      'focusScore', 'highestCombo'
-    ]);
+    const data = await StorageManager.get(['weeklyStats', 'hourlyHeatmap', 'todayDomainStats', ...DAY_RECORD_KEYS]);
+    const dayRecord = StorageManager._dayRecord(dateStr, data);
+
+    // A date can be archived twice when the day-start hour moves;
+    // add to what is stored rather than replace it
+    const stored = await HistoryStore.getArchivedDay(dateStr);
+    await HistoryStore.archiveDay({
+      day: stored.day ? AnalyticsEngine.mergeDayRecord(stored.day, dayRecord) : dayRecord,
+      heatmap: AnalyticsEngine.sumHeatmaps([stored.heatmap, data.hourlyHeatmap]),
+      domains: AnalyticsEngine.sumDomainStats([stored.domains, data.todayDomainStats])
+    });
+
+    const weekly = AnalyticsEngine.mergeDayRecords([...(data.weeklyStats ?? []), dayRecord]);
+    while (weekly.length > 7) weekly.shift();
+    await StorageManager.set({ weeklyStats: weekly });
+  }
+
+  /** The archived form of a day bucket */
+  static _dayRecord(dateStr, data) {
+    // Per-category totals for every category seen that day
+    const categoryXp = data.dailyCategoryXp ?? {};
+    const categoryMin = data.dailyCategoryMinutes ?? {};
+    const categories = {};
+    for (const id of new Set([...Object.keys(categoryXp), ...Object.keys(categoryMin)])) {
+      categories[id] = { xp: categoryXp[id] ?? 0, minutes: categoryMin[id] ?? 0 };
+    }
 
-    const dayRecord = {
+    return {
       date: dateStr,
       productive: data.dailyProductiveXp ?? 0,
       distracting: data.dailyDistractingXp ?? 0,
@@ -195,18 +503,41 @@ class StorageManager {
       distractingMin: data.dailyDistractingMinutes ?? 0,
       neutralMin: data.dailyNeutralMinutes ?? 0,
       focusScore: data.focusScore ?? 0,
-      bestCombo: data.highestCombo ?? 1.0
+      bestCombo: data.highestCombo ?? 1.0,
+      categories,
+      ambient: data.dailyAmbientMinutes ?? {},
+      decay: data.dailyDecayXp ?? 0,
+      pomodoros: data.dailyPomodoros ?? 0,
+      goal: StorageManager.withDefaultSettings(data.settings).dailyXpGoal,
+      goalHit: !!data.dailyGoalHit
     };
+  }
 
-    const weekly = data.weeklyStats ?? [];
-    weekly.push(dayRecord);
-    while (weekly.length > 7) weekly.shift();
-
-    const monthly = data.monthlyStats ?? [];
-    monthly.push(dayRecord);
-    while (monthly.length > 30) monthly.shift();
+  /**
+   * Day records between two ISO dates (inclusive), archived days
+   * and the live bucket alike, oldest first.
+   */
+  static async getDayRecords(from, to) {
+    const data = await StorageManager.get(['weeklyStats', 'dailyDate', ...DAY_RECORD_KEYS]);
+    // The hot week is also in HistoryStore; keep one copy of each day
+    const archived = new Map();
+    for (const day of [...(data.weeklyStats ?? []), ...await HistoryStore.getDays(from, to)]) archived.set(day.date, day);
+    const days = [...archived.values()];
+    if (data.dailyDate) days.push({ ...StorageManager._dayRecord(data.dailyDate, data), live: true });
+    return AnalyticsEngine.mergeDayRecords(days)
+      .filter((d) => (!from || d.date >= from) && (!to || d.date <= to));
+  }
 
-    await StorageManager.set({ weeklyStats: weekly, monthlyStats: monthly });
+  /**
+   * Merge extra fields into archived day records by date,
+   * e.g. { '2024-05-04': { protection: 'freeze' } }.
+   */
+  static async annotateArchivedDays(annotations) {
+    const { weeklyStats } = await StorageManager.get('weeklyStats');
+    await StorageManager.set({
+      weeklyStats: (weeklyStats ?? []).map((d) => (annotations[d.date] ? { ...d, ...annotations[d.date] } : d))
+    });
+    await HistoryStore.annotateDays(annotations);
   }
 
   /* ─── Session Management ──────────────────────────────── */
@@ -216,9 +547,25 @@ class StorageManager {
     const { sessions } = await StorageManager.get('sessions');
     const list = sessions ?? [];
     list.push(session);
-    // Keep last 50 sessions
+    // Keep the last 50 at hand; HistoryStore keeps them all
     while (list.length > 50) list.shift();
     await StorageManager.set({ sessions: list });
+    await HistoryStore.putSession(session);
+  }
+
+  /* ─── XP Ledger ───────────────────────────────────────── */
+
+  /**
+   * Append XP events after the state they describe is saved.  A
+   * lost write is logged, not thrown — the balance stays right and
+   * an audit shows where the ledger fell behind.
+   */
+  static async recordXpEvents(events) {
+    try {
+      await HistoryStore.appendXpEvents(events);
+    } catch (e) {
+      console.error('[XPulse] XP ledger write failed', e);
+    }
   }
 
   /* ─── Notification History ────────────────────────────── */
@@ -231,15 +578,371 @@ class StorageManager {
     await StorageManager.set({ notificationHistory: history });
   }
 
-  /* ─── Export / Reset ──────────────────────────────────── */
+  /* ─── Export / Import / Reset ─────────────────────────── */
 
   static async exportJSON() {
-    const data = await StorageManager.getAll();
-    return JSON.stringify(data, null, 2);
+    const { schemaBackup: _backup, ...data } = await StorageManager.getAll();
+    return JSON.stringify({ ...data, history: await HistoryStore.dump() }, null, 2);
+  }
+
+  /**
+   * Restore an export.  Without `apply` nothing is written and the
+   * result previews the change.  "replace" swaps everything for the
+   * file; "merge" adds it to what is here: lifetime counters summed,
+   * day records joined by date (days both have are added together,
+   * unless identical), achievements unlocked at the earlier time,
+   * the XP balance added up unless one side has prestiged more.
+   * Settings stay as they are in a merge.  Either way the XP ledger
+   * restarts from the result, and a failed write puts back what was
+   * here.  Exports from older versions are brought up to date by the
+   * same migrations as the live store.
+   *
+   * @param {string} json - an exportJSON() file
+   * @param {Object} [options]
+   * @param {'replace'|'merge'} [options.mode]
+   * @param {boolean} [options.apply]
+   * @returns {Promise<Object>} { ok, errors, warnings, mode, before, after, newAchievements, applied }
+   */
+  static async importJSON(json, { mode = 'merge', apply = false } = {}) {
+    const parsed = StorageManager._parseExport(json);
+    if (parsed.errors.length > 0) return { ok: false, errors: parsed.errors, warnings: parsed.warnings };
+
+    const current = await StorageManager.getAll();
+    const currentHistory = await HistoryStore.dump();
+    const imported = parsed.state;
+    // A replaced state keeps its unfinished day live; a merged one archives it
+    const history = StorageManager._importedHistory(imported, parsed.history, { includeLive: mode !== 'replace' });
+
+    const result = mode === 'replace'
+      ? { state: imported, history }
+      : {
+        state: StorageManager._mergeState(current, imported),
+        history: StorageManager._mergeHistory(currentHistory, history)
+      };
+    const local = Object.fromEntries(IMPORT_LOCAL_KEYS.filter((k) => k in current).map((k) => [k, current[k]]));
+    const state = { ...result.state, ...local, schemaVersion: Migrations.SCHEMA_VERSION };
+
+    const unlocked = (map) => Object.keys(map || {}).filter((id) => map[id]?.unlocked);
+    const preview = {
+      ok: true,
+      errors: [],
+      warnings: parsed.warnings,
+      mode,
+      before: StorageManager._importSummary(current, currentHistory),
+      after: StorageManager._importSummary(state, result.history),
+      newAchievements: unlocked(state.achievements).filter((id) => !current.achievements?.[id]?.unlocked),
+      applied: false
+    };
+    if (!apply) return preview;
+
+    // What is here now is put back if any write fails
+    try {
+      await chrome.storage.local.clear();
+      await chrome.storage.local.set(state);
+      await HistoryStore.clear();
+      await HistoryStore.importRecords(result.history);
+    } catch (e) {
+      console.error('[XPulse] Import failed, restoring the previous data', e);
+      await chrome.storage.local.clear();
+      await chrome.storage.local.set(current);
+      await HistoryStore.clear();
+      await HistoryStore.importRecords(currentHistory);
+      return { ...preview, ok: false, errors: [`Import failed, nothing was changed: ${e.message}`] };
+    }
+    await StorageManager.recordXpEvents([XpLedger.openingEvent(state, { ref: `import:${mode}` })]);
+    await StorageManager.init();
+    return { ...preview, applied: true };
+  }
+
+  /**
+   * Migrate an export to the current schema, then check it against
+   * DEFAULT_STATE: known keys must have their default's type and
+   * the shape in STATE_VALUE_CHECKS / STATE_ITEM_CHECKS, history
+   * records their identifying fields.  Unknown keys and device-local
+   * ones are dropped with a warning, as are settings entries that
+   * wouldn't load; anything else wrong — a newer schema included —
+   * refuses the file.
+   * @returns {{ errors: string[], warnings: string[], state: Object, history: Object }}
+   */
+  static _parseExport(json) {
+    const errors = [];
+    const warnings = [];
+    let data;
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch {
+      return { errors: ['The file is not valid JSON'], warnings, state: {}, history: {} };
+    }
+    if (typeOf(data) !== 'object' || typeof data.xp !== 'number' || typeof data.level !== 'number') {
+      return { errors: ['The file is not an XPulse export'], warnings, state: {}, history: {} };
+    }
+    const { history: rawHistory = {}, ...rawState } = data;
+    if (typeOf(rawHistory) !== 'object') {
+      return { errors: ['history: expected an object'], warnings, state: {}, history: {} };
+    }
+
+    if (Migrations.versionOf(rawState) > Migrations.SCHEMA_VERSION) {
+      return { errors: ['The file is from a newer version of XPulse'], warnings, state: {}, history: {} };
+    }
+
+    let migrated;
+    try {
+      migrated = Migrations.run(rawState, rawHistory);
+    } catch (e) {
+      return { errors: [`The file could not be upgraded: ${e.message}`], warnings, state: {}, history: {} };
+    }
+    if (migrated.applied.length > 0) {
+      warnings.push(`Upgraded from schema ${migrated.from}: ${migrated.applied.join('; ')}`);
+    }
+
+    const state = {};
+    for (const [key, value] of Object.entries(migrated.state)) {
+      if (IMPORT_LOCAL_KEYS.includes(key)) continue;
+      if (!(key in DEFAULT_STATE)) {
+        warnings.push(`Ignored unknown key "${key}"`);
+        continue;
+      }
+      const expected = typeOf(DEFAULT_STATE[key]);
+      const actual = typeOf(value);
+      if (expected !== 'null' && actual !== expected && actual !== 'null') {
+        errors.push(`${key}: expected ${expected}, found ${actual}`);
+        continue;
+      }
+      if (actual === 'number' && !Number.isFinite(value)) {
+        errors.push(`${key}: not a finite number`);
+        continue;
+      }
+      if (actual !== 'null' && STATE_VALUE_CHECKS[key] && !STATE_VALUE_CHECKS[key](value)) {
+        errors.push(`${key}: malformed value`);
+        continue;
+      }
+      const check = STATE_ITEM_CHECKS[key];
+      const bad = check && actual !== 'null' ? Object.values(value).filter((v) => !check(v)).length : 0;
+      if (bad > 0) {
+        errors.push(`${key}: ${bad} malformed entr${bad === 1 ? 'y' : 'ies'}`);
+        continue;
+      }
+      state[key] = value;
+    }
+
+    if (state.xp < 0) errors.push('xp: cannot be negative');
+    if (!Number.isInteger(state.level) || state.level < 1) errors.push('level: expected a whole number from 1');
+    if ((state.totalXpEarned ?? 0) < 0) errors.push('totalXpEarned: cannot be negative');
+    for (const [id, entry] of Object.entries(state.achievements || {})) {
+      if (typeOf(entry) !== 'object' || (entry.timestamp != null && Number.isNaN(Date.parse(entry.timestamp)))) {
+        errors.push(`achievements.${id}: expected { unlocked, timestamp }`);
+      }
+    }
+
+    // Settings are forgiving: a field of the wrong type falls back to its default
+    if (state.settings) {
+      const settings = {};
+      for (const [key, value] of Object.entries(state.settings)) {
+        const expected = typeOf(DEFAULT_STATE.settings[key]);
+        if (key in DEFAULT_STATE.settings && typeOf(value) !== expected) {
+          warnings.push(`Reset setting "${key}" (expected ${expected})`);
+          continue;
+        }
+        settings[key] = value;
+      }
+      // …and an entry that wouldn't load is dropped, the rest normalized as the options page does
+      for (const [key, check] of Object.entries(SETTINGS_ITEM_CHECKS)) {
+        if (settings[key] == null) continue;
+        const entries = Object.entries(settings[key]);
+        const kept = entries.filter(([, v]) => check(v));
+        if (kept.length === entries.length) continue;
+        warnings.push(`Dropped ${entries.length - kept.length} invalid entr${entries.length - kept.length === 1 ? 'y' : 'ies'} from setting "${key}"`);
+        settings[key] = Array.isArray(settings[key]) ? kept.map(([, v]) => v) : Object.fromEntries(kept);
+      }
+      if (settings.categories?.length > 0) settings.categories = XpEngine.normalizeCategories(settings.categories);
+      for (const [key, normalize] of [['comboTiers', XpEngine.normalizeComboTiers], ['budgets', BudgetEngine.normalizeBudgets]]) {
+        if (settings[key] == null) continue;
+        const normalized = normalize(settings[key]);
+        const dropped = settings[key].length - normalized.length;
+        if (dropped > 0) warnings.push(`Dropped ${dropped} invalid or repeated entr${dropped === 1 ? 'y' : 'ies'} from setting "${key}"`);
+        settings[key] = normalized;
+      }
+      state.settings = settings;
+    }
+
+    const history = {};
+    for (const [store, check] of Object.entries(HISTORY_RECORD_CHECKS)) {
+      const records = migrated.history[store];
+      if (!Array.isArray(records)) {
+        errors.push(`history.${store}: expected an array`);
+        continue;
+      }
+      const bad = records.filter((r) => !check(r)).length;
+      if (bad > 0) errors.push(`history.${store}: ${bad} malformed record(s)`);
+      history[store] = records;
+    }
+
+    return { errors, warnings, state, history };
+  }
+
+  /**
+   * An export's history as HistoryStore records: the `history`
+   * section, plus the hot week and sessions and, with
+   * `includeLive`, the export's unfinished day.
+   */
+  static _importedHistory(state, history, { includeLive }) {
+    const days = new Map();
+    for (const day of [...(state.weeklyStats || []), ...(history.days || [])]) {
+      days.set(day.date, day);
+    }
+    const heatmaps = [...(history.heatmaps || [])];
+    const domainDays = [...(history.domainDays || [])];
+    if (includeLive && state.dailyDate) {
+      const live = StorageManager._dayRecord(state.dailyDate, state);
+      days.set(live.date, days.has(live.date) ? AnalyticsEngine.mergeDayRecord(days.get(live.date), live) : live);
+      if (state.hourlyHeatmap) heatmaps.push({ date: state.dailyDate, slots: state.hourlyHeatmap });
+      for (const [domain, stats] of Object.entries(state.todayDomainStats || {})) {
+        domainDays.push({ ...stats, date: state.dailyDate, domain });
+      }
+    }
+
+    const sessions = new Map();
+    for (const s of [...(history.sessions || []), ...(state.sessions || [])]) {
+      if (s?.id != null) sessions.set(s.id, s);
+    }
+    return {
+      days: AnalyticsEngine.mergeDayRecords([...days.values()]),
+      heatmaps: Object.entries(StorageManager._groupByDate(heatmaps))
+        .map(([date, list]) => ({ date, slots: AnalyticsEngine.sumHeatmaps(list.map((h) => h.slots)) })),
+      domainDays,
+      sessions: [...sessions.values()],
+      xpEvents: history.xpEvents || []
+    };
+  }
+
+  /** Combine the live state with an imported one (see importJSON) */
+  static _mergeState(current, imported) {
+    const merged = { ...current };
+    for (const key of MERGE_SUM_KEYS) merged[key] = (current[key] ?? 0) + (imported[key] ?? 0);
+    for (const key of MERGE_MAX_KEYS) merged[key] = Math.max(current[key] ?? 0, imported[key] ?? 0);
+
+    const achievements = { ...(current.achievements || {}) };
+    for (const [id, entry] of Object.entries(imported.achievements || {})) {
+      const mine = achievements[id];
+      if (!entry?.unlocked) continue;
+      if (!mine?.unlocked || (entry.timestamp && (!mine.timestamp || entry.timestamp < mine.timestamp))) {
+        achievements[id] = { ...entry };
+      }
+    }
+    merged.achievements = achievements;
+
+    const levelUps = new Map();
+    for (const t of [...(imported.levelUpTimestamps || []), ...(current.levelUpTimestamps || [])]) {
+      const prev = levelUps.get(t.level);
+      if (!prev || t.timestamp < prev.timestamp) levelUps.set(t.level, t);
+    }
+    merged.levelUpTimestamps = [...levelUps.values()].sort((a, b) => a.level - b.level);
+
+    for (const key of ['earlyBirdDates', 'nightOwlDates']) {
+      merged[key] = [...new Set([...(current[key] || []), ...(imported[key] || [])])].sort();
+    }
+    merged.earlyBirdDays = merged.earlyBirdDates.length;
+    merged.nightOwlDays = merged.nightOwlDates.length;
+
+    merged.domainStats = AnalyticsEngine.sumDomainStats([current.domainStats, imported.domainStats]);
+    merged.weeklyStats = AnalyticsEngine.mergeDayRecords([
+      ...(current.weeklyStats || []),
+      ...(imported.weeklyStats || []).filter((d) => !(current.weeklyStats || []).some((c) => StorageManager._sameRecord(c, d)))
+    ]).slice(-7);
+
+    // A prestige resets the balance: across different prestige counts
+    // the side further along keeps its balance, within one they add up
+    const ahead = (imported.prestigeCount ?? 0) - (current.prestigeCount ?? 0);
+    if (ahead > 0) {
+      merged.prestigeCount = imported.prestigeCount;
+      merged.prestigePerks = imported.prestigePerks ?? {};
+      merged.prestigeHistory = imported.prestigeHistory ?? [];
+      merged.xp = imported.xp ?? 0;
+    } else if (ahead < 0) {
+      merged.xp = current.xp ?? 0;
+    }
+    merged.level = XpEngine.levelFromXp(merged.xp);
+    return merged;
+  }
+
+  /**
+   * Join two sets of history records: by date for days, heatmaps
+   * and domain days — adding up dates both have unless the records
+   * are identical — and by id for sessions.  The XP ledger is this
+   * browser's and is kept as it is.
+   */
+  static _mergeHistory(current, imported) {
+    const days = new Map(current.days.map((d) => [d.date, d]));
+    for (const day of imported.days) {
+      const mine = days.get(day.date);
+      days.set(day.date, !mine ? day : StorageManager._sameRecord(mine, day) ? mine : AnalyticsEngine.mergeDayRecord(mine, day));
+    }
+
+    const heatmaps = new Map(current.heatmaps.map((h) => [h.date, h]));
+    for (const h of imported.heatmaps) {
+      const mine = heatmaps.get(h.date);
+      heatmaps.set(h.date, !mine || StorageManager._sameRecord(mine, h) ? (mine || h)
+        : { date: h.date, slots: AnalyticsEngine.sumHeatmaps([mine.slots, h.slots]) });
+    }
+
+    const domainDays = new Map(current.domainDays.map((d) => [`${d.date}|${d.domain}`, d]));
+    for (const d of imported.domainDays) {
+      const key = `${d.date}|${d.domain}`;
+      const mine = domainDays.get(key);
+      if (!mine || StorageManager._sameRecord(mine, d)) {
+        domainDays.set(key, mine || d);
+        continue;
+      }
+      const { date: _d1, domain, ...a } = mine;
+      const { date: _d2, domain: _dom, ...b } = d;
+      domainDays.set(key, { ...AnalyticsEngine.sumDomainStats([{ [domain]: a }, { [domain]: b }])[domain], date: d.date, domain });
+    }
+
+    const sessions = new Map(current.sessions.map((s) => [s.id, s]));
+    for (const s of imported.sessions) if (!sessions.has(s.id)) sessions.set(s.id, s);
+
+    return {
+      days: [...days.values()],
+      heatmaps: [...heatmaps.values()],
+      domainDays: [...domainDays.values()],
+      sessions: [...sessions.values()],
+      xpEvents: current.xpEvents
+    };
+  }
+
+  static _sameRecord(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  static _groupByDate(records) {
+    const groups = {};
+    for (const r of records) (groups[r.date] ??= []).push(r);
+    return groups;
+  }
+
+  /** The figures an import preview compares */
+  static _importSummary(state, history) {
+    const dates = [...history.days.map((d) => d.date), ...(state.weeklyStats || []).map((d) => d.date)];
+    if (state.dailyDate) dates.push(state.dailyDate);
+    const unique = [...new Set(dates)].sort();
+    return {
+      xp: state.xp ?? 0,
+      level: state.level ?? 1,
+      totalXpEarned: state.totalXpEarned ?? 0,
+      prestigeCount: state.prestigeCount ?? 0,
+      achievements: Object.values(state.achievements || {}).filter((a) => a?.unlocked).length,
+      history: {
+        from: unique[0] ?? null,
+        to: unique[unique.length - 1] ?? null,
+        days: unique.length,
+        sessions: history.sessions.length
+      }
+    };
   }
 
   static async reset() {
     await chrome.storage.local.clear();
+    await HistoryStore.clear();
     return StorageManager.init();
   }
 }
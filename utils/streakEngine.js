@@ -4,29 +4,91 @@
  * ============================================================
  *  Pure-function module.  Accepts current streak state and
  *  returns a new state object — no storage I/O.
+ *  Dates are day keys from DateService.
+ *  Missed days are covered by declared rest days or banked
+ *  streak freezes before a streak breaks.
  * ============================================================
  */
 
+import DateService from './dateService.js';
+
+const { todayISO, yesterdayISO, addDaysISO, weekStartISO } = DateService;
+
 /** Minimum productive XP a user must earn each day to keep streak alive */
 const DAILY_PRODUCTIVE_THRESHOLD = 50;
 
-/* ─── Date Helpers ──────────────────────────────────────── */
+/* ─── Rest Days ─────────────────────────────────────────── */
+
+/**
+ * Is `iso` a declared rest day?  Rest days come from settings:
+ *   - restWeekdays {Array<number>} 0 = Sunday … 6 = Saturday
+ *   - restDates    {Array<string>} specific ISO dates
+ *   - restRanges   {Array<{ start, end }>} inclusive ISO date ranges
+ */
+function isRestDay(iso, settings = {}) {
+  if ((settings.restDates || []).includes(iso)) return true;
+  if ((settings.restRanges || []).some((r) => r.start <= iso && iso <= r.end)) return true;
+  return (settings.restWeekdays || []).includes(DateService.weekdayOf(iso));
+}
+
+/** Longest gap looked at when counting inactive days */
+const MAX_INACTIVE_LOOKBACK = 366;
 
 /**
- * Get today's date as ISO string (YYYY-MM-DD) in local timezone.
+ * Completed days since the last qualifying day that count as
+ * inactive past a grace period.  Rest days neither count towards
+ * the grace period nor decay.
+ *
+ * @param {Object} params
+ *   - lastActiveDate {string|null} last qualifying day
+ *   - lastDecayDate  {string|null} last day already decayed
+ *   - graceDays      {number} inactive days allowed before decay
+ *   - settings       {Object} rest day settings, see isRestDay
+ *   - today          {string} ISO date; days before it are complete
+ * @returns {Array<string>} ISO dates still to decay, oldest first
  */
-function todayISO() {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+function inactiveDaysToDecay({ lastActiveDate, lastDecayDate, graceDays, settings, today = todayISO() }) {
+  if (!lastActiveDate) return [];
+  const due = [];
+  let inactive = 0;
+  let day = addDaysISO(lastActiveDate, 1);
+  for (let i = 0; day < today && i < MAX_INACTIVE_LOOKBACK; i++) {
+    if (!isRestDay(day, settings)) {
+      inactive += 1;
+      if (inactive > graceDays && (!lastDecayDate || day > lastDecayDate)) due.push(day);
+    }
+    day = addDaysISO(day, 1);
+  }
+  return due;
 }
 
+/* ─── Streak Freezes ────────────────────────────────────── */
+
+/** Most freezes that can be banked at once */
+const MAX_STREAK_FREEZES = 3;
+
+/** Lifetime XP needed to earn each freeze */
+const FREEZE_XP_INTERVAL = 1000;
+
 /**
- * Get yesterday's date as ISO string.
+ * Grant the weekly freezes once per calendar week.
+ * @param {number} [amount] - freezes granted each week
+ * @returns {{ streakFreezes, lastFreezeGrantWeek, granted }}
  */
-function yesterdayISO() {
-  const d = new Date();
-  d.setDate(d.getDate() - 1);
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+function grantWeeklyFreeze({ streakFreezes = 0, lastFreezeGrantWeek = null }, today = todayISO(), max = MAX_STREAK_FREEZES, amount = 1) {
+  const week = weekStartISO(today);
+  if (week === lastFreezeGrantWeek) {
+    return { streakFreezes, lastFreezeGrantWeek, granted: 0 };
+  }
+  const next = Math.max(streakFreezes, Math.min(max, streakFreezes + amount));
+  return { streakFreezes: next, lastFreezeGrantWeek: week, granted: next - streakFreezes };
+}
+
+/**
+ * Freezes earned by lifetime XP going from `prevTotal` to `nextTotal`.
+ */
+function freezesEarnedForXp(prevTotal, nextTotal) {
+  return Math.max(0, Math.floor(nextTotal / FREEZE_XP_INTERVAL) - Math.floor(prevTotal / FREEZE_XP_INTERVAL));
 }
 
 /* ─── Core Streak Logic ─────────────────────────────────── */
@@ -34,85 +96,97 @@ function yesterdayISO() {
 /**
  * Evaluate and return updated streak state.
  *
- * Call this ONCE when the day rolls over or on extension startup.
+ * Call this ONCE per day when the day rolls over.  Qualifying days
+ * are credited live by markTodayQualified, so only the completed
+ * days since the last qualifying (or protected) day are checked.
+ * Each is protected by being a rest day or by spending a freeze;
+ * freezes are only spent if they save the streak.
  *
  * @param {Object} state
- *   - currentStreak {number}
- *   - longestStreak {number}
- *   - lastActiveDate {string|null} ISO date of last qualifying day
- *   - dailyProductiveXp {number} productive XP earned "yesterday"
- *     (the day that just ended, before bucket was reset)
+ *   - currentStreak     {number}
+ *   - longestStreak     {number}
+ *   - lastActiveDate    {string|null} ISO date of last qualifying day
+ *   - lastProtectedDate {string|null} last day covered by a protection
+ *   - streakFreezes     {number} freezes banked
+ * @param {Object} [settings] - rest day settings, see isRestDay
+ * @param {string} [today]
  *
- * @returns {Object} updated { currentStreak, longestStreak, lastActiveDate }
+ * @returns {Object} updated { currentStreak, longestStreak,
+ *   lastActiveDate, lastProtectedDate, streakFreezes, protections }
+ *   where protections is [{ date, type: 'rest' | 'freeze' }]
  */
-function evaluateStreak({ currentStreak, longestStreak, lastActiveDate, dailyProductiveXp }) {
-  const today = todayISO();
-  const yesterday = yesterdayISO();
+function evaluateStreak(state, settings = {}, today = todayISO()) {
+  const result = {
+    currentStreak:     state.currentStreak ?? 0,
+    longestStreak:     state.longestStreak ?? 0,
+    lastActiveDate:    state.lastActiveDate ?? null,
+    lastProtectedDate: state.lastProtectedDate ?? null,
+    streakFreezes:     state.streakFreezes ?? 0,
+    protections:       []
+  };
 
-  // Already evaluated for today
-  if (lastActiveDate === today) {
-    return { currentStreak, longestStreak, lastActiveDate };
+  // First run, or nothing left to protect
+  if (!result.lastActiveDate || result.currentStreak === 0) {
+    return { ...result, currentStreak: 0 };
   }
 
-  // If lastActiveDate was yesterday and they hit the threshold → continue streak
-  if (lastActiveDate === yesterday && dailyProductiveXp >= DAILY_PRODUCTIVE_THRESHOLD) {
-    const newStreak = currentStreak + 1;
-    return {
-      currentStreak: newStreak,
-      longestStreak: Math.max(longestStreak, newStreak),
-      lastActiveDate: today
-    };
+  const covered = [result.lastActiveDate, result.lastProtectedDate].filter(Boolean).sort().pop();
+  const protections = [];
+  let freezesNeeded = 0;
+  let day = addDaysISO(covered, 1);
+  for (let i = 0; day < today; i++) {
+    if (i >= MAX_INACTIVE_LOOKBACK) return { ...result, currentStreak: 0 };
+    if (isRestDay(day, settings)) {
+      protections.push({ date: day, type: 'rest' });
+    } else {
+      protections.push({ date: day, type: 'freeze' });
+      freezesNeeded += 1;
+    }
+    day = addDaysISO(day, 1);
   }
 
-  // If they missed a day (or never started), check if today is the start of new streak
-  // On day-roll the dailyProductiveXp reflects *yesterday's* total.
-  // If yesterday qualified, streak should have been updated; otherwise reset.
-  if (lastActiveDate === yesterday && dailyProductiveXp < DAILY_PRODUCTIVE_THRESHOLD) {
-    // Missed threshold yesterday → reset
-    return {
-      currentStreak: 0,
-      longestStreak,
-      lastActiveDate
-    };
-  }
+  if (protections.length === 0) return result;
 
-  // More than 1 day gap → streak is broken
-  if (lastActiveDate && lastActiveDate < yesterday) {
-    return {
-      currentStreak: 0,
-      longestStreak,
-      lastActiveDate
-    };
+  // Not enough freezes to bridge the gap → streak is broken
+  if (freezesNeeded > result.streakFreezes) {
+    return { ...result, currentStreak: 0 };
   }
 
-  // First run / no lastActiveDate
   return {
-    currentStreak: 0,
-    longestStreak: longestStreak ?? 0,
-    lastActiveDate: lastActiveDate ?? null
+    ...result,
+    lastProtectedDate: protections[protections.length - 1].date,
+    streakFreezes: result.streakFreezes - freezesNeeded,
+    protections
   };
 }
 
 /**
  * Mark today as qualifying (called when dailyProductiveXp crosses
  * the threshold during the day, so the streak is credited live).
+ * A streak continues from yesterday's qualifying day or from a
+ * protected day that ended yesterday.  Rest days neither break nor
+ * extend it: qualifying on one changes nothing, and the day roll
+ * covers it like any other rest day.
  *
  * @param {Object} state same shape as evaluateStreak input
+ * @param {Object} [settings] - rest day settings, see isRestDay
  * @returns {Object} updated streak state
  */
-function markTodayQualified({ currentStreak, longestStreak, lastActiveDate }) {
+function markTodayQualified(state, settings = {}) {
+  const { currentStreak, longestStreak, lastActiveDate, lastProtectedDate = null } = state;
   const today = todayISO();
   const yesterday = yesterdayISO();
 
-  // Already marked today
-  if (lastActiveDate === today) {
-    return { currentStreak, longestStreak, lastActiveDate };
+  // Already marked today, or a rest day
+  if (lastActiveDate === today || isRestDay(today, settings)) {
+    return { ...state };
   }
 
   // Continuing from yesterday
-  if (lastActiveDate === yesterday) {
+  if (currentStreak > 0 && (lastActiveDate === yesterday || lastProtectedDate === yesterday)) {
     const newStreak = currentStreak + 1;
     return {
+      ...state,
       currentStreak: newStreak,
       longestStreak: Math.max(longestStreak, newStreak),
       lastActiveDate: today
@@ -121,6 +195,7 @@ function markTodayQualified({ currentStreak, longestStreak, lastActiveDate }) {
 
   // Gap or first time → start new streak at 1
   return {
+    ...state,
     currentStreak: 1,
     longestStreak: Math.max(longestStreak ?? 0, 1),
     lastActiveDate: today
@@ -131,8 +206,12 @@ function markTodayQualified({ currentStreak, longestStreak, lastActiveDate }) {
 
 const StreakEngine = {
   DAILY_PRODUCTIVE_THRESHOLD,
-  todayISO,
-  yesterdayISO,
+  MAX_STREAK_FREEZES,
+  FREEZE_XP_INTERVAL,
+  isRestDay,
+  inactiveDaysToDecay,
+  grantWeeklyFreeze,
+  freezesEarnedForXp,
   evaluateStreak,
   markTodayQualified
 };
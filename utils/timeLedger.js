@@ -0,0 +1,187 @@
+/**
+ * ============================================================
+ *  Time Ledger — Timestamp-Accurate Time Accounting for XPulse
+ * ============================================================
+ *  Tab switches, URL changes, window focus and idle events open
+ *  and close segments at the exact time they happen.  Each alarm
+ *  drains the ledger into closed entries (split on hour
+ *  boundaries) so XP, sessions, the heatmap and domain stats are
+ *  all computed from the same seconds.  Fractional XP is carried
+ *  over per category between ticks.
+ *  Pure-function module — no storage I/O.
+ * ============================================================
+ */
+
+/* ─── Ledger Shape ──────────────────────────────────────── */
+
+/**
+ * Ledger shape (stored as timeLedger):
+ *  {
+ *    open:    { url, tabId, start } | null,   // segment being timed
+ *    entries: [{ url, tabId, start, end }]     // closed, not yet drained
+ *  }
+ */
+function createLedger() {
+  return { open: null, entries: [] };
+}
+
+/** Entries older than this are dropped if ticks stop draining them */
+const MAX_PENDING_ENTRIES = 500;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/* ─── Events ────────────────────────────────────────────── */
+
+/**
+ * Close the open segment at `at`.  Zero-length segments are
+ * discarded.
+ */
+function closeSegment(ledger, at) {
+  const next = { open: null, entries: [...(ledger?.entries || [])] };
+  const open = ledger?.open;
+  if (open) {
+    const end = Math.max(open.start, at);
+    if (end > open.start) next.entries.push({ ...open, end });
+  }
+  if (next.entries.length > MAX_PENDING_ENTRIES) {
+    next.entries = next.entries.slice(-MAX_PENDING_ENTRIES);
+  }
+  return next;
+}
+
+/**
+ * Start timing `url` at `at`, closing whatever was open.
+ * Re-opening the same URL on the same tab keeps the segment.
+ */
+function openSegment(ledger, { url, tabId = null }, at) {
+  const open = ledger?.open;
+  if (open && open.url === url && open.tabId === tabId) return ledger;
+  const next = closeSegment(ledger, at);
+  next.open = url ? { url, tabId, start: at } : null;
+  return next;
+}
+
+/* ─── Draining ──────────────────────────────────────────── */
+
+/**
+ * Split an entry on local hour boundaries so each piece belongs
+ * to exactly one heatmap slot.
+ * @returns {Array<{ url, tabId, start, end, seconds }>}
+ */
+function splitByHour(entry) {
+  const pieces = [];
+  let start = entry.start;
+  while (start < entry.end) {
+    const boundary = new Date(start);
+    boundary.setMinutes(0, 0, 0);
+    const nextHour = boundary.getTime() + HOUR_MS;
+    const end = Math.min(entry.end, nextHour);
+    pieces.push({ ...entry, start, end, seconds: (end - start) / 1000 });
+    start = end;
+  }
+  return pieces;
+}
+
+/**
+ * Take every second recorded up to `now`.  The open segment is
+ * cut at `now` and keeps running from there.
+ *
+ * @param {Object} ledger
+ * @param {number} now
+ * @param {Object} [options]
+ *   - maxOpenMs {number} cap on time credited to any one segment
+ *     between drains; guards against a machine that slept without
+ *     an idle event.  The open segment keeps its last maxOpenMs, a
+ *     segment closed since (by the first tab switch after waking)
+ *     its first
+ * @returns {{ ledger, entries }} entries in time order with `seconds`
+ */
+function drain(ledger, now, { maxOpenMs = Infinity } = {}) {
+  const closed = (ledger?.entries || []).map((e) => ({ ...e, end: Math.min(e.end, e.start + maxOpenMs) }));
+  const open = ledger?.open || null;
+
+  if (open && now > open.start) {
+    closed.push({ ...open, start: Math.max(open.start, now - maxOpenMs), end: now });
+  }
+
+  const entries = closed
+    .filter((e) => e.end > e.start)
+    .sort((a, b) => a.start - b.start)
+    .flatMap(splitByHour);
+
+  return {
+    ledger: { open: open ? { ...open, start: Math.max(open.start, now) } : null, entries: [] },
+    entries
+  };
+}
+
+/**
+ * Remove from `entries` the time covered by `covering` entries on
+ * the same tab — e.g. media time that was already timed in the
+ * foreground.
+ * @returns {Array} remaining pieces with recomputed `seconds`
+ */
+function subtractCovered(entries, covering) {
+  const result = [];
+  for (const entry of entries) {
+    let pieces = [{ ...entry }];
+    for (const c of covering) {
+      if (c.tabId !== entry.tabId) continue;
+      pieces = pieces.flatMap((p) => {
+        if (c.end <= p.start || c.start >= p.end) return [p];
+        const out = [];
+        if (c.start > p.start) out.push({ ...p, end: c.start });
+        if (c.end < p.end) out.push({ ...p, start: c.end });
+        return out;
+      });
+    }
+    for (const p of pieces) {
+      if (p.end > p.start) result.push({ ...p, seconds: (p.end - p.start) / 1000 });
+    }
+  }
+  return result;
+}
+
+/* ─── Fractional XP ─────────────────────────────────────── */
+
+/**
+ * Turn an exact (fractional) XP amount into whole XP, carrying
+ * the remainder for the category into the next award.
+ *
+ * @param {Object} carry - { categoryId: fractional XP }
+ * @param {string} category
+ * @param {number} exactXp
+ * @returns {{ xp: number, carry: Object }}
+ */
+function settleXp(carry, category, exactXp) {
+  // Truncated after rounding so a minute split into thirds still
+  // settles to whole XP; the carry itself stays exact
+  const pending = (carry?.[category] || 0) + exactXp;
+  const xp = Math.trunc(Math.round(pending * 1e6) / 1e6);
+  return { xp, carry: { ...carry, [category]: pending - xp } };
+}
+
+/** Add seconds to a minute counter, kept to two decimals */
+function addMinutes(minutes, seconds) {
+  return Math.round(((minutes || 0) + seconds / 60) * 100) / 100;
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const TimeLedger = {
+  MAX_PENDING_ENTRIES,
+  createLedger,
+  openSegment,
+  closeSegment,
+  splitByHour,
+  drain,
+  subtractCovered,
+  settleXp,
+  addMinutes
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.TimeLedger = TimeLedger;
+}
+
+export default TimeLedger;
@@ -3,11 +3,16 @@
  *  XP Engine v2 — Advanced XP, Combo & Level System
  * ============================================================
  *  Pure-function module.  No side-effects, no storage I/O.
- *  Features: domain classification, combo multipliers,
+ *  Features: domain & URL-rule classification, combo multipliers,
  *  time-of-day bonuses, prestige system, XP decay.
  * ============================================================
  */
 
+import RuleEngine from './ruleEngine.js';
+import PublicSuffix from './publicSuffix.js';
+import ContentClassifier from './contentClassifier.js';
+import DateService from './dateService.js';
+
 /* ─── Domain Classification (expanded) ──────────────────── */
 
 const PRODUCTIVE_DOMAINS = new Set([
@@ -63,13 +68,99 @@ const DOMAIN_TAGS = Object.freeze({
   'notion.so':             ['productivity', 'notes']
 });
 
-/** XP awarded per 1-minute tick by category */
-const XP_RATES = Object.freeze({
-  productive:  10,
-  neutral:      2,
-  distracting: -5
+/* ─── Categories ────────────────────────────────────────── */
+
+/** How time in a category affects the combo counter */
+const COMBO_EFFECTS = Object.freeze({
+  BUILD: 'build',   // extends the combo (counts as productive)
+  HOLD:  'hold',    // neither builds nor breaks (counts as neutral)
+  BREAK: 'break'    // resets the combo (counts as distracting)
+});
+
+/** How playing audio/video in a category is credited */
+const MEDIA_EFFECTS = Object.freeze({
+  ENGAGED: 'engaged',   // playing media counts as engagement (earns / penalises)
+  AMBIENT: 'ambient'    // recorded as ambient time, neither earns nor penalises
 });
 
+/**
+ * Built-in categories.  Users may retune these and add their own
+ * (settings.categories); the three built-in ids always exist since
+ * the built-in domain lists classify into them.
+ */
+const DEFAULT_CATEGORIES = Object.freeze([
+  { id: 'productive',  label: 'Productive',  xpRate: 10, color: '#00C9A7', combo: COMBO_EFFECTS.BUILD, media: MEDIA_EFFECTS.ENGAGED, builtin: true },
+  { id: 'neutral',     label: 'Neutral',     xpRate:  2, color: '#38BDF8', combo: COMBO_EFFECTS.HOLD,  media: MEDIA_EFFECTS.AMBIENT, builtin: true },
+  { id: 'distracting', label: 'Distracting', xpRate: -5, color: '#FF6B6B', combo: COMBO_EFFECTS.BREAK, media: MEDIA_EFFECTS.ENGAGED, builtin: true }
+]);
+
+/** XP awarded per 1-minute tick by built-in category (defaults) */
+const XP_RATES = Object.freeze(
+  Object.fromEntries(DEFAULT_CATEGORIES.map((c) => [c.id, c.xpRate]))
+);
+
+/**
+ * Sanitise a user-supplied category list: slug ids, numeric rates,
+ * valid combo and media effects, no duplicates, built-ins always
+ * present.
+ */
+function normalizeCategories(list) {
+  const result = [];
+  const seen = new Set();
+
+  for (const raw of Array.isArray(list) ? list : []) {
+    if (!raw) continue;
+    const id = String(raw.id || raw.label || '').trim().toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+
+    const builtin = DEFAULT_CATEGORIES.find((c) => c.id === id);
+    result.push({
+      id,
+      label:  String(raw.label || builtin?.label || id).trim(),
+      xpRate: Number.isFinite(Number(raw.xpRate)) ? Number(raw.xpRate) : (builtin?.xpRate ?? 0),
+      color:  /^#[0-9a-f]{6}$/i.test(raw.color || '') ? raw.color : (builtin?.color || '#8b949e'),
+      combo:  Object.values(COMBO_EFFECTS).includes(raw.combo) ? raw.combo : (builtin?.combo || COMBO_EFFECTS.HOLD),
+      media:  Object.values(MEDIA_EFFECTS).includes(raw.media) ? raw.media : (builtin?.media || MEDIA_EFFECTS.AMBIENT),
+      builtin: !!builtin
+    });
+  }
+
+  for (const def of DEFAULT_CATEGORIES) {
+    if (!seen.has(def.id)) result.push({ ...def });
+  }
+  return result;
+}
+
+/**
+ * Resolve the active category list from settings.
+ */
+function getCategories(settings = {}) {
+  return Array.isArray(settings.categories) && settings.categories.length > 0
+    ? normalizeCategories(settings.categories)
+    : DEFAULT_CATEGORIES.map((c) => ({ ...c }));
+}
+
+/**
+ * Look up a category definition by id, falling back to neutral.
+ */
+function getCategory(id, categories = DEFAULT_CATEGORIES) {
+  return categories.find((c) => c.id === id)
+    || categories.find((c) => c.id === 'neutral')
+    || DEFAULT_CATEGORIES[1];
+}
+
+/**
+ * Map a category onto the productive / neutral / distracting class
+ * used by streaks, focus score and the legacy daily counters.
+ */
+function getCategoryClass(category) {
+  if (category?.combo === COMBO_EFFECTS.BUILD) return 'productive';
+  if (category?.combo === COMBO_EFFECTS.BREAK) return 'distracting';
+  return 'neutral';
+}
+
 /** Max XP that can be earned in a single minute (anti-farming cap) */
 const XP_PER_TICK_CAP = 25;   // raised to allow combo bonuses
 
@@ -89,19 +180,64 @@ const XP_FLOOR = 0;
  *  Minutes 45–59  → 2.25x
  *  Minutes 60+    → 2.5x (max)
  *
- *  Visiting a distracting site resets the combo counter.
+ *  Distracting time resets the combo counter once it exceeds the
+ *  grace allowance (see applyComboGrace).  Tiers can be replaced
+ *  in settings.comboTiers.
  */
-const COMBO_TIERS = [
+const COMBO_TIERS = Object.freeze([
   { minMinutes: 60, multiplier: 2.5,  label: 'ULTRA COMBO' },
   { minMinutes: 45, multiplier: 2.25, label: 'MEGA COMBO' },
   { minMinutes: 30, multiplier: 2.0,  label: 'SUPER COMBO' },
   { minMinutes: 20, multiplier: 1.75, label: 'GREAT COMBO' },
   { minMinutes: 10, multiplier: 1.5,  label: 'COMBO' },
   { minMinutes: 5,  multiplier: 1.25, label: 'COMBO START' }
-];
+]);
+
+/** Distracting minutes tolerated within a rolling window */
+const DEFAULT_COMBO_GRACE = Object.freeze({ minutes: 2, windowMinutes: 10 });
+
+/**
+ * Sanitise user-supplied combo tiers: positive thresholds, multipliers
+ * of at least 1x, one tier per threshold, highest threshold first.
+ */
+function normalizeComboTiers(list) {
+  const byThreshold = new Map();
+  for (const raw of Array.isArray(list) ? list : []) {
+    const minMinutes = Number(raw?.minMinutes);
+    const multiplier = Number(raw?.multiplier);
+    if (!Number.isFinite(minMinutes) || minMinutes <= 0) continue;
+    if (!Number.isFinite(multiplier) || multiplier < 1) continue;
+    byThreshold.set(minMinutes, {
+      minMinutes,
+      multiplier: Math.round(multiplier * 100) / 100,
+      label: String(raw.label || 'COMBO').trim().slice(0, 24) || 'COMBO'
+    });
+  }
+  return [...byThreshold.values()].sort((a, b) => b.minMinutes - a.minMinutes);
+}
+
+/**
+ * Resolve the active combo tiers from settings.
+ */
+function getComboTiers(settings = {}) {
+  const tiers = normalizeComboTiers(settings.comboTiers);
+  return tiers.length > 0 ? tiers : COMBO_TIERS.map((t) => ({ ...t }));
+}
+
+/**
+ * Resolve the combo grace allowance from settings.
+ */
+function getComboGrace(settings = {}) {
+  const minutes = Number(settings.comboGraceMinutes ?? DEFAULT_COMBO_GRACE.minutes);
+  const windowMinutes = Number(settings.comboGraceWindowMinutes ?? DEFAULT_COMBO_GRACE.windowMinutes);
+  return {
+    minutes: Number.isFinite(minutes) ? Math.max(0, minutes) : DEFAULT_COMBO_GRACE.minutes,
+    windowMinutes: Number.isFinite(windowMinutes) ? Math.max(1, windowMinutes) : DEFAULT_COMBO_GRACE.windowMinutes
+  };
+}
 
-function getComboMultiplier(consecutiveProductiveMinutes) {
-  for (const tier of COMBO_TIERS) {
+function getComboMultiplier(consecutiveProductiveMinutes, tiers = COMBO_TIERS) {
+  for (const tier of tiers) {
     if (consecutiveProductiveMinutes >= tier.minMinutes) {
       return { multiplier: tier.multiplier, label: tier.label, minutes: consecutiveProductiveMinutes };
     }
@@ -109,15 +245,45 @@ function getComboMultiplier(consecutiveProductiveMinutes) {
   return { multiplier: 1.0, label: null, minutes: consecutiveProductiveMinutes };
 }
 
+/**
+ * Record a distracting span against the combo grace allowance.
+ *
+ * @param {Array<{start, end}>} graceLog - distracting spans (epoch ms)
+ *   still inside the rolling window
+ * @param {{ start: number, end: number }} span
+ * @param {{ minutes: number, windowMinutes: number }} grace
+ * @returns {{ graceLog, usedMinutes, broken }} broken once the
+ *   distracting time in the window exceeds the allowance
+ */
+function applyComboGrace(graceLog, span, grace = DEFAULT_COMBO_GRACE) {
+  const windowStart = span.end - grace.windowMinutes * 60 * 1000;
+  const log = [...(graceLog || []), { start: span.start, end: span.end }]
+    .filter((s) => s.end > windowStart);
+  const usedMinutes = comboGraceUsed(log, span.end, grace);
+  const broken = usedMinutes > grace.minutes;
+  return { graceLog: broken ? [] : log, usedMinutes, broken };
+}
+
+/**
+ * Distracting minutes counted against the grace allowance at `at`.
+ */
+function comboGraceUsed(graceLog, at, grace = DEFAULT_COMBO_GRACE) {
+  const windowStart = at - grace.windowMinutes * 60 * 1000;
+  return (graceLog || []).reduce(
+    (sum, s) => sum + Math.max(0, Math.min(s.end, at) - Math.max(s.start, windowStart)) / 60000, 0
+  );
+}
+
 /* ─── Time-of-Day Bonus ─────────────────────────────────── */
 
 /**
  * Early-bird & night-owl bonuses.
  *  5 AM – 8 AM  → +20% bonus (early riser)
  *  9 PM – 12 AM → +10% bonus (night owl)
+ * @param {number|Date} [at] - time to evaluate, defaults to now
  */
-function getTimeOfDayBonus() {
-  const hour = new Date().getHours();
+function getTimeOfDayBonus(at = Date.now()) {
+  const hour = DateService.localHour(at);
   if (hour >= 5 && hour < 8)  return { bonus: 0.20, label: '🌅 Early Bird +20%' };
   if (hour >= 21 && hour < 24) return { bonus: 0.10, label: '🦉 Night Owl +10%' };
   return { bonus: 0, label: null };
@@ -126,8 +292,8 @@ function getTimeOfDayBonus() {
 /* ─── Domain Helpers ────────────────────────────────────── */
 
 /**
- * Extract the registrable domain from a URL string.
- * Also extracts the full path for smarter classification.
+ * Extract the hostname (minus a leading "www.") from a URL string.
+ * Use extractDomainInfo when the registrable domain is needed.
  */
 function extractDomain(url) {
   try {
@@ -140,14 +306,28 @@ function extractDomain(url) {
 }
 
 /**
- * Extract full URL info for richer analytics.
+ * Split a URL's hostname via the Public Suffix List.
+ *  "https://docs.foo.co.uk/x" → { host: "docs.foo.co.uk", domain: "foo.co.uk", suffix: "co.uk" }
+ */
+function extractDomainInfo(url) {
+  const host = extractDomain(url);
+  if (!host) return null;
+  const { domain, suffix } = PublicSuffix.parse(host);
+  return { host, domain: domain || host, suffix };
+}
+
+/**
+ * Extract full URL info for richer analytics and rule matching.
  */
 function extractUrlInfo(url) {
   try {
     const u = new URL(url);
+    const domain = u.hostname.replace(/^www\./, '');
     return {
-      domain: u.hostname.replace(/^www\./, ''),
+      domain,
+      registrableDomain: PublicSuffix.getRegistrableDomain(domain),
       path: u.pathname,
+      query: u.search,
       fullUrl: url,
       protocol: u.protocol
     };
@@ -164,40 +344,124 @@ function getDomainTags(domain) {
 }
 
 /**
- * Classify a domain into a productivity category.
- * Supports user-defined overrides via customCategories map.
+ * Explain how a URL (or bare domain) is classified.
+ *
+ * Resolution order, first match wins:
+ *   0. Per-URL user override
+ *   1. Schedule rules whose time window is open at `now`
+ *   2. User rules (glob / regex on host + path + query, by priority)
+ *   3. Legacy customCategories map (domain-level overrides)
+ *   4. Built-in productive / distracting lists
+ *   5. Page-content label — only replaces a *neutral* result from
+ *      step 4 or the default, never an explicit user choice
+ *
+ * Steps 3 and 4 walk the host from most to least specific, stopping
+ * at the registrable domain, so the longest listed name wins:
+ * "aws.amazon.com" is productive even though "amazon.com" is not.
+ *
+ * @param {string} target - full URL or bare domain
+ * @param {Object} customCategories - { domain: category }
+ * @param {Object} options
+ *   - rules {Array} classification rules from settings
+ *   - schedules {Array} time-windowed rules from settings
+ *   - now {number|Date} clock used to evaluate schedules
+ *   - urlOverrides {Object} { urlKey: category } set by the user
+ *   - contentLabels {Object} { urlKey: { category, reason } } from
+ *     ContentClassifier
+ *   - categories {Array} active categories; results naming an
+ *     unknown category fall back to neutral
+ * @returns {{ category, source, reason, ruleId }}
  */
-function classifyDomain(domain, customCategories = {}) {
-  if (!domain) return 'neutral';
+function explainClassification(target, customCategories = {}, options = {}) {
+  const { categories, urlOverrides = {}, contentLabels = {} } = options;
+  const key = target ? ContentClassifier.urlKey(target) : null;
+
+  let result;
+  if (key && urlOverrides[key]) {
+    result = { category: urlOverrides[key], source: 'override', reason: 'Your override for this page', ruleId: null };
+  } else {
+    result = resolveClassification(target, customCategories, options);
+    const label = key ? contentLabels[key] : null;
+    if (label?.category && result.category === 'neutral' && (result.source === 'builtin' || result.source === 'default')) {
+      result = { category: label.category, source: 'content', reason: label.reason, ruleId: null };
+    }
+  }
 
-  const lower = domain.toLowerCase();
-  if (customCategories[lower]) return customCategories[lower];
+  if (categories && !categories.some((c) => c.id === result.category)) {
+    return { ...result, category: 'neutral', reason: `${result.reason} (unknown category "${result.category}")` };
+  }
+  return result;
+}
+
+/** Resolution steps behind explainClassification (ids unchecked). */
+function resolveClassification(target, customCategories, { rules = [], schedules = [], now = Date.now() }) {
+  if (!target) return { category: 'neutral', source: 'default', reason: 'No URL', ruleId: null };
+
+  const info = target.includes('://')
+    ? extractUrlInfo(target)
+    : { domain: target.replace(/^www\./, ''), path: '/', query: '' };
+  if (!info) return { category: 'neutral', source: 'default', reason: 'Unparseable URL', ruleId: null };
 
-  // Check built-in lists (also match subdomains like "gist.github.com")
-  for (const d of PRODUCTIVE_DOMAINS) {
-    if (lower === d || lower.endsWith('.' + d)) return 'productive';
+  const lower = info.domain.toLowerCase();
+
+  const schedule = RuleEngine.findActiveSchedule(schedules, { ...info, domain: lower }, now);
+  if (schedule) {
+    return {
+      category: schedule.category,
+      source: 'schedule',
+      reason: `Schedule: ${schedule.pattern} ${schedule.start}–${schedule.end}`,
+      ruleId: schedule.id
+    };
   }
-  for (const d of DISTRACTING_DOMAINS) {
-    if (lower === d || lower.endsWith('.' + d)) return 'distracting';
+
+  const rule = RuleEngine.findMatchingRule(rules, { ...info, domain: lower });
+  if (rule) {
+    return { category: rule.category, source: 'rule', reason: `Rule: ${rule.pattern}`, ruleId: rule.id };
   }
 
-  return 'neutral';
+  const chain = PublicSuffix.getLookupChain(lower);
+
+  for (const d of chain) {
+    if (customCategories[d]) {
+      return { category: customCategories[d], source: 'custom', reason: `Custom: ${d}`, ruleId: null };
+    }
+  }
+
+  for (const d of chain) {
+    if (PRODUCTIVE_DOMAINS.has(d)) {
+      return { category: 'productive', source: 'builtin', reason: `Built-in: ${d}`, ruleId: null };
+    }
+    if (DISTRACTING_DOMAINS.has(d)) {
+      return { category: 'distracting', source: 'builtin', reason: `Built-in: ${d}`, ruleId: null };
+    }
+  }
+
+  return { category: 'neutral', source: 'default', reason: 'Unlisted domain', ruleId: null };
+}
+
+/**
+ * Classify a URL or domain into a productivity category.
+ * Supports user rules and the legacy customCategories map.
+ */
+function classifyDomain(target, customCategories = {}, options = {}) {
+  return explainClassification(target, customCategories, options).category;
 }
 
 /* ─── XP Calculations ───────────────────────────────────── */
 
 /**
  * Calculate XP delta for one tick (1 minute) with full modifiers.
- * @param {"productive"|"distracting"|"neutral"} category
+ * @param {string} category - category id
  * @param {number} comboMultiplier - current combo multiplier
  * @param {number} streakDays - current streak length
+ * @param {Array} categories - active category definitions
  * @returns {{ base, combo, timeBonus, streakBonus, total, breakdown }}
  */
-function calculateTickXpAdvanced(category, comboMultiplier = 1.0, streakDays = 0) {
-  const base = XP_RATES[category] ?? XP_RATES.neutral;
+function calculateTickXpAdvanced(category, comboMultiplier = 1.0, streakDays = 0, categories = DEFAULT_CATEGORIES) {
+  const base = getCategory(category, categories).xpRate;
 
-  // Distracting XP is not amplified by bonuses (only penalised)
-  if (base < 0) {
+  // Negative XP is not amplified by bonuses (only penalised)
+  if (base <= 0) {
     return {
       base,
       combo: 0,
@@ -238,6 +502,48 @@ function calculateTickXpAdvanced(category, comboMultiplier = 1.0, streakDays = 0
   };
 }
 
+/**
+ * Exact (unrounded) XP for a span of time, with the same modifiers
+ * as calculateTickXpAdvanced applied per minute.  Used by the time
+ * ledger, which settles the fraction into whole XP with a carry.
+ * @param {string} category - category id
+ * @param {number} seconds - time spent in the span
+ * @param {number} comboMultiplier
+ * @param {number} streakDays
+ * @param {Array} categories
+ * @param {number} [at] - span start, for the time-of-day bonus
+ * @returns {number}
+ */
+function calculateSpanXp(category, seconds, comboMultiplier = 1.0, streakDays = 0, categories = DEFAULT_CATEGORIES, at = Date.now()) {
+  return spanXpModifiers(category, comboMultiplier, streakDays, categories, at).perMinute * (seconds / 60);
+}
+
+/**
+ * The per-minute rate calculateSpanXp applies, with each modifier
+ * that went into it — what the XP ledger records for a span.
+ * Penalties take the base rate as is.
+ * @returns {{ rate, combo, timeOfDay, streakDays, streakBonus, perMinute, capped }}
+ */
+function spanXpModifiers(category, comboMultiplier = 1.0, streakDays = 0, categories = DEFAULT_CATEGORIES, at = Date.now()) {
+  const rate = getCategory(category, categories).xpRate;
+  if (rate <= 0) {
+    return { rate, combo: 1, timeOfDay: 0, streakDays, streakBonus: 0, perMinute: rate, capped: false };
+  }
+
+  const tod = getTimeOfDayBonus(at);
+  const streakBonus = Math.min(0.25, streakDays * 0.01);
+  const uncapped = rate * comboMultiplier * (1 + tod.bonus + streakBonus);
+  return {
+    rate,
+    combo: comboMultiplier,
+    timeOfDay: tod.bonus,
+    streakDays,
+    streakBonus,
+    perMinute: Math.min(XP_PER_TICK_CAP, uncapped),
+    capped: uncapped > XP_PER_TICK_CAP
+  };
+}
+
 /**
  * Simple tick XP (backwards-compatible).
  */
@@ -298,29 +604,67 @@ function evaluateLevelUp(currentXp, currentLevel) {
   };
 }
 
+/* ─── XP Decay ──────────────────────────────────────────── */
+
+/** Days without qualifying activity before decay starts */
+const DEFAULT_DECAY_GRACE_DAYS = 3;
+
+/** Share of current-level progress lost per decaying day */
+const DEFAULT_DECAY_PERCENT = 10;
+
+/**
+ * Lowest XP a level can decay to — its own threshold, so decay
+ * never costs a level.  Level 1 starts at 0.
+ */
+function levelFloor(level) {
+  return level <= 1 ? 0 : xpForLevel(level);
+}
+
+/**
+ * Apply `days` days of decay.  Each day removes `percentPerDay` of
+ * whatever progress past the level floor is left.
+ *
+ * @param {number} currentXp
+ * @param {number} currentLevel
+ * @param {number} days - decaying days to apply
+ * @param {number} [percentPerDay]
+ * @returns {{ xp: number, lost: number }}
+ */
+function calculateDecay(currentXp, currentLevel, days, percentPerDay = DEFAULT_DECAY_PERCENT) {
+  const floor = levelFloor(currentLevel);
+  const rate = Math.min(100, Math.max(0, percentPerDay)) / 100;
+  let xp = currentXp;
+  for (let d = 0; d < days && xp > floor; d++) {
+    // Rounded up so small remainders still reach the floor
+    xp = Math.max(floor, xp - Math.ceil((xp - floor) * rate));
+  }
+  return { xp, lost: Math.max(0, currentXp - xp) };
+}
+
 /* ─── Prestige System ───────────────────────────────────── */
 
 /**
- * Prestige tiers — cosmetic ranks above the base level.
- * Prestige 1 unlocks at Level 25, Prestige 2 at 50, etc.
- * Each prestige grants a unique border color and title.
+ * Prestige tiers, one per prestige reset (see PrestigeEngine).
+ * Each prestige grants a unique border color and title; past the
+ * last tier the counter keeps climbing under the Legendary title.
  */
 const PRESTIGE_TIERS = [
-  { prestige: 0,  minLevel: 0,   title: 'Novice',      border: '#8b949e' },
-  { prestige: 1,  minLevel: 25,  title: 'Bronze',      border: '#CD7F32' },
-  { prestige: 2,  minLevel: 50,  title: 'Silver',      border: '#C0C0C0' },
-  { prestige: 3,  minLevel: 75,  title: 'Gold',        border: '#FFD700' },
-  { prestige: 4,  minLevel: 100, title: 'Platinum',    border: '#E5E4E2' },
-  { prestige: 5,  minLevel: 150, title: 'Diamond',     border: '#B9F2FF' },
-  { prestige: 6,  minLevel: 200, title: 'Legendary',   border: '#FF6B6B' }
+  { prestige: 0,  title: 'Novice',      icon: '',   border: '#8b949e' },
+  { prestige: 1,  title: 'Bronze',      icon: '🥉', border: '#CD7F32' },
+  { prestige: 2,  title: 'Silver',      icon: '🥈', border: '#C0C0C0' },
+  { prestige: 3,  title: 'Gold',        icon: '🥇', border: '#FFD700' },
+  { prestige: 4,  title: 'Platinum',    icon: '💠', border: '#E5E4E2' },
+  { prestige: 5,  title: 'Diamond',     icon: '💎', border: '#B9F2FF' },
+  { prestige: 6,  title: 'Legendary',   icon: '🔥', border: '#FF6B6B' }
 ];
 
-function getPrestige(level) {
-  let tier = PRESTIGE_TIERS[0];
-  for (const t of PRESTIGE_TIERS) {
-    if (level >= t.minLevel) tier = t;
-  }
-  return tier;
+/**
+ * @param {number} prestigeCount - stored number of prestige resets
+ */
+function getPrestige(prestigeCount = 0) {
+  const count = Math.max(0, Math.floor(prestigeCount) || 0);
+  const tier = PRESTIGE_TIERS[Math.min(count, PRESTIGE_TIERS.length - 1)];
+  return { ...tier, prestige: count };
 }
 
 /* ─── Rank Title ────────────────────────────────────────── */
@@ -354,24 +698,45 @@ const XpEngine = {
   DISTRACTING_DOMAINS,
   DOMAIN_TAGS,
   XP_RATES,
+  COMBO_EFFECTS,
+  MEDIA_EFFECTS,
+  DEFAULT_CATEGORIES,
   XP_PER_TICK_CAP,
   XP_FLOOR,
+  DEFAULT_DECAY_GRACE_DAYS,
+  DEFAULT_DECAY_PERCENT,
   COMBO_TIERS,
+  DEFAULT_COMBO_GRACE,
   PRESTIGE_TIERS,
   RANK_TITLES,
   extractDomain,
+  extractDomainInfo,
   extractUrlInfo,
   getDomainTags,
+  normalizeCategories,
+  getCategories,
+  getCategory,
+  getCategoryClass,
+  explainClassification,
   classifyDomain,
   calculateTickXp,
   calculateTickXpAdvanced,
+  calculateSpanXp,
+  spanXpModifiers,
+  normalizeComboTiers,
+  getComboTiers,
+  getComboGrace,
   getComboMultiplier,
+  applyComboGrace,
+  comboGraceUsed,
   getTimeOfDayBonus,
   applyXp,
   xpForLevel,
   levelFromXp,
   progressPercent,
   evaluateLevelUp,
+  levelFloor,
+  calculateDecay,
   getPrestige,
   getRankTitle
 };
@@ -0,0 +1,259 @@
+/**
+ * ============================================================
+ *  XP Ledger — Append-Only XP Event Log for XPulse
+ * ============================================================
+ *  Every change to the XP balance is written down as an event:
+ *  when, where, which category, the modifiers that went into
+ *  it, the delta and the balance it left.  The log opens with
+ *  the state it started from, so replaying it rebuilds XP,
+ *  level, lifetime XP and achievements — either as recorded, to
+ *  find where the stored state and the log part ways, or
+ *  rescored under today's category rates.
+ *  Pure-function module — HistoryStore keeps the events.
+ * ============================================================
+ */
+
+import XpEngine from './xpEngine.js';
+import AchievementEngine from './achievementEngine.js';
+import TimeLedger from './timeLedger.js';
+import PrestigeEngine from './prestigeEngine.js';
+
+const SOURCES = Object.freeze({
+  OPENING:      'opening',       // balance the log started from
+  TICK:         'tick',          // time on a page
+  GOAL:         'goal',          // daily or weekly goal bonus
+  ACHIEVEMENT:  'achievement',
+  QUEST:        'quest',
+  FOCUS_BONUS:  'focus_bonus',   // focus session completed
+  FOCUS_BYPASS: 'focus_bypass',  // XP paid to open a blocked site
+  DECAY:        'decay',
+  PRESTIGE:     'prestige'       // balance and level reset
+});
+
+const SOURCE_LABELS = Object.freeze({
+  [SOURCES.OPENING]:      { label: 'Opening balance', icon: '📒' },
+  [SOURCES.TICK]:         { label: 'Browsing',        icon: '⏱️' },
+  [SOURCES.GOAL]:         { label: 'Goal bonus',      icon: '🎯' },
+  [SOURCES.ACHIEVEMENT]:  { label: 'Achievement',     icon: '🏆' },
+  [SOURCES.QUEST]:        { label: 'Quest',           icon: '📜' },
+  [SOURCES.FOCUS_BONUS]:  { label: 'Focus session',   icon: '🔒' },
+  [SOURCES.FOCUS_BYPASS]: { label: 'Focus bypass',    icon: '🔓' },
+  [SOURCES.DECAY]:        { label: 'Decay',           icon: '🍂' },
+  [SOURCES.PRESTIGE]:     { label: 'Prestige',        icon: '✨' }
+});
+
+/* ─── Events ────────────────────────────────────────────── */
+
+/**
+ * Build a ledger event.  `delta` is the XP asked for — applyXp may
+ * floor the balance — and `balance` the XP it left.
+ *
+ * @param {Object} event
+ * @param {string} event.source - one of SOURCES
+ * @param {number} event.delta
+ * @param {number} event.balance
+ * @param {number} [event.at] - epoch ms
+ * @param {string} [event.domain]
+ * @param {string} [event.url]
+ * @param {string} [event.category]
+ * @param {Object} [event.modifiers] - what the delta was worked out from
+ * @param {string} [event.ref] - achievement/quest id, goal scope …
+ */
+function createEvent({ source, delta, balance, at = Date.now(), domain, url, category, modifiers, ref }) {
+  const event = { at, source, delta, balance };
+  if (domain) event.domain = domain;
+  if (url) event.url = url;
+  if (category) event.category = category;
+  if (modifiers) event.modifiers = modifiers;
+  if (ref != null) event.ref = String(ref);
+  return event;
+}
+
+/**
+ * The first event of a log: everything replay starts from.  A
+ * correction saved from a replay opens the log again — `ref` says
+ * why — and later replays start from the latest opening.
+ */
+function openingEvent(state, { at = Date.now(), ref } = {}) {
+  return {
+    ...createEvent({ source: SOURCES.OPENING, delta: 0, balance: state.xp ?? 0, at, ref }),
+    state: {
+      level: state.level ?? 1,
+      totalXpEarned: state.totalXpEarned ?? 0,
+      achievements: state.achievements ?? {}
+    }
+  };
+}
+
+/* ─── Replay ────────────────────────────────────────────── */
+
+/**
+ * XP for a tick event under the given category rates, before the
+ * carry.  The combo, streak, engagement and prestige boost it was
+ * earned with are taken as recorded — those are history, not rules.
+ */
+function rescoreTick(event, categories) {
+  const m = event.modifiers;
+  if (!m || !event.category) return null;
+  categories = PrestigeEngine.scaleProductive(categories, m.boost ?? 1, XpEngine.getCategoryClass);
+  if (m.escalation != null) {
+    const rate = Math.min(
+      XpEngine.getCategory(event.category, categories).xpRate,
+      XpEngine.getCategory('distracting', categories).xpRate,
+      0
+    );
+    return rate * m.escalation * ((m.overSeconds ?? 0) / 60);
+  }
+  if (m.credited == null) return null;
+  return XpEngine.calculateSpanXp(event.category, m.credited, m.combo ?? 1, m.streakDays ?? 0, categories, event.at);
+}
+
+/**
+ * Rebuild XP, level, lifetime XP and achievements from a log.
+ *
+ * Without `categories` the recorded deltas are replayed and the
+ * first event whose recorded balance disagrees is reported.  With
+ * them — unboosted base rates — tick XP and achievement rewards
+ * are recomputed under the current rules.  Time that earned
+ * exactly nothing was never logged, so a category raised from a
+ * zero rate is not credited for it.  XP-driven achievements the totals qualify for
+ * but the log never unlocked are unlocked at the end.
+ *
+ * @param {Array} events - oldest first
+ * @param {Object} [options]
+ * @param {Array} [options.categories] - rescore with these base rates
+ * @returns {{ xp, level, totalXpEarned, achievements, events, firstMismatch, derivedAchievements }}
+ */
+function replay(events, { categories = null } = {}) {
+  const rewards = Object.fromEntries(AchievementEngine.ACHIEVEMENTS.map((a) => [a.id, a.xpReward || 0]));
+  let xp = 0;
+  let level = 1;
+  let totalXpEarned = 0;
+  let achievements = {};
+  let carry = {};
+  let firstMismatch = null;
+  let count = 0;
+
+  for (const event of events) {
+    count++;
+    if (event.source === SOURCES.OPENING) {
+      xp = event.balance ?? 0;
+      level = event.state?.level ?? 1;
+      totalXpEarned = event.state?.totalXpEarned ?? 0;
+      achievements = { ...(event.state?.achievements ?? {}) };
+      carry = {};
+      continue;
+    }
+
+    if (event.source === SOURCES.PRESTIGE) {
+      xp = 0;
+      level = 1;
+    } else {
+      let delta = event.delta ?? 0;
+      if (categories && event.source === SOURCES.TICK) {
+        const exact = rescoreTick(event, categories);
+        if (exact != null) {
+          const settled = TimeLedger.settleXp(carry, event.category, exact);
+          carry = settled.carry;
+          delta = settled.xp;
+        }
+      } else if (categories && event.source === SOURCES.ACHIEVEMENT && event.ref in rewards) {
+        delta = rewards[event.ref];
+      }
+      xp = XpEngine.applyXp(xp, delta);
+      if (delta > 0) totalXpEarned += delta;
+    }
+
+    if (event.source === SOURCES.ACHIEVEMENT && event.ref) {
+      achievements[event.ref] = { unlocked: true, timestamp: new Date(event.at).toISOString() };
+    }
+    level = Math.max(level, XpEngine.levelFromXp(xp));
+
+    if (!categories && !firstMismatch && event.balance !== xp) {
+      firstMismatch = { at: event.at, source: event.source, recorded: event.balance, replayed: xp };
+    }
+  }
+
+  // Unlocks the totals alone earn — each reward can earn the next
+  const derivedAchievements = [];
+  const at = events.length > 0 ? events[events.length - 1].at : Date.now();
+  for (;;) {
+    const result = AchievementEngine.evaluate({ totalXpEarned, level }, achievements);
+    if (result.newlyUnlocked.length === 0) break;
+    for (const ach of result.newlyUnlocked) {
+      achievements[ach.id] = { unlocked: true, timestamp: new Date(at).toISOString() };
+      derivedAchievements.push(ach.id);
+    }
+    xp = XpEngine.applyXp(xp, result.bonusXp);
+    totalXpEarned += result.bonusXp;
+    level = Math.max(level, XpEngine.levelFromXp(xp));
+  }
+
+  return { xp, level, totalXpEarned, achievements, events: count, firstMismatch, derivedAchievements };
+}
+
+/**
+ * Compare a replay against the stored state.  The stored level
+ * is taken as the one the next tick settles on, since bonuses
+ * paid after a tick's level check wait a minute to count.
+ *
+ * @returns {{ ok: boolean, differences: Array<{ field, stored, replayed }> }}
+ */
+function audit(replayed, state) {
+  const stored = {
+    xp: state.xp ?? 0,
+    level: Math.max(state.level ?? 1, XpEngine.levelFromXp(state.xp ?? 0)),
+    totalXpEarned: state.totalXpEarned ?? 0
+  };
+  const differences = Object.entries(stored)
+    .filter(([field, value]) => replayed[field] !== value)
+    .map(([field, value]) => ({ field, stored: value, replayed: replayed[field] }));
+
+  const unlocked = (map) => Object.keys(map || {}).filter((id) => map[id]?.unlocked).sort();
+  const storedAch = unlocked(state.achievements);
+  const replayedAch = unlocked(replayed.achievements);
+  const missing = replayedAch.filter((id) => !storedAch.includes(id));
+  const extra = storedAch.filter((id) => !replayedAch.includes(id));
+  if (missing.length > 0 || extra.length > 0) {
+    differences.push({ field: 'achievements', stored: extra, replayed: missing });
+  }
+
+  return { ok: differences.length === 0, differences };
+}
+
+/* ─── Summaries ─────────────────────────────────────────── */
+
+/**
+ * XP gained and lost per source.
+ * @returns {Object} { source: { count, gained, lost } }
+ */
+function summarize(events) {
+  const bySource = {};
+  for (const event of events) {
+    if (event.source === SOURCES.OPENING) continue;
+    const entry = bySource[event.source] ??= { count: 0, gained: 0, lost: 0 };
+    entry.count++;
+    if (event.delta > 0) entry.gained += event.delta;
+    else entry.lost += -event.delta;
+  }
+  return bySource;
+}
+
+/* ─── Exports ───────────────────────────────────────────── */
+
+const XpLedger = {
+  SOURCES,
+  SOURCE_LABELS,
+  createEvent,
+  openingEvent,
+  rescoreTick,
+  replay,
+  audit,
+  summarize
+};
+
+if (typeof globalThis !== 'undefined') {
+  globalThis.XpLedger = XpLedger;
+}
+
+export default XpLedger;